@@ -0,0 +1,52 @@
+// admin_dashboard.test.js
+// Room summaries and feed rooms for the admin dashboard
+const { roomStatus, summarizeRoom, adminFeedRooms } = require('../admin_dashboard');
+
+const now = new Date('2024-05-01T12:00:00Z');
+const roomInfo = {
+    roomId: 'room1',
+    hotelId: 'taj',
+    hotelName: 'Taj',
+    createdAt: new Date('2024-05-01T11:00:00Z'),
+    expiresAt: new Date('2024-05-01T13:00:00Z'),
+    maxGuests: 2,
+    singleUse: false
+};
+
+test('derives the room status', () => {
+    expect(roomStatus(roomInfo, now)).toBe('open');
+    expect(roomStatus(roomInfo, new Date('2024-05-01T14:00:00Z'))).toBe('expired');
+    expect(roomStatus({ ...roomInfo, revoked: true }, now)).toBe('revoked');
+});
+
+test('summarizes participants and activity without message content', () => {
+    const members = [
+        { socketId: 's1', role: 'guest', language: 'hi-IN', joinedAt: '2024-05-01T11:10:00Z' },
+        { socketId: 's2', role: 'receptionist', language: 'en-IN', account: 'desk', joinedAt: '2024-05-01T11:05:00Z' }
+    ];
+    const summary = summarizeRoom(roomInfo, members, { messageCount: 4, lastMessageAt: '2024-05-01T11:30:00Z' },
+        { 'hi-IN': 'Hindi' }, now);
+
+    expect(summary).toMatchObject({
+        roomId: 'room1',
+        status: 'open',
+        ageMs: 60 * 60 * 1000,
+        guestCount: 1,
+        messageCount: 4,
+        lastActivityAt: '2024-05-01T11:30:00.000Z'
+    });
+    expect(summary.participants[0]).toEqual({
+        socketId: 's1',
+        role: 'guest',
+        language: 'hi-IN',
+        languageName: 'Hindi',
+        account: null,
+        translationStyle: {},
+        joinedAt: '2024-05-01T11:10:00Z'
+    });
+    expect(summary.participants[1].languageName).toBe('en-IN');
+});
+
+test('sends hotel events to the chain-wide and the hotel feed', () => {
+    expect(adminFeedRooms('taj')).toEqual(['admin_feed', 'admin_feed:taj']);
+});
@@ -0,0 +1,96 @@
+// audio_pipeline.test.js
+// Format detection, WAV decoding and normalization to 16 kHz mono
+const { encodeWav, decodeWav, sineTone } = require('../wav');
+const {
+    TARGET_SAMPLE_RATE,
+    AudioValidationError,
+    detectAudioFormat,
+    toMono,
+    resample,
+    normalizeAudio
+} = require('../audio_pipeline');
+
+describe('wav', () => {
+    test('decodes what it encodes', () => {
+        const samples = Int16Array.from([0, 16384, -16384, 32767]);
+        const decoded = decodeWav(encodeWav(samples, 8000, 2));
+        expect(decoded.sampleRate).toBe(8000);
+        expect(decoded.channels).toBe(2);
+        expect(Array.from(decoded.samples)).toEqual([0, 0.5, -0.5, 32767 / 32768]);
+    });
+
+    test.each([
+        ['sample rate', 24, 1],
+        ['channel count', 22, 0],
+        ['bit depth', 34, 12]
+    ])('rejects an implausible %s in the header', (field, offset, value) => {
+        const wav = encodeWav(sineTone(100, 16000), 16000);
+        if (offset === 24) {
+            wav.writeUInt32LE(value, offset);
+        } else {
+            wav.writeUInt16LE(value, offset);
+        }
+        expect(() => decodeWav(wav)).toThrow(/Unsupported WAV/);
+    });
+
+    test('rejects files that are not WAV', () => {
+        expect(() => decodeWav(Buffer.from('not a wav file at all'))).toThrow('Not a WAV file');
+    });
+});
+
+describe('detectAudioFormat', () => {
+    test.each([
+        ['wav', encodeWav(Int16Array.from([0]), 16000)],
+        ['ogg', Buffer.concat([Buffer.from('OggS'), Buffer.alloc(24), Buffer.from('OpusHead')])],
+        ['webm', Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from('webm A_OPUS')])],
+        ['flac', Buffer.from('fLaC0000')],
+        ['unknown', Buffer.from('hello world')]
+    ])('recognizes %s', (container, buffer) => {
+        expect(detectAudioFormat(buffer).container).toBe(container);
+    });
+});
+
+describe('toMono and resample', () => {
+    test('averages channels', () => {
+        expect(Array.from(toMono(Float32Array.from([1, 0, 0.5, 0.5]), 2))).toEqual([0.5, 0.5]);
+    });
+
+    test('changes the number of samples in proportion to the rate', () => {
+        expect(resample(new Float32Array(48000), 48000, 16000)).toHaveLength(16000);
+        const same = new Float32Array(10);
+        expect(resample(same, 16000, 16000)).toBe(same);
+    });
+});
+
+describe('normalizeAudio', () => {
+    test('converts WAV to 16 kHz mono and reports the duration', async () => {
+        const tone = sineTone(500, 44100);
+        const stereo = encodeWav(Int16Array.from({ length: tone.length * 2 }, (_, i) => tone[i >> 1]), 44100, 2);
+        const clip = await normalizeAudio(stereo);
+
+        expect(clip.contentType).toBe('audio/wav');
+        expect(clip.format).toMatchObject({ container: 'wav', codec: 'pcm' });
+        expect(clip.durationMs).toBe(500);
+        const decoded = decodeWav(clip.audio);
+        expect(decoded.sampleRate).toBe(TARGET_SAMPLE_RATE);
+        expect(decoded.channels).toBe(1);
+        expect(decoded.samples.length).toBe(TARGET_SAMPLE_RATE / 2);
+    });
+
+    test.each([
+        ['empty', Buffer.alloc(0), {}, /empty/],
+        ['too large', Buffer.alloc(2048), { maxBytes: 1024 }, /too large/],
+        ['unrecognized', Buffer.from('definitely not audio'), {}, /Unrecognized/],
+        ['too long', encodeWav(sineTone(2000, 8000), 8000), { maxDurationMs: 1000 }, /too long/]
+    ])('rejects %s clips', async (name, buffer, options, message) => {
+        const attempt = normalizeAudio(buffer, options);
+        await expect(attempt).rejects.toThrow(AudioValidationError);
+        await expect(attempt).rejects.toThrow(message);
+    });
+
+    test('passes compressed audio through when ffmpeg is missing', async () => {
+        const ogg = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(24), Buffer.from('OpusHead')]);
+        const clip = await normalizeAudio(ogg, { ffmpegPath: '/nonexistent/ffmpeg' });
+        expect(clip).toMatchObject({ audio: ogg, contentType: 'audio/ogg', durationMs: null });
+    });
+});
@@ -0,0 +1,56 @@
+// audio_stream.test.js
+// Assembling streamed chunks and pacing interim transcriptions
+const { AudioStreamAssembler } = require('../audio_stream');
+
+describe('AudioStreamAssembler', () => {
+    test('assembles chunks in sequence order, whatever their encoding', () => {
+        const streams = new AudioStreamAssembler();
+        streams.append('socket1', 's1', Buffer.from('cd'), 1);
+        streams.append('socket1', 's1', Buffer.from('ab').toString('base64'), 0);
+        streams.append('socket1', 's1', new Uint8Array([101, 102]), 2);
+        expect(streams.finish('socket1', 's1').toString()).toBe('abcdef');
+    });
+
+    test('starts over when the speaker begins a new stream', () => {
+        const streams = new AudioStreamAssembler();
+        streams.append('socket1', 's1', Buffer.from('old'));
+        streams.append('socket1', 's2', Buffer.from('new'));
+        expect(streams.isActive('socket1', 's1')).toBe(false);
+        expect(streams.finish('socket1', 's1')).toBeNull();
+        expect(streams.finish('socket1', 's2').toString()).toBe('new');
+        expect(streams.isActive('socket1', 's2')).toBe(false);
+    });
+
+    test('drops a stream that grows too large', () => {
+        const streams = new AudioStreamAssembler({ maxBytes: 4 });
+        streams.append('socket1', 's1', Buffer.from('abc'));
+        expect(() => streams.append('socket1', 's1', Buffer.from('de'))).toThrow('Audio stream is too large');
+        expect(streams.isActive('socket1', 's1')).toBe(false);
+    });
+
+    test('rejects chunks it cannot read', () => {
+        const streams = new AudioStreamAssembler();
+        expect(() => streams.append('socket1', 's1', 42)).toThrow('Unsupported audio chunk type');
+    });
+
+    test('paces partial transcriptions and caps them per stream', () => {
+        const streams = new AudioStreamAssembler({ partialIntervalMs: 1000, maxPartials: 2 });
+        const stream = streams.append('socket1', 's1', Buffer.from('a'));
+
+        expect(streams.takePartialSlot(stream, 10000)).toBe(true);
+        // Only one in flight at a time
+        expect(streams.takePartialSlot(stream, 12000)).toBe(false);
+        streams.releasePartialSlot(stream);
+        expect(streams.takePartialSlot(stream, 10500)).toBe(false);
+        expect(streams.takePartialSlot(stream, 11000)).toBe(true);
+        streams.releasePartialSlot(stream);
+        expect(streams.takePartialSlot(stream, 20000)).toBe(false);
+    });
+
+    test('forgets discarded streams', () => {
+        const streams = new AudioStreamAssembler();
+        streams.append('socket1', 's1', Buffer.from('a'));
+        streams.discard('socket1');
+        expect(streams.finish('socket1', 's1')).toBeNull();
+    });
+});
@@ -0,0 +1,101 @@
+// auth.test.js
+// Staff accounts, staff tokens and guest join tokens
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const { hashPassword } = require('../auth');
+
+process.env.STAFF_ACCOUNTS = [
+    `desk:receptionist:${hashPassword('desk-pw')}:taj-palace`,
+    `owner:admin:${hashPassword('owner-pw')}`
+].join(',');
+jest.resetModules();
+const auth = require('../auth');
+
+describe('passwords and staff accounts', () => {
+    test('verifies hashed passwords', () => {
+        const stored = auth.hashPassword('secret');
+        expect(auth.verifyPassword('secret', stored)).toBe(true);
+        expect(auth.verifyPassword('wrong', stored)).toBe(false);
+        expect(auth.verifyPassword('secret', 'not-a-hash')).toBe(false);
+    });
+
+    test('skips invalid STAFF_ACCOUNTS entries', () => {
+        const accounts = auth.parseStaffAccounts('a:admin:salt:hash, b:janitor:salt:hash, c:receptionist');
+        expect([...accounts.keys()]).toEqual(['a']);
+    });
+
+    test('authenticates configured staff', () => {
+        expect(auth.authenticateStaff('desk', 'desk-pw')).toEqual({
+            username: 'desk',
+            role: 'receptionist',
+            hotelId: 'taj-palace'
+        });
+        expect(auth.authenticateStaff('desk', 'owner-pw')).toBeNull();
+        expect(auth.authenticateStaff('nobody', 'desk-pw')).toBeNull();
+    });
+});
+
+describe('resolveJoinIdentity', () => {
+    test('lets staff join as the receptionist', () => {
+        const token = auth.issueStaffToken({ username: 'desk', role: 'receptionist', hotelId: 'taj-palace' });
+        expect(auth.resolveJoinIdentity(token, 'any-room')).toMatchObject({
+            role: 'receptionist',
+            account: 'desk',
+            hotelId: 'taj-palace'
+        });
+    });
+
+    test('binds guest tokens to their room', () => {
+        const expiresAt = new Date(Date.now() + 60 * 1000);
+        const token = auth.issueGuestToken('room1', { expiresAt });
+        const identity = auth.resolveJoinIdentity(token, 'room1');
+
+        expect(identity).toMatchObject({ role: 'guest', account: null, session: false });
+        expect(identity.tokenId).toEqual(expect.any(String));
+        expect(auth.resolveJoinIdentity(token, 'room2')).toBeNull();
+        expect(auth.resolveJoinIdentity(auth.issueGuestToken('room1', { expiresAt, session: true }), 'room1').session)
+            .toBe(true);
+    });
+
+    test('rejects expired, forged and missing tokens', () => {
+        const expired = auth.issueGuestToken('room1', { expiresAt: new Date(Date.now() - 1000) });
+        const forged = jwt.sign({ type: 'guest', role: 'guest', room: 'room1' }, 'other-secret');
+        expect(auth.resolveJoinIdentity(expired, 'room1')).toBeNull();
+        expect(auth.resolveJoinIdentity(forged, 'room1')).toBeNull();
+        expect(auth.resolveJoinIdentity(undefined, 'room1')).toBeNull();
+    });
+});
+
+describe('requireStaff', () => {
+    function run(middleware, token) {
+        const req = { get: () => (token ? `Bearer ${token}` : '') };
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        middleware(req, res, next);
+        return { req, res, next };
+    }
+
+    test('admits staff with an allowed role', () => {
+        const token = auth.issueStaffToken({ username: 'owner', role: 'admin' });
+        const { req, next } = run(auth.requireStaff('admin'), token);
+        expect(next).toHaveBeenCalled();
+        expect(req.staff).toEqual({ username: 'owner', role: 'admin', hotelId: null });
+    });
+
+    test('answers 401 without a staff token and 403 for other roles', () => {
+        const guest = auth.issueGuestToken('room1');
+        expect(run(auth.requireStaff(), guest).res.status).toHaveBeenCalledWith(401);
+
+        const desk = auth.issueStaffToken({ username: 'desk', role: 'receptionist' });
+        const { res, next } = run(auth.requireStaff('admin'), desk);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('limits hotel staff to their own hotel', () => {
+        expect(auth.canAccessHotel({ hotelId: 'taj-palace' }, 'taj-palace')).toBe(true);
+        expect(auth.canAccessHotel({ hotelId: 'taj-palace' }, 'oberoi')).toBe(false);
+        expect(auth.canAccessHotel({ hotelId: null }, 'oberoi')).toBe(true);
+    });
+});
@@ -0,0 +1,69 @@
+// glossary.test.js
+// Glossary terms and protected tokens applied around MT
+const { GlossaryStore, GlossaryValidationError } = require('../glossary');
+
+let store;
+beforeEach(() => {
+    store = new GlossaryStore({ languages: ['en-IN', 'hi-IN'] });
+});
+
+// What MT would see, with the placeholders put back untranslated
+async function roundTrip(text) {
+    const prepared = await store.prepare('hotel1', text, 'en-IN', 'hi-IN');
+    return { ...prepared, restored: prepared.restore(prepared.text) };
+}
+
+test('replaces glossary terms with their fixed translation', async () => {
+    await store.addTerm('hotel1', { sourceLanguage: 'en-IN', source: 'Deluxe Room', targetLanguage: 'hi-IN', target: 'डीलक्स कमरा' });
+    await store.addTerm('hotel1', { sourceLanguage: 'en-IN', source: 'Room', targetLanguage: 'hi-IN', target: 'कमरा' });
+
+    const { text, restored } = await roundTrip('Your deluxe room is ready');
+    expect(text).toBe('Your __G0__ is ready');
+    expect(restored).toBe('Your डीलक्स कमरा is ready');
+});
+
+test('matches terms only as whole words', async () => {
+    await store.addTerm('hotel1', { sourceLanguage: 'en-IN', source: 'room', targetLanguage: 'hi-IN', target: 'कमरा' });
+    await store.addProtectedTerm('hotel1', { text: 'Ram' });
+
+    const { text } = await roundTrip('The bathroom and the Roomba are near Ramesh');
+    expect(text).toBe('The bathroom and the Roomba are near Ramesh');
+});
+
+test('keeps protected terms and built-in tokens as they are', async () => {
+    await store.addProtectedTerm('hotel1', { text: 'Mr. Sharma' });
+
+    const { text, restored } = await roundTrip('Mr. Sharma, Room 204 costs Rs 3,000');
+    expect(text).not.toMatch(/Sharma|204|3,000/);
+    expect(restored).toBe('Mr. Sharma, Room 204 costs Rs 3,000');
+});
+
+test('skips MT when nothing translatable is left', async () => {
+    expect((await roundTrip('Rs 3000')).needsTranslation).toBe(false);
+    expect((await roundTrip('Rs 3000 please')).needsTranslation).toBe(true);
+});
+
+test('only applies terms for the language pair and hotel', async () => {
+    await store.addTerm('hotel1', { sourceLanguage: 'hi-IN', source: 'कमरा', targetLanguage: 'en-IN', target: 'room' });
+    await store.addTerm('hotel2', { sourceLanguage: 'en-IN', source: 'lobby', targetLanguage: 'hi-IN', target: 'लॉबी' });
+
+    expect((await roundTrip('कमरा in the lobby')).text).toBe('कमरा in the lobby');
+});
+
+test('rejects invalid terms', async () => {
+    await expect(store.addTerm('hotel1', { sourceLanguage: 'xx', source: 'a', targetLanguage: 'hi-IN', target: 'b' }))
+        .rejects.toThrow(GlossaryValidationError);
+    await expect(store.addTerm('hotel1', { sourceLanguage: 'en-IN', source: ' ', targetLanguage: 'hi-IN', target: 'b' }))
+        .rejects.toThrow(GlossaryValidationError);
+    await expect(store.addProtectedTerm('hotel1', {})).rejects.toThrow(GlossaryValidationError);
+});
+
+test('updates and deletes terms', async () => {
+    const term = await store.addTerm('hotel1', { sourceLanguage: 'en-IN', source: 'lobby', targetLanguage: 'hi-IN', target: 'लॉबी' });
+    await store.updateTerm('hotel1', term.id, { ...term, target: 'स्वागत कक्ष' });
+    expect((await store.get('hotel1')).terms[0].target).toBe('स्वागत कक्ष');
+
+    expect(await store.deleteTerm('hotel1', term.id)).toBe(true);
+    expect(await store.deleteTerm('hotel1', term.id)).toBe(false);
+    expect(await store.updateTerm('hotel1', term.id, term)).toBeNull();
+});
@@ -0,0 +1,45 @@
+// health_checks.test.js
+// Cached dependency checks behind /health/ready
+const { CachedCheck } = require('../health_checks');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('CachedCheck', () => {
+    test('reuses a result until it goes stale', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const check = jest.fn().mockResolvedValue(true);
+        const cached = new CachedCheck({ check, ttlMs: 500 });
+
+        expect(await cached.get()).toEqual({ value: true, error: null, checkedAt: 1000 });
+        now.mockReturnValue(1499);
+        await cached.get();
+        expect(check).toHaveBeenCalledTimes(1);
+
+        now.mockReturnValue(1500);
+        expect((await cached.get()).checkedAt).toBe(1500);
+        expect(check).toHaveBeenCalledTimes(2);
+    });
+
+    test('shares one in-flight check between callers', async () => {
+        let finish;
+        const check = jest.fn(() => new Promise(resolve => {
+            finish = resolve;
+        }));
+        const cached = new CachedCheck({ check });
+
+        const results = Promise.all([cached.get(), cached.get()]);
+        finish('up');
+        expect((await results).map(result => result.value)).toEqual(['up', 'up']);
+        expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports a failed check as an error', async () => {
+        const cached = new CachedCheck({ check: () => Promise.reject(new Error('connection refused')) });
+        expect(await cached.get()).toMatchObject({ value: null, error: 'connection refused' });
+    });
+
+    test('gives up on a check that does not answer', async () => {
+        const cached = new CachedCheck({ check: () => new Promise(() => {}), timeoutMs: 20 });
+        expect((await cached.get()).error).toBe('Check timed out after 20 ms');
+    });
+});
@@ -0,0 +1,184 @@
+// helpers/server.js
+// Runs the real server on a random port with an instant in-process provider,
+// for socket and REST tests. Require it before anything else in a test file.
+const crypto = require('crypto');
+
+// A receptionist account that can log in ("salt:hash" as made by auth.hashPassword)
+const STAFF_LOGIN = { username: 'desk', password: 'desk-pw' };
+const salt = crypto.randomBytes(16).toString('hex');
+const passwordHash = `${salt}:${crypto.scryptSync(STAFF_LOGIN.password, salt, 64).toString('hex')}`;
+
+// Read when the modules below load
+Object.assign(process.env, {
+    PORT: '0',
+    JWT_SECRET: 'test-secret',
+    STAFF_ACCOUNTS: `${STAFF_LOGIN.username}:receptionist:${passwordHash}`,
+    TRANSLATION_PROVIDER: 'test',
+    LOG_LEVEL: 'error'
+});
+
+const { once } = require('events');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const { registerProvider } = require('../../translation_providers');
+const { DEFAULT_LANGUAGES } = require('../../sarvam_integration');
+const { encodeWav, sineTone } = require('../../wav');
+
+// What the fake provider returns; tests change fields to steer the pipeline
+const provider = {
+    transcript: 'I need a towel',
+    confidence: 0.95,
+    languageCode: 'hi-IN',
+    calls: { transcribe: 0, translate: 0 },
+    async transcribe(audio, languageCode) {
+        this.calls.transcribe++;
+        return {
+            transcript: this.transcript,
+            confidence: this.confidence,
+            language_code: languageCode === 'unknown' ? this.languageCode : languageCode
+        };
+    },
+    async translate(text, sourceLanguage, targetLanguage, options = {}) {
+        this.calls.translate++;
+        const style = `${options.mode || 'formal'}/${options.speakerGender || 'male'}`;
+        return { text: `[${targetLanguage} ${style}] ${text}`, source_language: sourceLanguage, target_language: targetLanguage };
+    },
+    async synthesize() {
+        return { audio: encodeWav(sineTone(100, 16000), 16000), contentType: 'audio/wav' };
+    },
+    async getSupportedLanguages() {
+        return DEFAULT_LANGUAGES;
+    },
+    async healthCheck() {
+        return true;
+    }
+};
+registerProvider('test', () => provider);
+
+/**
+ * Start the server once per test file
+ * @param {Object} [env] - Extra environment variables, read when server.js loads
+ * @returns {Promise<Object>} { app, io, url, auth, provider, stop }
+ */
+async function startServer(env = {}) {
+    Object.assign(process.env, env);
+    const { app, server, io } = require('../../server');
+    if (!server.listening) {
+        await once(server, 'listening');
+    }
+    return {
+        app,
+        io,
+        url: `http://127.0.0.1:${server.address().port}`,
+        auth: require('../../auth'),
+        provider,
+        stop: () => new Promise(resolve => io.close(() => resolve()))
+    };
+}
+
+/**
+ * Resolve with the next payload of an event (rejects after timeoutMs)
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @param {number} [timeoutMs] - How long to wait
+ * @returns {Promise<*>} Event payload
+ */
+function nextEvent(socket, event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`No ${event} event within ${timeoutMs} ms`));
+        }, timeoutMs);
+        const listener = payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        };
+        socket.once(event, listener);
+    });
+}
+
+/**
+ * Collect every payload of an event from now on
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @returns {Array} Payloads, filled as they arrive
+ */
+function collect(socket, event) {
+    const payloads = [];
+    socket.on(event, payload => payloads.push(payload));
+    return payloads;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A short 16 kHz WAV clip, as recorded by the browser
+const speechClip = (durationMs = 500) => encodeWav(sineTone(durationMs, 16000), 16000);
+
+/**
+ * Client helpers bound to a running server; sockets are closed by closeAll()
+ * @param {Object} running - From startServer
+ * @returns {Object} { createRoom, connect, join, closeAll, staffToken }
+ */
+function clients(running) {
+    const sockets = [];
+    const staffToken = (role = 'admin', hotelId = null) =>
+        running.auth.issueStaffToken({ username: `test-${role}`, role, hotelId });
+
+    // Create a room through the API and return its id and guest token
+    async function createRoom(options = {}) {
+        const { body } = await request(running.app)
+            .post('/api/generate-room')
+            .set('Authorization', `Bearer ${staffToken()}`)
+            .send(options)
+            .expect(200);
+        return { roomId: body.roomId, guestToken: new URL(body.guestUrl).searchParams.get('token') };
+    }
+
+    // A connected socket that has not joined a room (e.g. for the admin feed)
+    function connect() {
+        const socket = connectClient(running.url, { transports: ['websocket'], forceNew: true });
+        sockets.push(socket);
+        return socket;
+    }
+
+    // Connect and join; resolves with the socket once the history replay that
+    // follows room_joined has arrived (or rejects with the join error)
+    async function join(room, token, data = {}) {
+        const socket = connect();
+        const joined = new Promise((resolve, reject) => {
+            const onError = error => {
+                socket.off('room_joined', onJoined);
+                reject(Object.assign(new Error(error.message), error));
+            };
+            const onJoined = payload => {
+                socket.off('error', onError);
+                socket.joined = payload;
+                socket.once('message_history', history => {
+                    socket.history = history;
+                    resolve(socket);
+                });
+            };
+            socket.once('room_joined', onJoined);
+            socket.once('error', onError);
+        });
+        socket.emit('join_room', { room, token, ...data });
+        return joined;
+    }
+
+    function closeAll() {
+        sockets.splice(0).forEach(socket => socket.close());
+    }
+
+    return { createRoom, connect, join, closeAll, staffToken };
+}
+
+module.exports = {
+    STAFF_LOGIN,
+    provider,
+    startServer,
+    clients,
+    nextEvent,
+    collect,
+    wait,
+    speechClip
+};
@@ -0,0 +1,81 @@
+// hotels.test.js
+// Hotel settings, their validation and what guests see of them
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_HOTEL_ID, HotelStore, HotelValidationError, publicHotelProfile } = require('../hotels');
+
+const languages = ['en-IN', 'hi-IN', 'ta-IN'];
+
+test('starts with the default hotel offering every language', async () => {
+    const [hotel] = await new HotelStore({ languages }).list();
+    expect(hotel).toMatchObject({
+        id: DEFAULT_HOTEL_ID,
+        name: 'Default Hotel',
+        receptionistLanguage: 'en-IN',
+        guestLanguages: languages,
+        translationMode: 'formal'
+    });
+});
+
+test('derives the id from the name and refuses duplicates', async () => {
+    const store = new HotelStore({ languages });
+    const hotel = await store.create({ name: 'Taj Palace', guestLanguages: ['hi-IN', 'hi-IN'] });
+
+    expect(hotel.id).toBe('taj-palace');
+    expect(hotel.guestLanguages).toEqual(['hi-IN']);
+    await expect(store.create({ name: 'Taj Palace' })).rejects.toThrow('Hotel "taj-palace" already exists');
+});
+
+test.each([
+    [{ name: ' ' }, 'name must be a non-empty string'],
+    [{ name: 'Taj', id: 'Taj!' }, 'id must be lowercase letters, digits and dashes'],
+    [{ name: 'Taj', receptionistLanguage: 'xx' }, 'receptionistLanguage must be a supported language code'],
+    [{ name: 'Taj', guestLanguages: [] }, 'guestLanguages must be a non-empty list of supported language codes'],
+    [{ name: 'Taj', translationMode: 'casual' }, /translationMode must be one of/],
+    [{ name: 'Taj', branding: { logoUrl: 'https://cdn.example/logo.png' } }, /logoUrl must be a path on this server/],
+    [{ name: 'Taj', branding: { logoUrl: '/../secret' } }, /logoUrl must be a path on this server/],
+    [{ name: 'Taj', branding: { primaryColor: 'red' } }, /primaryColor must be a hex color/],
+    [{ name: 'Taj', branding: { welcomeMessage: 'x'.repeat(501) } }, /welcomeMessage must be a string of at most 500/]
+])('rejects %p', async (input, message) => {
+    const store = new HotelStore({ languages });
+    await expect(store.create(input)).rejects.toThrow(HotelValidationError);
+    await expect(store.create(input)).rejects.toThrow(message);
+});
+
+test('updates settings but not the id, and deletes hotels', async () => {
+    const store = new HotelStore({ languages });
+    await store.create({ name: 'Oberoi', branding: { primaryColor: '#112233' } });
+
+    const updated = await store.update('oberoi', { id: 'other', translationMode: 'informal' });
+    expect(updated).toMatchObject({ id: 'oberoi', translationMode: 'informal', branding: { primaryColor: '#112233' } });
+    expect(await store.update('missing', {})).toBeNull();
+    expect(await store.delete('oberoi')).toBe(true);
+    expect(await store.get('oberoi')).toBeUndefined();
+});
+
+test('falls back to default settings for a deleted hotel', async () => {
+    const settings = await new HotelStore({ languages }).settings('gone');
+    expect(settings).toMatchObject({ id: 'gone', receptionistLanguage: 'en-IN', guestLanguages: languages });
+});
+
+test('shows guests only the name, languages and branding', async () => {
+    const hotel = await new HotelStore({ languages }).create({ name: 'Leela', guestLanguages: ['ta-IN'] });
+    expect(publicHotelProfile(hotel)).toEqual({
+        id: 'leela',
+        name: 'Leela',
+        guestLanguages: ['ta-IN'],
+        branding: { logoUrl: null, primaryColor: null, welcomeMessage: null }
+    });
+});
+
+test('persists hotels to a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotels-'));
+    const filePath = path.join(dir, 'hotels.json');
+    try {
+        await new HotelStore({ languages, filePath }).create({ name: 'ITC Grand' });
+        expect(await new HotelStore({ languages, filePath }).get('itc-grand')).toMatchObject({ name: 'ITC Grand' });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
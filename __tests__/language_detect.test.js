@@ -0,0 +1,41 @@
+// language_detect.test.js
+// Script-based detection of typed guest text
+const { isAutoLanguage, detectTextLanguage } = require('../language_detect');
+
+describe('isAutoLanguage', () => {
+    test('recognizes only the auto setting', () => {
+        expect(isAutoLanguage('auto')).toBe(true);
+        expect(isAutoLanguage('hi-IN')).toBe(false);
+        expect(isAutoLanguage(undefined)).toBe(false);
+    });
+});
+
+describe('detectTextLanguage', () => {
+    test.each([
+        ['नमस्ते, मुझे तौलिया चाहिए', 'hi-IN'],
+        ['मला टॉवेल हवा आहे', 'mr-IN'],
+        ['বাথরুম কোথায়', 'bn-IN'],
+        ['எனக்கு துண்டு வேண்டும்', 'ta-IN'],
+        ['నాకు టవల్ కావాలి', 'te-IN'],
+        ['ನನಗೆ ಟವೆಲ್ ಬೇಕು', 'kn-IN'],
+        ['എനിക്ക് ടവൽ വേണം', 'ml-IN'],
+        ['ਮੈਨੂੰ ਤੌਲੀਆ ਚਾਹੀਦਾ ਹੈ', 'pa-IN'],
+        ['મને ટુવાલ જોઈએ છે', 'gu-IN'],
+        ['ମୋତେ ଟାୱେଲ ଦରକାର', 'or-IN'],
+        ['I need a towel', 'en-IN']
+    ])('detects %s as %s', (text, language) => {
+        expect(detectTextLanguage(text).language).toBe(language);
+    });
+
+    test('goes by the dominant script and reports its share', () => {
+        const detected = detectTextLanguage('Room 204 में AC');
+        expect(detected.language).toBe('en-IN');
+        // "में" is three code points, vowel signs included
+        expect(detected.confidence).toBeCloseTo(6 / 9);
+    });
+
+    test('does not guess without letters', () => {
+        expect(detectTextLanguage('204 ?!')).toBeNull();
+        expect(detectTextLanguage('')).toBeNull();
+    });
+});
@@ -0,0 +1,87 @@
+// logger.test.js
+// Structured log entries, correlation ids and PII redaction
+const { Logger, redactString, createLoggerFromEnv } = require('../logger');
+
+let stdout;
+let stderr;
+beforeEach(() => {
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+afterEach(() => jest.restoreAllMocks());
+
+const entries = stream => stream.mock.calls.map(([line]) => JSON.parse(line));
+
+describe('redactString', () => {
+    test.each([
+        ['Mail guest@example.com please', 'Mail [EMAIL] please'],
+        ['Card 4111 1111 1111 1111 on file', 'Card [CARD] on file'],
+        ['Call +91 98765 43210', 'Call [PHONE]'],
+        ['Room 204 at 2024-05-01T10:30:00.000Z', 'Room 204 at 2024-05-01T10:30:00.000Z'],
+        ['room_1712345678901_ab', 'room_1712345678901_ab']
+    ])('turns %s into %s', (text, redacted) => {
+        expect(redactString(text)).toBe(redacted);
+    });
+});
+
+describe('Logger', () => {
+    test('writes JSON entries with the child context', () => {
+        new Logger().child({ room: 'room1' }).child({ messageId: 'm1' }).info('Message delivered', { speaker: 'guest' });
+
+        expect(entries(stdout)).toEqual([{
+            time: expect.any(String),
+            level: 'info',
+            msg: 'Message delivered',
+            room: 'room1',
+            messageId: 'm1',
+            speaker: 'guest'
+        }]);
+    });
+
+    test('sends warnings and errors to stderr and skips levels below its own', () => {
+        const logger = new Logger({ level: 'warn' });
+        logger.info('Skipped');
+        logger.error('Translation failed', new Error('timeout'));
+
+        expect(stdout).not.toHaveBeenCalled();
+        const [entry] = entries(stderr);
+        expect(entry.error).toMatchObject({ name: 'Error', message: 'timeout' });
+    });
+
+    test('masks conversation content, secrets and PII', () => {
+        new Logger().info('Guest guest@example.com joined', {
+            text: 'My number is 98765 43210',
+            token: 'abc',
+            details: { note: 'call 98765 43210', audioData: Buffer.alloc(4) }
+        });
+
+        expect(entries(stdout)[0]).toMatchObject({
+            msg: 'Guest [EMAIL] joined',
+            text: '[REDACTED]',
+            token: '[REDACTED]',
+            details: { note: 'call [PHONE]', audioData: '[REDACTED]' }
+        });
+    });
+
+    test('keeps content but not secrets when redaction is off', () => {
+        new Logger({ redact: false }).info('Message', { text: 'Hello', password: 'pw', audio: Buffer.alloc(4) });
+        expect(entries(stdout)[0]).toMatchObject({ text: 'Hello', password: '[REDACTED]', audio: '[Buffer 4 bytes]' });
+    });
+
+    test('stops at deeply nested fields', () => {
+        const cyclic = {};
+        cyclic.self = cyclic;
+        new Logger().info('Cyclic', { cyclic });
+        expect(entries(stdout)[0].cyclic.self.self.self.self).toBe('[Object]');
+    });
+});
+
+describe('createLoggerFromEnv', () => {
+    test('only turns redaction off for debug logging', () => {
+        expect(createLoggerFromEnv({ LOG_UNREDACTED: 'true' }).redact).toBe(true);
+
+        const logger = createLoggerFromEnv({ LOG_LEVEL: 'debug', LOG_UNREDACTED: 'true' });
+        expect(logger).toMatchObject({ level: 'debug', redact: false });
+        expect(entries(stderr)[0].msg).toMatch(/Unredacted debug logging is on/);
+    });
+});
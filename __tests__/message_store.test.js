@@ -0,0 +1,129 @@
+// message_store.test.js
+// Conversation history stores: paging, deletion and retention
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_PAGE_SIZE,
+    MemoryMessageStore,
+    FileMessageStore,
+    createMessageStore,
+    createMessageStoreFromEnv
+} = require('../message_store');
+
+function message(id, timestamp = new Date().toISOString()) {
+    return { id, timestamp, original: { text: `text ${id}` } };
+}
+
+let directory;
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'messages-'));
+});
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+describe.each([
+    ['MemoryMessageStore', () => new MemoryMessageStore()],
+    ['FileMessageStore', () => new FileMessageStore({ directory })]
+])('%s', (name, createStore) => {
+    let store;
+    beforeEach(async () => {
+        store = createStore();
+        for (const id of ['m1', 'm2', 'm3']) {
+            await store.append('room1', message(id));
+        }
+    });
+
+    test('lists pages oldest first with the total', async () => {
+        const page = await store.list('room1', { offset: 1, limit: 1 });
+        expect(page.messages.map(stored => stored.id)).toEqual(['m2']);
+        expect(page.total).toBe(3);
+        expect(await store.count('room1')).toBe(3);
+    });
+
+    test('falls back to the default page for bad options', async () => {
+        for (let i = 0; i < DEFAULT_PAGE_SIZE; i++) {
+            await store.append('room1', message(`extra${i}`));
+        }
+        const page = await store.list('room1', { offset: -5, limit: 'many' });
+        expect(page.messages).toHaveLength(DEFAULT_PAGE_SIZE);
+        expect(page.messages[0].id).toBe('m1');
+    });
+
+    test('keeps rooms apart and forgets deleted ones', async () => {
+        await store.append('room2', message('other'));
+        await store.deleteRoom('room1');
+        expect(await store.list('room1')).toEqual({ messages: [], total: 0 });
+        expect(await store.count('room2')).toBe(1);
+    });
+
+    test('reports itself healthy', async () => {
+        expect(await store.healthCheck()).toBe(true);
+    });
+});
+
+describe('MemoryMessageStore retention', () => {
+    test('prunes rooms whose last message is older than the retention period', async () => {
+        const store = new MemoryMessageStore({ retentionMs: 60 * 1000 });
+        const now = new Date('2026-01-01T12:00:00Z');
+        await store.append('quiet', message('old', '2026-01-01T11:00:00Z'));
+        await store.append('busy', message('old', '2026-01-01T11:00:00Z'));
+        await store.append('busy', message('new', '2026-01-01T11:59:30Z'));
+
+        expect(await store.prune(now)).toBe(1);
+        expect(await store.count('quiet')).toBe(0);
+        expect(await store.count('busy')).toBe(2);
+    });
+});
+
+describe('FileMessageStore', () => {
+    test('keeps room ids inside its directory', async () => {
+        const store = new FileMessageStore({ directory });
+        await store.append('../escape', message('m1'));
+        expect(fs.readdirSync(directory)).toEqual(['___escape.jsonl']);
+        expect(await store.count('../escape')).toBe(1);
+    });
+
+    test('survives a restart', async () => {
+        await new FileMessageStore({ directory }).append('room1', message('m1'));
+        expect(await new FileMessageStore({ directory }).count('room1')).toBe(1);
+    });
+
+    test('prunes files untouched for longer than the retention period', async () => {
+        const store = new FileMessageStore({ directory, retentionMs: 60 * 1000 });
+        await store.append('old', message('m1'));
+        await store.append('fresh', message('m2'));
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        fs.utimesSync(store.roomFile('old'), hourAgo, hourAgo);
+
+        expect(await store.prune()).toBe(1);
+        expect(await store.count('old')).toBe(0);
+        expect(await store.count('fresh')).toBe(1);
+    });
+
+    test('keeps files forever without a retention period', async () => {
+        const store = new FileMessageStore({ directory });
+        await store.append('room1', message('m1'));
+        expect(await store.prune(new Date(Date.now() + 365 * 24 * 60 * 60 * 1000))).toBe(0);
+    });
+});
+
+describe('createMessageStore', () => {
+    test('creates stores by type and rejects unknown ones', async () => {
+        expect(createMessageStore().type).toBe('memory');
+        const fileStore = createMessageStore('file', { directory });
+        expect(fileStore.type).toBe('file');
+        await fileStore.ready;
+        expect(() => createMessageStore('redis')).toThrow(/Unknown message store "redis"/);
+    });
+
+    test('reads the environment', async () => {
+        const store = createMessageStoreFromEnv({
+            MESSAGE_STORE: 'file',
+            MESSAGE_STORE_DIR: directory,
+            MESSAGE_RETENTION_MS: '5000'
+        });
+        expect(store.directory).toBe(directory);
+        expect(store.retentionMs).toBe(5000);
+        await store.ready;
+    });
+});
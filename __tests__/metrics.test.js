@@ -0,0 +1,52 @@
+// metrics.test.js
+// Prometheus metrics and the gauges and counters read at scrape time
+const { createMetrics } = require('../metrics');
+
+function createTestMetrics(overrides = {}) {
+    return createMetrics({
+        roomHotels: async () => ['taj', 'taj', 'oberoi'],
+        socketHotels: () => ['taj'],
+        cacheStats: () => ({ memoryHits: 3, diskHits: 1, misses: 2 }),
+        ...overrides
+    });
+}
+
+test('counts rooms and sockets per hotel at scrape time', async () => {
+    const text = await createTestMetrics().register.metrics();
+    expect(text).toMatch(/^hotel_translation_active_rooms\{hotel="taj"\} 2$/m);
+    expect(text).toMatch(/^hotel_translation_active_rooms\{hotel="oberoi"\} 1$/m);
+    expect(text).toMatch(/^hotel_translation_connected_sockets\{hotel="taj"\} 1$/m);
+});
+
+test('drops hotels that no longer have rooms', async () => {
+    let hotels = ['taj', 'oberoi'];
+    const { register } = createTestMetrics({ roomHotels: async () => hotels });
+    await register.metrics();
+    hotels = ['taj'];
+    expect(await register.metrics()).not.toMatch(/active_rooms\{hotel="oberoi"\}/);
+});
+
+test('reports the translation cache totals as counters', async () => {
+    const stats = { memoryHits: 3, diskHits: 1, misses: 2 };
+    const { register } = createTestMetrics({ cacheStats: () => stats });
+    await register.metrics();
+    stats.memoryHits = 5;
+
+    const text = await register.metrics();
+    expect(text).toMatch(/^# TYPE hotel_translation_cache_hits_total counter$/m);
+    expect(text).toMatch(/^hotel_translation_cache_hits_total\{tier="memory"\} 5$/m);
+    expect(text).toMatch(/^hotel_translation_cache_hits_total\{tier="disk"\} 1$/m);
+    expect(text).toMatch(/^hotel_translation_cache_misses_total 2$/m);
+});
+
+test('records pipeline counters and latencies with their labels', async () => {
+    const metrics = createTestMetrics();
+    metrics.messagesTotal.inc({ hotel: 'taj', speaker: 'guest', language: 'hi-IN' });
+    metrics.pipelineErrors.inc({ hotel: 'taj', stage: 'translating' });
+    metrics.mtDuration.observe({ hotel: 'taj', source_language: 'en-IN', target_language: 'hi-IN' }, 0.3);
+
+    const text = await metrics.register.metrics();
+    expect(text).toMatch(/^hotel_translation_messages_total\{hotel="taj",speaker="guest",language="hi-IN"\} 1$/m);
+    expect(text).toMatch(/^hotel_translation_errors_total\{hotel="taj",stage="translating"\} 1$/m);
+    expect(text).toMatch(/^hotel_translation_mt_duration_seconds_bucket\{le="0.5",hotel="taj",source_language="en-IN",target_language="hi-IN"\} 1$/m);
+});
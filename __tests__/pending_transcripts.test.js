@@ -0,0 +1,60 @@
+// pending_transcripts.test.js
+// Holding unsure transcripts until their speaker answers
+const { DEFAULT_CONFIDENCE_THRESHOLD, parseConfidenceThreshold, PendingTranscripts } = require('../pending_transcripts');
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test.each([
+    ['0.5', 0.5],
+    ['0', 0],
+    ['1.5', DEFAULT_CONFIDENCE_THRESHOLD],
+    [undefined, DEFAULT_CONFIDENCE_THRESHOLD]
+])('parseConfidenceThreshold reads %p as %p', (value, threshold) => {
+    expect(parseConfidenceThreshold(value)).toBe(threshold);
+});
+
+describe('PendingTranscripts', () => {
+    test('holds transcripts below the threshold and unscored ones when asked', () => {
+        const pending = new PendingTranscripts({ threshold: 0.7 });
+        expect(pending.needsConfirmation(0.69)).toBe(true);
+        expect(pending.needsConfirmation(0.7)).toBe(false);
+        expect(pending.needsConfirmation(null)).toBe(false);
+        expect(new PendingTranscripts({ threshold: 0, confirmUnscored: true }).needsConfirmation(null)).toBe(true);
+        expect(new PendingTranscripts({ threshold: 0 }).needsConfirmation(0.1)).toBe(false);
+    });
+
+    test('lets only the speaker take a transcript, once', () => {
+        const pending = new PendingTranscripts();
+        const held = pending.hold('socket1', { room: 'room1', original: { text: 'towel' } });
+
+        expect(held.id).toMatch(/^tr_/);
+        expect(pending.get('socket2', held.id)).toBeNull();
+        expect(pending.take('socket1', held.id)).toMatchObject({ room: 'room1', original: { text: 'towel' } });
+        expect(pending.take('socket1', held.id)).toBeNull();
+    });
+
+    test('expires transcripts nobody answered', () => {
+        jest.useFakeTimers();
+        const onExpire = jest.fn();
+        const pending = new PendingTranscripts({ timeoutMs: 1000, onExpire });
+        const held = pending.hold('socket1', { room: 'room1' });
+
+        jest.advanceTimersByTime(1000);
+        expect(onExpire).toHaveBeenCalledWith(expect.objectContaining({ id: held.id }));
+        expect(pending.get('socket1', held.id)).toBeNull();
+    });
+
+    test('drops a speaker\'s transcripts without expiring them', () => {
+        jest.useFakeTimers();
+        const onExpire = jest.fn();
+        const pending = new PendingTranscripts({ timeoutMs: 1000, onExpire });
+        pending.hold('socket1', { room: 'room1' });
+        pending.hold('socket2', { room: 'room1' });
+
+        expect(pending.discard('socket1')).toHaveLength(1);
+        jest.advanceTimersByTime(1000);
+        expect(onExpire).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,137 @@
+// phrasebook.test.js
+// Quick-reply templates, their pre-translation and filling them in
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MAX_VALUES,
+    MAX_VALUE_LENGTH,
+    PhrasebookStore,
+    PhrasebookValidationError,
+    templatePlaceholders,
+    isAvailableTo
+} = require('../phrasebook');
+
+// Stands in for MT; placeholders come back with the spacing some engines add
+async function fakeTranslate(text, sourceLanguage, targetLanguage) {
+    return `${targetLanguage}: ${text.replace(/__P(\d+)__/g, '__ P$1 __')}`;
+}
+
+function createStore(options = {}) {
+    return new PhrasebookStore({
+        languages: ['en-IN', 'hi-IN', 'ta-IN'],
+        sourceLanguage: 'en-IN',
+        translate: jest.fn(fakeTranslate),
+        ...options
+    });
+}
+
+test('lists placeholders in order of first use', () => {
+    expect(templatePlaceholders('{a} costs {amount}, {a} again')).toEqual(['a', 'amount']);
+});
+
+test('pre-translates templates with their placeholders intact', async () => {
+    const store = createStore();
+    const phrase = await store.add({ text: 'The wifi password is {password}' }, 'hotel1');
+
+    expect(phrase.title).toBe('The wifi password is {password}');
+    expect(phrase.placeholders).toEqual(['password']);
+    expect(phrase.translations).toEqual({
+        'en-IN': 'The wifi password is {password}',
+        'hi-IN': 'hi-IN: The wifi password is {password}',
+        'ta-IN': 'ta-IN: The wifi password is {password}'
+    });
+    // Source-language text is never sent to MT; the hotel's style and all four others are
+    expect(store.translate).toHaveBeenCalledTimes(10);
+    expect(store.translate).toHaveBeenCalledWith('The wifi password is __P0__', 'en-IN', 'hi-IN', 'hotel1', undefined);
+    expect(store.translate).toHaveBeenCalledWith('The wifi password is __P0__', 'en-IN', 'ta-IN', 'hotel1',
+        { translationMode: 'informal', speakerGender: 'female' });
+    expect(Object.keys(phrase.variants)).toEqual(['formal:male', 'formal:female', 'informal:male', 'informal:female']);
+});
+
+test('uses the stored variant for a style', async () => {
+    const store = createStore();
+    const phrase = await store.add({ text: 'Checkout is at noon' });
+    store.translate.mockClear();
+
+    const templates = await store.translationsFor(phrase, { translationMode: 'informal', speakerGender: 'female' }, ['hi-IN']);
+    expect(templates['hi-IN']).toBe('hi-IN: Checkout is at noon');
+    expect(store.translate).not.toHaveBeenCalled();
+});
+
+test('translates a style missing from an older phrase once', async () => {
+    const store = createStore();
+    const phrase = await store.add({ text: 'Checkout is at {time}' });
+    delete phrase.variants;
+    store.translate.mockClear();
+
+    const style = { translationMode: 'formal', speakerGender: 'female' };
+    await store.translationsFor(phrase, style, ['en-IN', 'hi-IN']);
+    const templates = await store.translationsFor(phrase, style, ['hi-IN']);
+    expect(templates).toEqual({ 'en-IN': 'Checkout is at {time}', 'hi-IN': 'hi-IN: Checkout is at {time}' });
+    expect(store.translate).toHaveBeenCalledTimes(1);
+    expect(store.translate).toHaveBeenCalledWith('Checkout is at __P0__', 'en-IN', 'hi-IN', null, style);
+});
+
+test('fills values into the text and every translation', async () => {
+    const store = createStore();
+    const phrase = await store.add({ title: 'Price', text: 'That is {amount} per night' });
+    const filled = store.render(phrase, { amount: ' Rs 3000 ' });
+
+    expect(filled.text).toBe('That is Rs 3000 per night');
+    expect(filled.translations['hi-IN']).toBe('hi-IN: That is Rs 3000 per night');
+    expect(() => store.render(phrase, { amount: ' ' })).toThrow(new PhrasebookValidationError('Missing value for amount'));
+});
+
+test('rejects malformed values', async () => {
+    const phrase = await createStore().add({ text: 'Your table is {table}' });
+    const render = values => () => createStore().render(phrase, values);
+
+    expect(render(null)).toThrow('values must be an object');
+    expect(render(['5'])).toThrow('values must be an object');
+    expect(render({ table: { number: 5 } })).toThrow('Value for table must be a string or number');
+    expect(render({ table: 'x'.repeat(MAX_VALUE_LENGTH + 1) })).toThrow(`Value for table is too long (limit ${MAX_VALUE_LENGTH} characters)`);
+
+    const tooMany = Object.fromEntries(Array.from({ length: MAX_VALUES + 1 }, (value, i) => [`v${i}`, 'x']));
+    expect(render(tooMany)).toThrow(`Too many values (limit ${MAX_VALUES})`);
+    expect(createStore().render(phrase, { table: 5 }).text).toBe('Your table is 5');
+});
+
+test('re-translates updated phrases and deletes them', async () => {
+    const store = createStore();
+    const phrase = await store.add({ text: 'Breakfast is at 7' });
+    const updated = await store.update(phrase.id, { title: 'Breakfast', text: 'Breakfast is at 8' });
+
+    expect(updated.translations['ta-IN']).toBe('ta-IN: Breakfast is at 8');
+    expect(await store.update('missing', { text: 'x' })).toBeNull();
+    expect(await store.delete(phrase.id)).toBe(true);
+    expect(await store.get(phrase.id)).toBeUndefined();
+});
+
+test('rejects phrases without text or with a bad title', async () => {
+    const store = createStore();
+    await expect(store.add({ text: '  ' })).rejects.toThrow(PhrasebookValidationError);
+    await expect(store.add({ text: 'Hi', title: 42 })).rejects.toThrow('title must be a string');
+});
+
+test('shares phrases without a hotel with every hotel', async () => {
+    const store = createStore();
+    const shared = await store.add({ text: 'Welcome' });
+    const own = await store.add({ text: 'Welcome to the Taj' }, 'taj');
+    await store.add({ text: 'Welcome to the Oberoi' }, 'oberoi');
+
+    expect((await store.list('taj')).map(phrase => phrase.id)).toEqual([shared.id, own.id]);
+    expect(await store.list()).toHaveLength(3);
+    expect(isAvailableTo(own, 'oberoi')).toBe(false);
+});
+
+test('persists phrases to a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phrasebook-'));
+    const filePath = path.join(dir, 'phrasebook.json');
+    try {
+        const phrase = await createStore({ filePath }).add({ text: 'Checkout is at noon' });
+        expect(await createStore({ filePath }).get(phrase.id)).toEqual(phrase);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,53 @@
+// qr_codes.test.js
+// QR options and PNG/SVG rendering of guest links
+const { parseQrOptions, renderQrPng, renderQrSvg } = require('../qr_codes');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const url = 'https://hotel.example/?room=room1&token=abc';
+
+describe('parseQrOptions', () => {
+    test('defaults and clamps the size', () => {
+        expect(parseQrOptions({})).toEqual({ size: 300, errorCorrectionLevel: 'M', caption: false, logo: false });
+        expect(parseQrOptions({ size: '10' }).size).toBe(100);
+        expect(parseQrOptions({ size: '9000' }).size).toBe(2000);
+    });
+
+    test('accepts error correction levels in any case', () => {
+        expect(parseQrOptions({ ecl: 'h' }).errorCorrectionLevel).toBe('H');
+        expect(() => parseQrOptions({ ecl: 'X' })).toThrow(/Unknown error correction level "X"/);
+    });
+
+    test('allows captions and logos on SVG cards only', () => {
+        expect(parseQrOptions({ caption: '1', logo: 'true' }, 'svg')).toMatchObject({ caption: true, logo: true });
+        expect(() => parseQrOptions({ caption: '1' }, 'png')).toThrow(/only available for SVG/);
+        expect(() => parseQrOptions({ logo: 'true' }, 'png')).toThrow(/only available for SVG/);
+    });
+});
+
+describe('rendering', () => {
+    const options = parseQrOptions({ size: '200' });
+
+    test('renders a PNG', async () => {
+        const png = await renderQrPng(url, options);
+        expect(png.subarray(0, 4)).toEqual(PNG_SIGNATURE);
+    });
+
+    test('renders a bare SVG unless a caption or logo is asked for', async () => {
+        const svg = await renderQrSvg(url, options, 'Test Hotel');
+        expect(svg).toMatch(/^<svg /);
+        expect(svg).not.toContain('<text');
+    });
+
+    test('prints an escaped caption under the code', async () => {
+        const svg = await renderQrSvg(url, { ...options, caption: true }, 'Tom & Jerry <Inn>');
+        expect(svg).toContain('height="234"');
+        expect(svg).toContain('>Tom &amp; Jerry &lt;Inn&gt;</text>');
+    });
+
+    test('embeds the logo above the code', async () => {
+        const logo = { data: Buffer.from('<svg/>'), contentType: 'image/svg+xml' };
+        const svg = await renderQrSvg(url, { ...options, logo: true }, 'Test Hotel', logo);
+        expect(svg).toContain(`href="data:image/svg+xml;base64,${logo.data.toString('base64')}"`);
+        expect(svg).toContain('<svg x="0" y="40" ');
+    });
+});
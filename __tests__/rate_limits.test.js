@@ -0,0 +1,75 @@
+// rate_limits.test.js
+// Fixed-window limiter and its Express middleware
+const { RateLimiter, limitByIp, parseTrustProxy, base64Size } = require('../rate_limits');
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('RateLimiter', () => {
+    test('allows max requests per key per window', () => {
+        const limiter = new RateLimiter({ windowMs: 1000, max: 2 });
+        expect(limiter.consume('a').allowed).toBe(true);
+        expect(limiter.consume('a')).toMatchObject({ allowed: true, remaining: 0 });
+        const refused = limiter.consume('a');
+        expect(refused.allowed).toBe(false);
+        expect(refused.retryAfterMs).toBeGreaterThan(0);
+        // Other keys have their own window
+        expect(limiter.consume('b').allowed).toBe(true);
+    });
+
+    test('starts a new window once the old one ends', () => {
+        jest.useFakeTimers({ now: 0 });
+        const limiter = new RateLimiter({ windowMs: 1000, max: 1 });
+        limiter.consume('a');
+        expect(limiter.consume('a').allowed).toBe(false);
+
+        jest.setSystemTime(1000);
+        expect(limiter.consume('a').allowed).toBe(true);
+    });
+
+    test('forgets idle keys', () => {
+        jest.useFakeTimers({ now: 0 });
+        const limiter = new RateLimiter({ windowMs: 1000, max: 1 });
+        limiter.consume('a');
+        jest.setSystemTime(2000);
+        limiter.consume('b');
+        expect([...limiter.windows.keys()]).toEqual(['b']);
+    });
+});
+
+describe('limitByIp', () => {
+    function request(middleware, ip) {
+        const res = { set: jest.fn(), status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        middleware({ ip }, res, next);
+        return { res, next };
+    }
+
+    test('answers 429 with Retry-After once an IP is over the limit', () => {
+        const middleware = limitByIp(new RateLimiter({ windowMs: 60 * 1000, max: 1 }));
+        expect(request(middleware, '10.0.0.1').next).toHaveBeenCalled();
+
+        const { res, next } = request(middleware, '10.0.0.1');
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+
+        expect(request(middleware, '10.0.0.2').next).toHaveBeenCalled();
+    });
+});
+
+test.each([
+    ['true', true],
+    ['false', false],
+    ['2', 2],
+    ['loopback, 10.0.0.0/8', 'loopback, 10.0.0.0/8']
+])('parseTrustProxy reads %s as %p', (value, setting) => {
+    expect(parseTrustProxy(value)).toBe(setting);
+});
+
+test('base64Size gives the decoded size without decoding', () => {
+    const bytes = Buffer.alloc(1001);
+    expect(base64Size(bytes.toString('base64'))).toBe(1001);
+    expect(base64Size('')).toBe(0);
+});
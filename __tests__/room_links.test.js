@@ -0,0 +1,84 @@
+// room_links.test.js
+// Room link options, expiry and guest admission
+const {
+    MAX_TTL_MINUTES,
+    MAX_GUESTS_LIMIT,
+    RoomLinkValidationError,
+    roomLinkDefaults,
+    toHotelId,
+    createRoomRecord,
+    checkRoomOpen,
+    checkGuestAdmission
+} = require('../room_links');
+
+const defaults = { ttlMs: 60 * 60 * 1000, maxGuests: 4, singleUse: false };
+
+describe('roomLinkDefaults', () => {
+    test('reads the environment with fallbacks', () => {
+        expect(roomLinkDefaults({ ROOM_TTL_MS: '1000', ROOM_MAX_GUESTS: '2', ROOM_SINGLE_USE: 'true' }))
+            .toEqual({ ttlMs: 1000, maxGuests: 2, singleUse: true });
+        expect(roomLinkDefaults({ ROOM_TTL_MS: 'soon' }).ttlMs).toBe(12 * 60 * 60 * 1000);
+    });
+});
+
+describe('createRoomRecord', () => {
+    test('applies requested options', () => {
+        const record = createRoomRecord({ hotelName: 'Taj Palace', ttlMinutes: 30, maxGuests: 2, singleUse: true }, defaults);
+        expect(record.hotelId).toBe('taj-palace');
+        expect(record.expiresAt - record.createdAt).toBe(30 * 60 * 1000);
+        expect(record.maxGuests).toBe(2);
+        expect(record.singleUse).toBe(true);
+    });
+
+    test('falls back to the defaults', () => {
+        const record = createRoomRecord({ hotelId: 'oberoi', hotelName: 'The Oberoi' }, defaults);
+        expect(record.hotelId).toBe('oberoi');
+        expect(record.expiresAt - record.createdAt).toBe(defaults.ttlMs);
+        expect(record.maxGuests).toBe(4);
+        expect(record.singleUse).toBe(false);
+    });
+
+    test.each([
+        [{ ttlMinutes: 0 }],
+        [{ ttlMinutes: 0.5 }],
+        [{ ttlMinutes: '30' }],
+        [{ ttlMinutes: MAX_TTL_MINUTES + 1 }],
+        [{ ttlMinutes: 1e20 }],
+        [{ maxGuests: -1 }],
+        [{ maxGuests: MAX_GUESTS_LIMIT + 1 }],
+        [{ maxGuests: 'many' }]
+    ])('rejects %p', options => {
+        expect(() => createRoomRecord({ hotelName: 'H', ...options }, defaults)).toThrow(RoomLinkValidationError);
+    });
+});
+
+test('toHotelId slugs hotel names', () => {
+    expect(toHotelId('  Taj Palace, Mumbai ')).toBe('taj-palace-mumbai');
+    expect(toHotelId('')).toBe('default');
+});
+
+describe('checkRoomOpen', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const room = { expiresAt: new Date('2026-01-01T13:00:00Z'), revoked: false };
+
+    test('reports why a room cannot be joined', () => {
+        expect(checkRoomOpen(undefined, now).code).toBe('ROOM_NOT_FOUND');
+        expect(checkRoomOpen({ ...room, revoked: true }, now).code).toBe('ROOM_REVOKED');
+        expect(checkRoomOpen(room, new Date('2026-01-01T13:00:00Z')).code).toBe('ROOM_EXPIRED');
+        expect(checkRoomOpen(room, now)).toBeNull();
+    });
+});
+
+describe('checkGuestAdmission', () => {
+    const room = { maxGuests: 2, singleUse: true };
+
+    test('turns guests away from a full room', () => {
+        expect(checkGuestAdmission(room, { session: false }, 2, false).code).toBe('ROOM_FULL');
+    });
+
+    test('redeems single-use links once but lets session tokens reconnect', () => {
+        expect(checkGuestAdmission(room, { session: false }, 0, true).code).toBe('LINK_USED');
+        expect(checkGuestAdmission(room, { session: true }, 0, true)).toBeNull();
+        expect(checkGuestAdmission({ ...room, singleUse: false }, { session: false }, 0, true)).toBeNull();
+    });
+});
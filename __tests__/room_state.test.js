@@ -0,0 +1,145 @@
+// room_state.test.js
+// Room state stores, with ioredis-mock standing in for a shared Redis
+const RedisMock = require('ioredis-mock');
+const { MemoryRoomState, RedisRoomState } = require('../room_state');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function roomRecord(ttlMs = 60 * 1000) {
+    const now = Date.now();
+    return {
+        hotelId: 'default',
+        hotelName: 'Test Hotel',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+    };
+}
+
+const redisClients = [];
+function redisNode(options = {}) {
+    const client = new RedisMock();
+    redisClients.push(client);
+    return new RedisRoomState({ client, keyPrefix: 'test:', ...options });
+}
+
+afterEach(async () => {
+    if (redisClients.length > 0) {
+        await redisClients[0].flushall();
+    }
+    redisClients.forEach(client => client.disconnect());
+    redisClients.length = 0;
+});
+
+describe.each([
+    ['MemoryRoomState', () => new MemoryRoomState()],
+    ['RedisRoomState', () => redisNode()]
+])('%s', (name, createStore) => {
+    let store;
+
+    beforeEach(async () => {
+        store = createStore();
+        await store.createRoom('room1', roomRecord());
+    });
+
+    afterEach(() => store.stop());
+
+    test('returns stored rooms with dates restored', async () => {
+        const room = await store.getRoom('room1');
+        expect(room.hotelId).toBe('default');
+        expect(room.expiresAt).toBeInstanceOf(Date);
+        expect(room.revoked).toBe(false);
+        expect(await store.getRoom('missing')).toBeNull();
+        expect((await store.listRooms()).map(listed => listed.roomId)).toEqual(['room1']);
+    });
+
+    test('closes a room only once', async () => {
+        expect(await store.closeRoom('room1', 'revoked')).toBe(true);
+        expect(await store.closeRoom('room1', 'expired')).toBe(false);
+        const room = await store.getRoom('room1');
+        expect(room.revoked).toBe(true);
+        expect(room.closedReason).toBe('revoked');
+    });
+
+    test('redeems a guest token only once', async () => {
+        expect(await store.isTokenRedeemed('room1', 'jti1')).toBe(false);
+        expect(await store.redeemToken('room1', 'jti1')).toBe(true);
+        expect(await store.redeemToken('room1', 'jti1')).toBe(false);
+        expect(await store.isTokenRedeemed('room1', 'jti1')).toBe(true);
+    });
+
+    test('updates room records', async () => {
+        const updated = await store.updateRoom('room1', { translationStyle: { translationMode: 'classic-colloquial' } });
+        expect(updated.translationStyle).toEqual({ translationMode: 'classic-colloquial' });
+        expect(await store.updateRoom('missing', {})).toBeNull();
+    });
+
+    test('tracks members', async () => {
+        await store.addMember('room1', 'socket1', { role: 'guest', language: 'hi-IN' });
+        await store.addMember('room1', 'socket2', { role: 'receptionist', language: 'en-IN' });
+        await store.updateMember('room1', 'socket1', { language: 'ta-IN' });
+        await store.removeMember('room1', 'socket2');
+        expect(await store.listMembers('room1')).toEqual([
+            { socketId: 'socket1', role: 'guest', language: 'ta-IN' }
+        ]);
+    });
+
+    test('forgets deleted rooms', async () => {
+        await store.addMember('room1', 'socket1', { role: 'guest' });
+        await store.deleteRoom('room1');
+        expect(await store.getRoom('room1')).toBeNull();
+        expect(await store.listMembers('room1')).toEqual([]);
+    });
+});
+
+describe('RedisRoomState member liveness', () => {
+    test('shares members between nodes', async () => {
+        const nodeA = redisNode();
+        const nodeB = redisNode();
+        await Promise.all([nodeA.start(), nodeB.start()]);
+        await nodeA.createRoom('room1', roomRecord());
+        await nodeA.addMember('room1', 'socketA', { role: 'guest' });
+        await nodeB.addMember('room1', 'socketB', { role: 'receptionist' });
+
+        const members = await nodeB.listMembers('room1');
+        expect(members.map(member => member.socketId).sort()).toEqual(['socketA', 'socketB']);
+        expect(members.every(member => member.node === undefined)).toBe(true);
+        await Promise.all([nodeA.stop(), nodeB.stop()]);
+    });
+
+    test('drops members of a node whose heartbeat expired', async () => {
+        const crashed = redisNode({ heartbeatMs: 20 });
+        const survivor = redisNode();
+        await survivor.start();
+        // One beat and no timer: the node dies without cleaning up
+        await crashed.heartbeat();
+        await crashed.createRoom('room1', roomRecord());
+        await crashed.addMember('room1', 'socketA', { role: 'guest' });
+        await survivor.addMember('room1', 'socketB', { role: 'receptionist' });
+        expect(await survivor.listMembers('room1')).toHaveLength(2);
+
+        await wait(100);
+        expect(await survivor.listMembers('room1')).toEqual([{ socketId: 'socketB', role: 'receptionist' }]);
+        // The stale entry is removed, not just hidden
+        expect(Object.keys(await survivor.client.hgetall('test:room:room1:members'))).toEqual(['socketB']);
+        await survivor.stop();
+    });
+
+    test('drops members of a node as soon as it stops', async () => {
+        const leaving = redisNode();
+        const staying = redisNode();
+        await Promise.all([leaving.start(), staying.start()]);
+        await leaving.createRoom('room1', roomRecord());
+        await leaving.addMember('room1', 'socketA', { role: 'guest' });
+        await leaving.stop();
+
+        expect(await staying.listMembers('room1')).toEqual([]);
+        await staying.stop();
+    });
+
+    test('keeps entries written without a node id', async () => {
+        const node = redisNode();
+        await node.createRoom('room1', roomRecord());
+        await node.client.hset('test:room:room1:members', 'legacy', JSON.stringify({ role: 'guest' }));
+        expect(await node.listMembers('room1')).toEqual([{ socketId: 'legacy', role: 'guest' }]);
+    });
+});
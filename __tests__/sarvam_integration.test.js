@@ -0,0 +1,131 @@
+// sarvam_integration.test.js
+// Sarvam client against a local fake of the API
+const http = require('http');
+const SarvamClient = require('../sarvam_integration');
+const { SarvamApiError } = SarvamClient;
+
+let server;
+let baseUrl;
+let responses; // queued [status, body, delayMs] per request; the last one repeats
+let requests;
+
+beforeAll(done => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body });
+            const [status, payload, delayMs = 0] = responses.length > 1 ? responses.shift() : responses[0];
+            setTimeout(() => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload || {}));
+            }, delayMs);
+        });
+    });
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+    });
+});
+
+afterAll(done => {
+    server.close(done);
+});
+
+beforeEach(() => {
+    responses = [[200, {}]];
+    requests = [];
+});
+
+function client(options = {}) {
+    return new SarvamClient('test-key', { baseUrl, retryBaseDelayMs: 1, ...options });
+}
+
+describe('translate', () => {
+    test('sends the style and returns the translation', async () => {
+        responses = [[200, { translated_text: 'नमस्ते' }]];
+        const result = await client().translate('Hello', 'en-IN', 'hi-IN', { mode: 'formal', speakerGender: 'female' });
+
+        expect(result).toEqual({ text: 'नमस्ते', source_language: 'en-IN', target_language: 'hi-IN', confidence: null });
+        expect(requests[0].url).toBe('/translate');
+        expect(requests[0].headers['api-subscription-key']).toBe('test-key');
+        expect(JSON.parse(requests[0].body)).toMatchObject({
+            input: 'Hello',
+            source_language_code: 'en-IN',
+            target_language_code: 'hi-IN',
+            speaker_gender: 'Female',
+            mode: 'formal'
+        });
+    });
+
+    test('retries server errors with backoff', async () => {
+        responses = [[503], [500], [200, { translated_text: 'ok' }]];
+        expect((await client().translate('Hi', 'en-IN', 'hi-IN')).text).toBe('ok');
+        expect(requests).toHaveLength(3);
+    });
+
+    test('gives up after the configured retries', async () => {
+        responses = [[503]];
+        const attempt = client({ retries: 1 }).translate('Hi', 'en-IN', 'hi-IN');
+        await expect(attempt).rejects.toThrow(SarvamApiError);
+        await expect(attempt).rejects.toMatchObject({ status: 503 });
+        expect(requests).toHaveLength(2);
+    });
+
+    test('does not retry client errors', async () => {
+        responses = [[400]];
+        await expect(client().translate('Hi', 'en-IN', 'hi-IN')).rejects.toMatchObject({ status: 400 });
+        expect(requests).toHaveLength(1);
+    });
+});
+
+describe('transcribe', () => {
+    test('returns the transcript and the reported confidence', async () => {
+        responses = [[200, { transcript: 'कितना पैसा?', confidence: 0.42, language_code: 'hi-IN' }]];
+        const result = await client().transcribe(Buffer.from('RIFF'), 'unknown');
+
+        expect(result).toMatchObject({ transcript: 'कितना पैसा?', confidence: 0.42, language_code: 'hi-IN' });
+        expect(requests[0].url).toBe('/speech-to-text');
+        expect(requests[0].body).toContain('name="language_code"');
+    });
+
+    test('leaves a missing confidence unset rather than assuming it is high', async () => {
+        responses = [[200, { transcript: 'hello' }]];
+        expect((await client().transcribe(Buffer.from('RIFF'), 'en-IN')).confidence).toBeNull();
+    });
+});
+
+describe('languages and usage', () => {
+    test('retries the supported-language list like the other calls', async () => {
+        responses = [[502], [200, [{ code: 'hi-IN' }]]];
+        expect(await client().getSupportedLanguages()).toEqual([{ code: 'hi-IN' }]);
+        expect(requests.map(request => request.url)).toEqual(['/translate/supported-languages', '/translate/supported-languages']);
+    });
+
+    test('falls back to the built-in languages when the call times out', async () => {
+        responses = [[200, [], 200]];
+        const languages = await client({ timeoutMs: 20, retries: 0 }).getSupportedLanguages();
+        expect(languages).toBe(SarvamClient.DEFAULT_LANGUAGES);
+    });
+
+    test('reports usage, or the error once retries run out', async () => {
+        responses = [[429], [200, { characters: 120 }]];
+        expect(await client().getUsageStats()).toEqual({ characters: 120 });
+        expect(requests).toHaveLength(2);
+
+        responses = [[200, {}, 200]];
+        expect(await client({ timeoutMs: 20, retries: 0 }).getUsageStats()).toEqual({
+            error: 'Sarvam API timed out after 20 ms'
+        });
+    });
+});
+
+test.each([NaN, -1, 1.5, '3'])('falls back to the default retries for %p', retries => {
+    expect(client({ retries }).retries).toBe(2);
+});
+
+test('accepts zero retries', () => {
+    expect(client({ retries: 0 }).retries).toBe(0);
+});
@@ -0,0 +1,65 @@
+// security.test.js
+// Origin allow-list and the page's Content-Security-Policy
+const express = require('express');
+const request = require('supertest');
+const {
+    parseAllowedOrigins,
+    createOriginCheck,
+    rejectDisallowedOrigins,
+    securityHeaders
+} = require('../security');
+
+describe('parseAllowedOrigins', () => {
+    test('trims entries and trailing slashes', () => {
+        expect(parseAllowedOrigins({ ALLOWED_ORIGINS: ' https://a.example/ ,https://b.example,' }))
+            .toEqual({ allowAll: false, origins: ['https://a.example', 'https://b.example'] });
+    });
+
+    test('refuses a wildcard in production only', () => {
+        expect(parseAllowedOrigins({ ALLOWED_ORIGINS: '*' }).allowAll).toBe(true);
+        expect(() => parseAllowedOrigins({ ALLOWED_ORIGINS: '*', NODE_ENV: 'production' }))
+            .toThrow(/ALLOWED_ORIGINS=\* is not allowed/);
+    });
+});
+
+describe('createOriginCheck', () => {
+    const isOriginAllowed = createOriginCheck(parseAllowedOrigins({ ALLOWED_ORIGINS: 'https://desk.example' }));
+
+    test('allows listed, same-origin and header-less requests', () => {
+        expect(isOriginAllowed('https://desk.example', 'api.example')).toBe(true);
+        expect(isOriginAllowed('https://api.example', 'api.example')).toBe(true);
+        expect(isOriginAllowed(undefined, 'api.example')).toBe(true);
+    });
+
+    test('refuses other and malformed origins', () => {
+        expect(isOriginAllowed('https://evil.example', 'api.example')).toBe(false);
+        expect(isOriginAllowed('null', 'api.example')).toBe(false);
+    });
+});
+
+describe('middleware', () => {
+    const app = express();
+    app.use(securityHeaders({}));
+    app.use(rejectDisallowedOrigins(createOriginCheck({ allowAll: false, origins: [] })));
+    app.get('/', (req, res) => res.send('ok'));
+
+    test('rejects requests from origins that are not allowed', async () => {
+        const { body } = await request(app).get('/').set('Origin', 'https://evil.example').expect(403);
+        expect(body.error).toBe('Origin not allowed');
+    });
+
+    test('only runs scripts served by this server', async () => {
+        const { headers } = await request(app).get('/').expect(200);
+        const csp = headers['content-security-policy'];
+        expect(csp).toContain("script-src 'self';");
+        expect(csp).toContain("script-src-attr 'none'");
+        expect(csp).not.toContain('upgrade-insecure-requests');
+    });
+
+    test('upgrades insecure requests in production', async () => {
+        const production = express().use(securityHeaders({ NODE_ENV: 'production' }));
+        production.get('/', (req, res) => res.send('ok'));
+        const { headers } = await request(production).get('/').expect(200);
+        expect(headers['content-security-policy']).toContain('upgrade-insecure-requests');
+    });
+});
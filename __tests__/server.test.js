@@ -0,0 +1,572 @@
+// server.test.js
+// Socket.IO handlers and REST routes of the running server, default configuration
+const request = require('supertest');
+const { STAFF_LOGIN, startServer, clients, nextEvent, speechClip } = require('./helpers/server');
+
+let running;
+let client;
+
+beforeAll(async () => {
+    running = await startServer();
+    client = clients(running);
+});
+
+afterEach(() => client.closeAll());
+
+afterAll(() => running.stop());
+
+describe('translation provider', () => {
+    test('translates messages with the configured provider', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const delivered = nextEvent(guest, 'translation');
+        receptionist.emit('text_message', { room: roomId, text: 'Good morning' });
+        const message = await delivered;
+        expect(message.original).toMatchObject({ text: 'Good morning', language: 'en-IN' });
+        expect(message.translated).toMatchObject({ text: '[hi-IN formal/male] Good morning', language: 'hi-IN' });
+    });
+});
+
+describe('page', () => {
+    test('serves the page without inline scripts or handlers', async () => {
+        const { text } = await request(running.app).get('/').expect(200);
+        expect(text).toContain('<script src="/app.js"></script>');
+        expect(text).not.toMatch(/<script>|\son[a-z]+="/);
+        await request(running.app).get('/app.js').expect('Content-Type', /javascript/).expect(200);
+    });
+});
+
+describe('health checks', () => {
+    test('reports the provider and its circuits', async () => {
+        const { body } = await request(running.app).get('/health').expect(200);
+        expect(body).toMatchObject({ status: 'ok', provider: 'test', fallbackProvider: null });
+        expect(body.circuits.translate.state).toBe('closed');
+    });
+
+    test('answers liveness probes', async () => {
+        const { body } = await request(running.app).get('/health/live').expect(200);
+        expect(body.status).toBe('ok');
+    });
+
+    test('is ready when translation and storage are up', async () => {
+        const { body } = await request(running.app).get('/health/ready').expect(200);
+        expect(body).toMatchObject({
+            status: 'ready',
+            provider: { name: 'test', reachable: true, error: null },
+            translation: { available: true },
+            storage: { ok: true },
+            roomState: { ok: true }
+        });
+    });
+});
+
+describe('conversation history', () => {
+    test('replays earlier messages to a participant who joins later', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const delivered = nextEvent(guest, 'translation');
+        guest.emit('text_message', { room: roomId, text: 'Where is breakfast?' });
+        await delivered;
+
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        expect(receptionist.history.total).toBe(1);
+        expect(receptionist.history.messages[0].original.text).toBe('Where is breakfast?');
+    });
+
+    test('pages through stored messages over REST for staff only', async () => {
+        const { roomId } = await client.createRoom();
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        for (const text of ['One', 'Two', 'Three']) {
+            const delivered = nextEvent(receptionist, 'translation');
+            receptionist.emit('text_message', { room: roomId, text });
+            await delivered;
+        }
+
+        const { body } = await request(running.app)
+            .get(`/api/rooms/${roomId}/messages?offset=1&limit=1`)
+            .set('Authorization', `Bearer ${client.staffToken('receptionist')}`)
+            .expect(200);
+        expect(body.total).toBe(3);
+        expect(body.messages.map(message => message.original.text)).toEqual(['Two']);
+        await request(running.app).get(`/api/rooms/${roomId}/messages`).expect(401);
+    });
+});
+
+describe('transcript export', () => {
+    test('downloads a room transcript as an attachment', async () => {
+        const { roomId } = await client.createRoom();
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const delivered = nextEvent(receptionist, 'translation');
+        receptionist.emit('text_message', { room: roomId, text: 'Checkout is at noon' });
+        await delivered;
+
+        const response = await request(running.app)
+            .get(`/api/rooms/${roomId}/transcript?format=srt`)
+            .set('Authorization', `Bearer ${client.staffToken('receptionist')}`)
+            .expect(200);
+        expect(response.headers['content-disposition']).toBe(`attachment; filename="transcript_${roomId}.srt"`);
+        expect(response.text).toContain('Receptionist: Checkout is at noon');
+    });
+
+    test('rejects unknown formats', async () => {
+        const { body } = await request(running.app)
+            .get('/api/rooms/any/transcript?format=docx')
+            .set('Authorization', `Bearer ${client.staffToken('receptionist')}`)
+            .expect(400);
+        expect(body.formats).toEqual(['txt', 'json', 'srt', 'pdf']);
+    });
+});
+
+describe('staff and guest authentication', () => {
+    test('logs staff in with STAFF_ACCOUNTS and lets them join as receptionists', async () => {
+        await request(running.app).post('/api/auth/login').send({ ...STAFF_LOGIN, password: 'wrong' }).expect(401);
+        const { body } = await request(running.app).post('/api/auth/login').send(STAFF_LOGIN).expect(200);
+        expect(body).toMatchObject({ username: 'desk', role: 'receptionist' });
+
+        const { roomId } = await client.createRoom();
+        const receptionist = await client.join(roomId, body.token);
+        expect(receptionist.joined.role).toBe('receptionist');
+    });
+
+    test('takes the role from the token, not the payload', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { role: 'receptionist', language: 'ta-IN' });
+        expect(guest.joined).toMatchObject({ role: 'guest', languageCode: 'ta-IN' });
+        expect(guest.joined.sessionToken).toEqual(expect.any(String));
+    });
+
+    test('rejects joins without a valid token for the room', async () => {
+        const { roomId } = await client.createRoom();
+        const other = await client.createRoom();
+        await expect(client.join(roomId)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+        await expect(client.join(roomId, other.guestToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    });
+
+    test('only lets admins create rooms', async () => {
+        await request(running.app).post('/api/generate-room').send({}).expect(401);
+        await request(running.app)
+            .post('/api/generate-room')
+            .set('Authorization', `Bearer ${client.staffToken('receptionist')}`)
+            .send({})
+            .expect(403);
+    });
+});
+
+describe('guest room links', () => {
+    test('admits a single-use link once, then only with the session token', async () => {
+        const { roomId, guestToken } = await client.createRoom({ singleUse: true });
+        const guest = await client.join(roomId, guestToken);
+        await expect(client.join(roomId, guestToken)).rejects.toMatchObject({ code: 'LINK_USED' });
+
+        // The first guest reconnects with the token it was given at join
+        guest.close();
+        await client.join(roomId, guest.joined.sessionToken);
+    });
+
+    test('turns guests away once the room is full', async () => {
+        const { roomId, guestToken } = await client.createRoom({ maxGuests: 1 });
+        await client.join(roomId, guestToken);
+        await expect(client.join(roomId, guestToken)).rejects.toMatchObject({ code: 'ROOM_FULL' });
+    });
+
+    test('rejects invalid link options', async () => {
+        const { body } = await request(running.app)
+            .post('/api/generate-room')
+            .set('Authorization', `Bearer ${client.staffToken()}`)
+            .send({ ttlMinutes: 'forever' })
+            .expect(400);
+        expect(body.error).toMatch(/ttlMinutes/);
+    });
+
+    test('closes a revoked room for everyone in it and for later joins', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken);
+        const closed = nextEvent(guest, 'room_closed');
+
+        await request(running.app)
+            .post(`/api/rooms/${roomId}/revoke`)
+            .set('Authorization', `Bearer ${client.staffToken()}`)
+            .expect(200, { roomId, revoked: true });
+        expect(await closed).toEqual({ room: roomId, reason: 'revoked' });
+        await expect(client.join(roomId, guestToken)).rejects.toMatchObject({ code: 'ROOM_REVOKED' });
+    });
+});
+
+describe('room QR codes', () => {
+    test('renders the guest link of a room for admins', async () => {
+        const { roomId } = await client.createRoom();
+        const admin = `Bearer ${client.staffToken()}`;
+        const png = await request(running.app).get(`/api/rooms/${roomId}/qr.png`).set('Authorization', admin).expect(200);
+        expect(png.headers['content-type']).toBe('image/png');
+        const svg = await request(running.app)
+            .get(`/api/rooms/${roomId}/qr.svg?caption=1`)
+            .set('Authorization', admin)
+            .expect(200);
+        expect(svg.body.toString()).toContain('>Default Hotel</text>');
+
+        await request(running.app).get(`/api/rooms/${roomId}/qr.png?caption=1`).set('Authorization', admin).expect(400);
+        await request(running.app).get('/api/rooms/missing/qr.png').set('Authorization', admin).expect(404);
+    });
+});
+
+describe('streamed audio', () => {
+    test('shows the room partial transcripts, then publishes the utterance', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const partials = [guest, receptionist].map(socket => nextEvent(socket, 'partial_transcript'));
+        guest.emit('audio_chunk', { room: roomId, streamId: 'utterance1', seq: 0, chunk: speechClip() });
+        for (const partial of await Promise.all(partials)) {
+            expect(partial).toMatchObject({
+                room: roomId,
+                streamId: 'utterance1',
+                speaker: 'guest',
+                text: 'I need a towel',
+                language: 'hi-IN'
+            });
+        }
+
+        const delivered = nextEvent(receptionist, 'translation');
+        guest.emit('audio_end', { room: roomId, streamId: 'utterance1' });
+        const message = await delivered;
+        expect(message.streamId).toBe('utterance1');
+        expect(message.translated.text).toBe('[en-IN formal/male] I need a towel');
+    });
+
+    test('rejects chunks for a room the sender is not in and unknown streams', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken);
+
+        let error = nextEvent(guest, 'error');
+        guest.emit('audio_chunk', { room: 'other', streamId: 's1', chunk: speechClip() });
+        expect((await error).message).toBe('Not authorized for this room');
+        error = nextEvent(guest, 'error');
+        guest.emit('audio_end', { room: roomId, streamId: 'never-started' });
+        expect((await error).message).toBe('Unknown audio stream');
+    });
+});
+
+describe('recorded audio', () => {
+    test('transcribes a recorded clip and publishes its translation', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const delivered = nextEvent(receptionist, 'translation');
+        guest.emit('audio_message', { room: roomId, audioData: speechClip().toString('base64') });
+        const message = await delivered;
+        expect(message.original).toMatchObject({ text: 'I need a towel', language: 'hi-IN' });
+    });
+
+    test('tells the speaker when a clip cannot be decoded', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken);
+
+        const error = nextEvent(guest, 'error');
+        guest.emit('audio_message', { room: roomId, audioData: Buffer.from('not audio at all').toString('base64') });
+        expect(await error).toEqual({ code: 'INVALID_AUDIO', message: 'Unrecognized audio format' });
+    });
+});
+
+describe('guest language detection', () => {
+    test('detects the language a guest in auto mode types and tells the room', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'auto' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const detected = nextEvent(receptionist, 'language_detected');
+        const delivered = nextEvent(receptionist, 'translation');
+        guest.emit('text_message', { room: roomId, text: 'எனக்கு துண்டு வேண்டும்' });
+        expect(await detected).toMatchObject({ role: 'guest', language: 'ta-IN', languageName: 'Tamil' });
+        expect((await delivered).original.language).toBe('ta-IN');
+    });
+
+    test('rejects messages claiming a language the sender did not join with', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+
+        const error = nextEvent(guest, 'error');
+        guest.emit('text_message', { room: roomId, text: 'Hello', language: 'en-IN' });
+        expect((await error).code).toBe('INVALID_LANGUAGE');
+    });
+});
+
+describe('multi-guest rooms', () => {
+    test('sends each guest the receptionist reply in their own language', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const hindi = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const tamil = await client.join(roomId, guestToken, { language: 'ta-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const toHindi = nextEvent(hindi, 'translation');
+        const toTamil = nextEvent(tamil, 'translation');
+        const toDesk = nextEvent(receptionist, 'translation');
+        receptionist.emit('text_message', { room: roomId, text: 'Welcome' });
+
+        expect((await toHindi).translated.text).toBe('[hi-IN formal/male] Welcome');
+        expect((await toTamil).translated.text).toBe('[ta-IN formal/male] Welcome');
+        expect((await toDesk).translations.map(translation => translation.language).sort()).toEqual(['hi-IN', 'ta-IN']);
+    });
+});
+
+describe('hotels', () => {
+    test('keeps hotel staff to their own hotel', async () => {
+        await request(running.app)
+            .post('/api/hotels')
+            .set('Authorization', `Bearer ${client.staffToken()}`)
+            .send({ name: 'Leela', guestLanguages: ['ta-IN'], branding: { primaryColor: '#aa0000' } })
+            .expect(201);
+
+        const hotelAdmin = `Bearer ${client.staffToken('admin', 'leela')}`;
+        const { body } = await request(running.app).get('/api/hotels').set('Authorization', hotelAdmin).expect(200);
+        expect(body.hotels.map(hotel => hotel.id)).toEqual(['leela']);
+        await request(running.app).get('/api/hotels/default').set('Authorization', hotelAdmin).expect(404);
+        await request(running.app).post('/api/hotels').set('Authorization', hotelAdmin).send({ name: 'Other' }).expect(403);
+    });
+
+    test('offers guests only the hotel\'s languages and shows its branding', async () => {
+        const { roomId, guestToken } = await client.createRoom({ hotelId: 'leela' });
+        await expect(client.join(roomId, guestToken, { language: 'hi-IN' }))
+            .rejects.toMatchObject({ code: 'LANGUAGE_NOT_SUPPORTED', languages: ['ta-IN'] });
+
+        const guest = await client.join(roomId, guestToken, { language: 'ta-IN' });
+        expect(guest.joined.hotel).toMatchObject({ id: 'leela', name: 'Leela', branding: { primaryColor: '#aa0000' } });
+    });
+});
+
+describe('admin dashboard', () => {
+    // Next admin_feed event of a type, skipping others
+    const feedEvent = (socket, type) => new Promise(resolve => {
+        const listener = event => {
+            if (event.type === type) {
+                socket.off('admin_feed', listener);
+                resolve(event);
+            }
+        };
+        socket.on('admin_feed', listener);
+    });
+
+    async function subscribe(token) {
+        const admin = client.connect();
+        const rooms = nextEvent(admin, 'admin_rooms');
+        admin.emit('admin_subscribe', { token });
+        admin.rooms = (await rooms).rooms;
+        return admin;
+    }
+
+    test('needs an admin subscription first', async () => {
+        const socket = client.connect();
+        const notSubscribed = nextEvent(socket, 'error');
+        socket.emit('admin_list_rooms', {});
+        expect(await notSubscribed).toEqual({ code: 'NOT_SUBSCRIBED', message: 'Send admin_subscribe before admin_list_rooms' });
+
+        const invalid = nextEvent(socket, 'error');
+        socket.emit('admin_subscribe', { token: client.staffToken('receptionist') });
+        expect((await invalid).code).toBe('INVALID_TOKEN');
+    });
+
+    test('follows rooms, kicks participants and closes rooms', async () => {
+        const admin = await subscribe(client.staffToken());
+
+        const created = feedEvent(admin, 'room_created');
+        const { roomId, guestToken } = await client.createRoom();
+        expect(await created).toMatchObject({ hotelId: 'default', room: roomId });
+
+        const joined = feedEvent(admin, 'participant_joined');
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const { socketId } = await joined;
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const listed = nextEvent(admin, 'admin_rooms');
+        admin.emit('admin_list_rooms', { status: 'open' });
+        const room = (await listed).rooms.find(entry => entry.roomId === roomId);
+        expect(room).toMatchObject({ status: 'open', guestCount: 1 });
+
+        const kicked = nextEvent(guest, 'kicked');
+        const kickEvent = feedEvent(admin, 'participant_kicked');
+        admin.emit('admin_kick', { room: roomId, socketId });
+        expect(await kicked).toEqual({ room: roomId, reason: 'removed_by_admin' });
+        expect(await kickEvent).toMatchObject({ room: roomId, socketId, role: 'guest' });
+
+        const notFound = nextEvent(admin, 'error');
+        admin.emit('admin_kick', { room: roomId, socketId });
+        expect((await notFound).code).toBe('PARTICIPANT_NOT_FOUND');
+
+        const closed = nextEvent(receptionist, 'room_closed');
+        const closeEvent = feedEvent(admin, 'room_closed');
+        admin.emit('admin_close_room', { room: roomId });
+        expect(await closed).toEqual({ room: roomId, reason: 'revoked' });
+        expect(await closeEvent).toMatchObject({ room: roomId, reason: 'revoked' });
+
+        const invalidStatus = nextEvent(admin, 'error');
+        admin.emit('admin_list_rooms', { status: 'gone' });
+        expect((await invalidStatus).code).toBe('INVALID_STATUS');
+    });
+
+    test('shows hotel admins only their own hotel\'s rooms', async () => {
+        const { roomId } = await client.createRoom();
+        const admin = await subscribe(client.staffToken('admin', 'elsewhere'));
+        expect(admin.rooms).toEqual([]);
+
+        const notFound = nextEvent(admin, 'error');
+        admin.emit('admin_close_room', { room: roomId });
+        expect((await notFound).code).toBe('ROOM_NOT_FOUND');
+    });
+});
+
+describe('hotel glossary', () => {
+    test('applies terms added over REST to translations', async () => {
+        const admin = `Bearer ${client.staffToken()}`;
+        await request(running.app)
+            .post('/api/hotels/default/glossary/terms')
+            .set('Authorization', admin)
+            .send({ sourceLanguage: 'en-IN', source: 'Deluxe Room', targetLanguage: 'hi-IN', target: 'डीलक्स कमरा' })
+            .expect(201);
+        await request(running.app)
+            .post('/api/hotels/default/glossary/terms')
+            .set('Authorization', admin)
+            .send({ sourceLanguage: 'xx', source: 'a', targetLanguage: 'hi-IN', target: 'b' })
+            .expect(400);
+
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const delivered = nextEvent(guest, 'translation');
+        receptionist.emit('text_message', { room: roomId, text: 'Your deluxe room is ready' });
+        expect((await delivered).translated.text).toBe('[hi-IN formal/male] Your डीलक्स कमरा is ready');
+
+        const { body } = await request(running.app).get('/api/hotels/default/glossary').set('Authorization', admin).expect(200);
+        expect(body.terms).toHaveLength(1);
+    });
+});
+
+describe('metrics', () => {
+    afterEach(() => {
+        delete process.env.METRICS_TOKEN;
+    });
+
+    test('counts delivered messages per hotel, speaker and language', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const delivered = nextEvent(guest, 'translation');
+        receptionist.emit('text_message', { room: roomId, text: 'Checkout is at noon' });
+        await delivered;
+
+        const { text } = await request(running.app).get('/metrics').expect(200);
+        expect(text).toMatch(/^hotel_translation_messages_total\{hotel="default",speaker="receptionist",language="en-IN"\} [1-9]/m);
+        expect(text).toMatch(/^hotel_translation_connected_sockets\{hotel="default"\} [1-9]/m);
+    });
+
+    test('requires METRICS_TOKEN when it is set', async () => {
+        process.env.METRICS_TOKEN = 'scrape-secret';
+        await request(running.app).get('/metrics').expect(401);
+        await request(running.app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+    });
+});
+
+describe('translation cache', () => {
+    test('answers repeated messages from the cache and reports it in /metrics', async () => {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const calls = running.provider.calls.translate;
+        for (let i = 0; i < 2; i++) {
+            const delivered = nextEvent(guest, 'translation');
+            receptionist.emit('text_message', { room: roomId, text: 'The pool opens at seven' });
+            await delivered;
+        }
+        expect(running.provider.calls.translate).toBe(calls + 1);
+
+        const { text } = await request(running.app).get('/metrics').expect(200);
+        expect(text).toMatch(/^hotel_translation_cache_hits_total\{tier="memory"\} [1-9]/m);
+        expect(text).toMatch(/^hotel_translation_cache_misses_total [1-9]/m);
+    });
+});
+
+describe('quick replies', () => {
+    const admin = () => `Bearer ${client.staffToken()}`;
+
+    test('sends a pre-translated phrase without calling MT', async () => {
+        const { body: phrase } = await request(running.app)
+            .post('/api/phrasebook')
+            .set('Authorization', admin())
+            .send({ title: 'Wifi', text: 'The wifi password is {password}', hotelId: 'default' })
+            .expect(201);
+
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const calls = running.provider.calls.translate;
+
+        const delivered = nextEvent(guest, 'translation');
+        receptionist.emit('quick_reply', { room: roomId, phraseId: phrase.id, values: { password: 'sunrise42' } });
+        const message = await delivered;
+        expect(message.phraseId).toBe(phrase.id);
+        expect(message.original.text).toBe('The wifi password is sunrise42');
+        expect(message.translated.text).toBe('[hi-IN formal/male] The wifi password is sunrise42');
+        expect(running.provider.calls.translate).toBe(calls);
+
+        const error = nextEvent(receptionist, 'error');
+        receptionist.emit('quick_reply', { room: roomId, phraseId: phrase.id, values: {} });
+        expect(await error).toEqual({ code: 'INVALID_PHRASE_VALUES', message: 'Missing value for password' });
+    });
+
+    test('sends the phrase in the room\'s style without calling MT', async () => {
+        const { body: phrase } = await request(running.app)
+            .post('/api/phrasebook')
+            .set('Authorization', admin())
+            .send({ text: 'Breakfast is served until ten', hotelId: 'default' })
+            .expect(201);
+
+        const { roomId, guestToken } = await client.createRoom({ translationMode: 'informal', speakerGender: 'female' });
+        const guest = await client.join(roomId, guestToken, { language: 'ta-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const calls = running.provider.calls.translate;
+
+        const delivered = nextEvent(guest, 'translation');
+        receptionist.emit('quick_reply', { room: roomId, phraseId: phrase.id });
+        expect((await delivered).translated.text).toBe('[ta-IN informal/female] Breakfast is served until ten');
+        expect(running.provider.calls.translate).toBe(calls);
+    });
+
+    test('refuses values that are too long for a message', async () => {
+        const { body: phrase } = await request(running.app)
+            .post('/api/phrasebook')
+            .set('Authorization', admin())
+            .send({ text: '{a} {b} {c} {d} {e} {f}', hotelId: 'default' })
+            .expect(201);
+
+        const { roomId } = await client.createRoom();
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+        const values = Object.fromEntries(phrase.placeholders.map(name => [name, 'x'.repeat(200)]));
+
+        const error = nextEvent(receptionist, 'error');
+        receptionist.emit('quick_reply', { room: roomId, phraseId: phrase.id, values });
+        expect(await error).toEqual({ code: 'TEXT_TOO_LONG', message: 'Message is too long (limit 1000 characters)' });
+
+        const invalid = nextEvent(receptionist, 'error');
+        receptionist.emit('quick_reply', { room: roomId, phraseId: phrase.id, values: 'abc' });
+        expect(await invalid).toEqual({ code: 'INVALID_PHRASE_VALUES', message: 'values must be an object' });
+    });
+
+    test('files phrase translations under the hotel so flushing it drops them', async () => {
+        await request(running.app).delete('/api/translation-cache').set('Authorization', admin()).expect(200);
+        await request(running.app)
+            .post('/api/phrasebook')
+            .set('Authorization', admin())
+            .send({ text: 'Housekeeping will be there shortly', hotelId: 'default' })
+            .expect(201);
+
+        const { body } = await request(running.app)
+            .delete('/api/translation-cache?hotelId=default')
+            .set('Authorization', admin())
+            .expect(200);
+        // Ten languages in each of the four formality and gender styles
+        expect(body.removed).toBe(40);
+        expect(body.stats.entries).toBe(0);
+    });
+});
@@ -0,0 +1,69 @@
+// server_confirm.test.js
+// Transcripts the recognizer is unsure of, held for their speaker to confirm
+const { startServer, clients, nextEvent, collect, wait, speechClip } = require('./helpers/server');
+
+let running;
+let client;
+
+beforeAll(async () => {
+    running = await startServer({ TRANSCRIPT_CONFIDENCE_THRESHOLD: '0.9' });
+    client = clients(running);
+    running.provider.confidence = 0.6;
+});
+
+afterEach(() => client.closeAll());
+
+afterAll(() => running.stop());
+
+async function joinRoom() {
+    const { roomId, guestToken } = await client.createRoom();
+    const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+    const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+    return { roomId, guest, receptionist };
+}
+
+test('shows unsure partials only to their speaker', async () => {
+    const { roomId, guest, receptionist } = await joinRoom();
+    const overheard = collect(receptionist, 'partial_transcript');
+
+    const partial = nextEvent(guest, 'partial_transcript');
+    guest.emit('audio_chunk', { room: roomId, streamId: 'unsure1', seq: 0, chunk: speechClip() });
+    expect((await partial).text).toBe('I need a towel');
+    await wait(100);
+    expect(overheard).toEqual([]);
+});
+
+test('publishes the speaker\'s correction of a held transcript', async () => {
+    const { roomId, guest, receptionist } = await joinRoom();
+
+    const statuses = collect(receptionist, 'processing_status');
+    const confirm = nextEvent(guest, 'confirm_transcript');
+    guest.emit('audio_message', { room: roomId, audioData: speechClip().toString('base64') });
+    const held = await confirm;
+    expect(held).toMatchObject({ room: roomId, text: 'I need a towel', language: 'hi-IN', confidence: 0.6 });
+    await wait(50);
+    // The rest of the room hears that a message is pending, not what it says
+    expect(statuses).toContainEqual({ status: 'awaiting_confirmation', speaker: 'guest', pendingId: held.id });
+
+    const delivered = nextEvent(receptionist, 'translation');
+    guest.emit('transcript_confirmed', { id: held.id, text: 'I need two towels' });
+    const message = await delivered;
+    expect(message.translated.text).toBe('[en-IN formal/male] I need two towels');
+    expect(message.transcript).toEqual({ confirmed: true, edited: true, recognizedText: 'I need a towel' });
+
+    const error = nextEvent(guest, 'error');
+    guest.emit('transcript_confirmed', { id: held.id });
+    expect((await error).code).toBe('TRANSCRIPT_NOT_FOUND');
+});
+
+test('tells the room when the speaker drops a held transcript', async () => {
+    const { roomId, guest, receptionist } = await joinRoom();
+    const confirm = nextEvent(guest, 'confirm_transcript');
+    guest.emit('audio_message', { room: roomId, audioData: speechClip().toString('base64') });
+    const held = await confirm;
+
+    const statuses = collect(receptionist, 'processing_status');
+    guest.emit('transcript_confirmed', { id: held.id, cancel: true });
+    await wait(100);
+    expect(statuses).toContainEqual({ status: 'cancelled', speaker: 'guest', pendingId: held.id });
+});
@@ -0,0 +1,35 @@
+// server_fallback.test.js
+// A failing provider with the mock as TRANSLATION_FALLBACK_PROVIDER
+const { startServer, clients, nextEvent } = require('./helpers/server');
+
+let running;
+let client;
+
+beforeAll(async () => {
+    running = await startServer({ TRANSLATION_FALLBACK_PROVIDER: 'mock' });
+    client = clients(running);
+});
+
+afterEach(() => client.closeAll());
+
+afterAll(() => running.stop());
+
+test('shows the original text instead of mock output when MT is down', async () => {
+    const translate = jest.spyOn(running.provider, 'translate').mockRejectedValue(new Error('provider down'));
+    try {
+        const { roomId, guestToken } = await client.createRoom();
+        const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+        const receptionist = await client.join(roomId, client.staffToken('receptionist'));
+
+        const delivered = nextEvent(guest, 'translation', 5000);
+        receptionist.emit('text_message', { room: roomId, text: 'Hello' });
+        expect((await delivered).translated).toEqual({
+            text: 'Hello',
+            language: 'hi-IN',
+            languageName: 'Hindi',
+            unavailable: true
+        });
+    } finally {
+        translate.mockRestore();
+    }
+});
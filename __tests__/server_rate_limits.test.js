@@ -0,0 +1,44 @@
+// server_rate_limits.test.js
+// REST and socket rate limits, with the limits turned down and a trusted proxy
+const request = require('supertest');
+const { startServer, clients, nextEvent } = require('./helpers/server');
+
+let running;
+let client;
+
+beforeAll(async () => {
+    running = await startServer({
+        RATE_LIMIT_MAX: '1',
+        SOCKET_MESSAGE_RATE_MAX: '2',
+        TRUST_PROXY: '1'
+    });
+    client = clients(running);
+});
+
+afterEach(() => client.closeAll());
+
+afterAll(() => running.stop());
+
+test('limits room creation per client behind the proxy', async () => {
+    const createRoom = ip => request(running.app)
+        .post('/api/generate-room')
+        .set('Authorization', `Bearer ${client.staffToken()}`)
+        .set('X-Forwarded-For', ip);
+
+    await createRoom('203.0.113.1').expect(200);
+    const { body, headers } = await createRoom('203.0.113.1').expect(429);
+    expect(body.code).toBe('RATE_LIMITED');
+    expect(Number(headers['retry-after'])).toBeGreaterThan(0);
+    await createRoom('203.0.113.2').expect(200);
+});
+
+test('tells a socket sending too many messages when to retry', async () => {
+    const { roomId, guestToken } = await client.createRoom();
+    const guest = await client.join(roomId, guestToken, { language: 'hi-IN' });
+
+    const limited = nextEvent(guest, 'rate_limited');
+    for (let i = 0; i < 3; i++) {
+        guest.emit('text_message', { room: roomId, text: `Message ${i}` });
+    }
+    expect(await limited).toMatchObject({ code: 'RATE_LIMITED', event: 'text_message', scope: 'socket' });
+});
@@ -0,0 +1,73 @@
+// transcript_export.test.js
+// Bilingual transcripts in every export format
+const { FORMATS, buildTranscript, renderTranscript } = require('../transcript_export');
+
+const messages = [
+    {
+        id: 'm1',
+        timestamp: '2026-01-01T10:00:00.000Z',
+        speaker: 'guest',
+        original: { text: 'Namaste', language: 'hi-IN', languageName: 'Hindi' },
+        translated: { text: 'Hello', language: 'en-IN', languageName: 'English' },
+        confidence: 0.9
+    },
+    {
+        id: 'm2',
+        timestamp: '2026-01-01T10:00:02.500Z',
+        speaker: 'receptionist',
+        original: { text: 'Welcome', language: 'en-IN', languageName: 'English' },
+        translated: { text: 'Swagat', language: 'hi-IN', languageName: 'Hindi' },
+        translations: [
+            { text: 'Swagat', language: 'hi-IN', languageName: 'Hindi' },
+            { text: 'Vanakkam', language: 'ta-IN', languageName: 'Tamil' }
+        ]
+    }
+];
+
+const transcript = buildTranscript('room1', { hotelName: 'Test Hotel' }, messages);
+
+describe('buildTranscript', () => {
+    test('labels speakers and lists every translation', () => {
+        expect(transcript.hotelName).toBe('Test Hotel');
+        expect(transcript.entries.map(entry => entry.speakerLabel)).toEqual(['Guest', 'Receptionist']);
+        expect(transcript.entries[0].translations).toEqual([messages[0].translated]);
+        expect(transcript.entries[1].translations).toHaveLength(2);
+    });
+
+    test('works for rooms that are no longer known', () => {
+        expect(buildTranscript('gone', null, []).hotelName).toBeNull();
+    });
+});
+
+describe('renderTranscript', () => {
+    test('writes plain text with both languages', async () => {
+        const { body, contentType } = await renderTranscript('txt', transcript);
+        expect(contentType).toBe(FORMATS.txt.contentType);
+        expect(body).toContain('Hotel: Test Hotel');
+        expect(body).toContain('  Hindi: Namaste\n  English: Hello');
+        expect(body).toContain('  Tamil: Vanakkam');
+    });
+
+    test('writes JSON that parses back', async () => {
+        const { body } = await renderTranscript('json', transcript);
+        expect(JSON.parse(body).entries[1].original.text).toBe('Welcome');
+    });
+
+    test('times SRT cues from the first message', async () => {
+        const { body } = await renderTranscript('srt', transcript);
+        expect(body).toContain('1\n00:00:00,000 --> 00:00:02,500\nGuest: Namaste\n(English) Hello\n');
+        // The last cue runs for the longest cue length
+        expect(body).toContain('2\n00:00:02,500 --> 00:00:07,500\nReceptionist: Welcome\n(Hindi) Swagat\n(Tamil) Vanakkam\n');
+        expect((await renderTranscript('srt', buildTranscript('empty', null, []))).body).toBe('');
+    });
+
+    test('renders a PDF', async () => {
+        const { body, extension } = await renderTranscript('pdf', transcript);
+        expect(extension).toBe('pdf');
+        expect(body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('rejects unknown formats', async () => {
+        await expect(renderTranscript('docx', transcript)).rejects.toThrow(/Unsupported transcript format "docx"/);
+    });
+});
@@ -0,0 +1,123 @@
+// translation_cache.test.js
+// In-memory LRU and the bounded on-disk tier
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranslationCache, createTranslationCacheFromEnv } = require('../translation_cache');
+
+const params = text => ({ hotelId: 'hotel1', text, sourceLanguage: 'en-IN', targetLanguage: 'hi-IN', mode: 'formal' });
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-cache-'));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function diskFiles() {
+    const pairDir = path.join(dir, 'hotel1', 'en-IN__hi-IN');
+    return fs.existsSync(pairDir) ? fs.readdirSync(pairDir) : [];
+}
+
+test('evicts the least recently used entry from memory', async () => {
+    const cache = new TranslationCache({ maxEntries: 2 });
+    await cache.set(params('a'), 'A');
+    await cache.set(params('b'), 'B');
+    await cache.get(params('a'));
+    await cache.set(params('c'), 'C');
+
+    expect(await cache.get(params('a'))).toBe('A');
+    expect(await cache.get(params('b'))).toBeNull();
+    expect(cache.getStats().evictions).toBe(1);
+});
+
+test('expires entries in memory after ttlMs', async () => {
+    const cache = new TranslationCache({ ttlMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    try {
+        await cache.set(params('a'), 'A');
+        now.mockReturnValue(10900);
+        expect(await cache.get(params('a'))).toBe('A');
+        now.mockReturnValue(11500);
+        expect(await cache.get(params('a'))).toBeNull();
+    } finally {
+        now.mockRestore();
+    }
+    expect(cache.getStats()).toMatchObject({ memoryHits: 1, misses: 1, expirations: 1, entries: 0 });
+});
+
+test('keys entries on the style as well as the text', async () => {
+    const cache = new TranslationCache();
+    await cache.set({ ...params('hi'), speakerGender: 'female' }, 'female form');
+    expect(await cache.get({ ...params('hi'), speakerGender: 'male' })).toBeNull();
+    expect(await cache.get(params('hi'))).toBeNull();
+});
+
+describe('getOrTranslate', () => {
+    test('translates once and then answers from the cache', async () => {
+        const cache = new TranslationCache();
+        const translate = jest.fn(async () => ({ text: 'नमस्ते' }));
+
+        expect(await cache.getOrTranslate(params('Hello'), translate)).toBe('नमस्ते');
+        expect(await cache.getOrTranslate(params('Hello'), translate)).toBe('नमस्ते');
+        expect(translate).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not cache fallback output', async () => {
+        const cache = new TranslationCache();
+        expect(await cache.getOrTranslate(params('Hello'), async () => ({ text: 'Hello', fallback: true }))).toBe('Hello');
+        expect(await cache.get(params('Hello'))).toBeNull();
+    });
+});
+
+describe('disk tier', () => {
+    test('survives a restart', async () => {
+        await new TranslationCache({ dir }).set(params('Hello'), 'नमस्ते');
+        const restarted = new TranslationCache({ dir });
+        expect(await restarted.get(params('Hello'))).toBe('नमस्ते');
+        expect(restarted.getStats().diskHits).toBe(1);
+    });
+
+    test('deletes the oldest files beyond maxDiskEntries', async () => {
+        const cache = new TranslationCache({ dir, maxEntries: 1, maxDiskEntries: 3 });
+        for (const text of ['a', 'b', 'c', 'd', 'e']) {
+            await cache.set(params(text), text.toUpperCase());
+        }
+
+        expect(diskFiles()).toHaveLength(3);
+        expect(cache.getStats().diskEvictions).toBe(2);
+        const restarted = new TranslationCache({ dir, maxDiskEntries: 3 });
+        expect(await restarted.get(params('a'))).toBeNull();
+        expect(await restarted.get(params('e'))).toBe('E');
+    });
+
+    test('deletes files older than ttlMs', async () => {
+        await new TranslationCache({ dir }).set(params('Hello'), 'नमस्ते');
+        const old = new Date(Date.now() - 60 * 1000);
+        diskFiles().forEach(name => fs.utimesSync(path.join(dir, 'hotel1', 'en-IN__hi-IN', name), old, old));
+
+        const restarted = new TranslationCache({ dir, ttlMs: 1000 });
+        expect(await restarted.get(params('Hello'))).toBeNull();
+        expect(diskFiles()).toHaveLength(0);
+    });
+
+    test('flushes a hotel from memory and disk', async () => {
+        const cache = new TranslationCache({ dir });
+        await cache.set(params('Hello'), 'नमस्ते');
+        await cache.flush({ hotelId: 'hotel1' });
+
+        expect(diskFiles()).toHaveLength(0);
+        expect(await new TranslationCache({ dir }).get(params('Hello'))).toBeNull();
+    });
+});
+
+test('reads its limits from the environment', () => {
+    const cache = createTranslationCacheFromEnv({
+        TRANSLATION_CACHE_SIZE: '10',
+        TRANSLATION_CACHE_DIR: dir,
+        TRANSLATION_CACHE_DISK_SIZE: '20',
+        TRANSLATION_CACHE_TTL_MS: '3000'
+    });
+    expect(cache).toMatchObject({ maxEntries: 10, dir, maxDiskEntries: 20, ttlMs: 3000 });
+});
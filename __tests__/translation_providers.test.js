@@ -0,0 +1,146 @@
+// translation_providers.test.js
+// Provider registry, environment selection and the circuit-breaking fallback wrapper
+const {
+    registerProvider,
+    listProviders,
+    validateProvider,
+    createProvider,
+    createResilientProvider,
+    resolveProviderName,
+    createProviderFromEnv
+} = require('../translation_providers');
+
+const failing = () => {
+    throw new Error('provider down');
+};
+
+function fakeProvider(overrides = {}) {
+    return {
+        transcribe: async () => ({ transcript: 'hello', confidence: 0.9 }),
+        translate: async text => ({ text: `primary:${text}` }),
+        synthesize: async () => ({ audio: Buffer.from('audio'), contentType: 'audio/wav' }),
+        getSupportedLanguages: async () => [],
+        healthCheck: async () => true,
+        ...overrides
+    };
+}
+
+describe('provider registry', () => {
+    test('registers and creates providers by name', () => {
+        const factory = jest.fn(() => fakeProvider());
+        registerProvider('test-registry', factory);
+
+        expect(listProviders()).toEqual(expect.arrayContaining(['mock', 'sarvam', 'test-registry']));
+        createProvider('test-registry', { apiKey: 'key' });
+        expect(factory).toHaveBeenCalledWith({ apiKey: 'key' });
+    });
+
+    test('rejects unknown names and incomplete providers', () => {
+        expect(() => createProvider('nope')).toThrow(/Unknown translation provider "nope"/);
+        expect(() => registerProvider('broken', {})).toThrow(/must be a function/);
+        expect(() => validateProvider('partial', { translate() {} })).toThrow(/missing methods: transcribe/);
+    });
+});
+
+describe('resolveProviderName', () => {
+    test('prefers TRANSLATION_PROVIDER, then Sarvam when a key is set', () => {
+        expect(resolveProviderName({ TRANSLATION_PROVIDER: 'mock', SARVAM_KEY: 'key' })).toBe('mock');
+        expect(resolveProviderName({ SARVAM_KEY: 'key' })).toBe('sarvam');
+        expect(resolveProviderName({})).toBe('mock');
+    });
+});
+
+describe('createProviderFromEnv', () => {
+    test('creates the configured provider and reports its name', async () => {
+        registerProvider('env-test', () => fakeProvider());
+        const { name, fallbackName, provider } = createProviderFromEnv({ TRANSLATION_PROVIDER: 'env-test' });
+        expect(name).toBe('env-test');
+        expect(fallbackName).toBeNull();
+        expect(await provider.translate('hi')).toEqual({ text: 'primary:hi' });
+    });
+
+    test('fails fast on an unknown provider', () => {
+        expect(() => createProviderFromEnv({ TRANSLATION_PROVIDER: 'nope' })).toThrow(/Unknown translation provider/);
+    });
+});
+
+describe('createProviderFromEnv retries and fallback', () => {
+    let config;
+    beforeAll(() => {
+        registerProvider('capture', providerConfig => {
+            config = providerConfig;
+            return fakeProvider();
+        });
+    });
+
+    test.each([
+        ['3', 3],
+        ['0', 0],
+        ['', undefined],
+        ['abc', undefined],
+        ['-1', undefined],
+        ['1.5', undefined],
+        [undefined, undefined]
+    ])('SARVAM_RETRIES=%p gives retries %p', (value, expected) => {
+        createProviderFromEnv({ TRANSLATION_PROVIDER: 'capture', SARVAM_RETRIES: value });
+        expect(config.retries).toBe(expected);
+    });
+
+    test('reports the provider and fallback names', () => {
+        const { name, fallbackName } = createProviderFromEnv({
+            TRANSLATION_PROVIDER: 'capture',
+            TRANSLATION_FALLBACK_PROVIDER: 'mock'
+        });
+        expect(name).toBe('capture');
+        expect(fallbackName).toBe('mock');
+    });
+
+    test('marks translations from the mock fallback as unavailable', async () => {
+        registerProvider('down', () => fakeProvider({ translate: failing }));
+        const { provider } = createProviderFromEnv({ TRANSLATION_PROVIDER: 'down', TRANSLATION_FALLBACK_PROVIDER: 'mock' });
+        expect(await provider.translate('Hello', 'en-IN', 'hi-IN')).toMatchObject({ fallback: true, unavailable: true });
+    });
+});
+
+describe('createResilientProvider', () => {
+    test('passes calls through while the primary works', async () => {
+        const provider = createResilientProvider('ok', fakeProvider());
+        expect(await provider.translate('hi')).toEqual({ text: 'primary:hi' });
+        expect(provider.getCircuitState().translate.state).toBe('closed');
+    });
+
+    test('rethrows failures when there is no fallback', async () => {
+        const provider = createResilientProvider('alone', fakeProvider({ translate: failing }));
+        await expect(provider.translate('hi')).rejects.toThrow('provider down');
+    });
+
+    test('marks results from the fallback provider', async () => {
+        const provider = createResilientProvider('down', fakeProvider({ translate: failing }), {
+            fallback: fakeProvider({ translate: async text => ({ text: `fallback:${text}` }) })
+        });
+        expect(await provider.translate('hi')).toEqual({ text: 'fallback:hi', fallback: true });
+    });
+
+    test('also marks results from a placeholder fallback as unavailable', async () => {
+        const provider = createResilientProvider('down', fakeProvider({ transcribe: failing }), {
+            fallback: fakeProvider(),
+            placeholderFallback: true
+        });
+        expect(await provider.transcribe()).toEqual({ transcript: 'hello', confidence: 0.9, fallback: true, unavailable: true });
+    });
+
+    test('stops calling the primary once its circuit opens', async () => {
+        const translate = jest.fn(failing);
+        const provider = createResilientProvider('flaky', fakeProvider({ translate }), {
+            fallback: fakeProvider(),
+            failureThreshold: 2,
+            resetTimeoutMs: 60 * 1000
+        });
+
+        for (let i = 0; i < 4; i++) {
+            await provider.translate('hi');
+        }
+        expect(translate).toHaveBeenCalledTimes(2);
+        expect(provider.getCircuitState().translate.state).toBe('open');
+    });
+});
@@ -0,0 +1,33 @@
+// translation_style.test.js
+// Formality and speaker gender from the request, room and hotel
+const { TranslationStyleValidationError, parseTranslationStyle, resolveTranslationStyle } = require('../translation_style');
+
+describe('parseTranslationStyle', () => {
+    test('keeps only the fields that are set', () => {
+        expect(parseTranslationStyle({ translationMode: 'informal', speakerGender: 'Female' }))
+            .toEqual({ translationMode: 'informal', speakerGender: 'female' });
+        expect(parseTranslationStyle({ translationMode: null })).toEqual({});
+        expect(parseTranslationStyle(null)).toEqual({});
+    });
+
+    test('rejects unknown values', () => {
+        expect(() => parseTranslationStyle({ translationMode: 'casual' })).toThrow(TranslationStyleValidationError);
+        expect(() => parseTranslationStyle({ speakerGender: 'other' })).toThrow('speakerGender must be one of male, female');
+    });
+});
+
+describe('resolveTranslationStyle', () => {
+    const hotel = { translationMode: 'informal' };
+
+    test('prefers the participant, then the room, then the hotel', () => {
+        expect(resolveTranslationStyle(hotel)).toEqual({ translationMode: 'informal', speakerGender: 'male' });
+        expect(resolveTranslationStyle(hotel, { translationMode: 'formal', speakerGender: 'female' }))
+            .toEqual({ translationMode: 'formal', speakerGender: 'female' });
+        expect(resolveTranslationStyle(hotel, { speakerGender: 'female' }, { speakerGender: 'male' }))
+            .toEqual({ translationMode: 'informal', speakerGender: 'male' });
+    });
+
+    test('defaults to formal when the hotel has no mode', () => {
+        expect(resolveTranslationStyle({}).translationMode).toBe('formal');
+    });
+});
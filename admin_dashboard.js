@@ -0,0 +1,84 @@
+// admin_dashboard.js
+// Live room summaries and lifecycle events for the admin dashboard
+const { isRoomExpired } = require('./room_links');
+
+const ROOM_STATUSES = ['open', 'expired', 'revoked'];
+
+// Socket.IO room of admins following every hotel; hotel admins join `${ADMIN_FEED_ROOM}:${hotelId}`
+const ADMIN_FEED_ROOM = 'admin_feed';
+
+/**
+ * Where a room is in its lifecycle
+ * @param {Object} roomInfo - Room record
+ * @param {Date} now - Current time
+ * @returns {string} open | expired | revoked
+ */
+function roomStatus(roomInfo, now = new Date()) {
+    if (roomInfo.revoked) {
+        return 'revoked';
+    }
+    return isRoomExpired(roomInfo, now) ? 'expired' : 'open';
+}
+
+/**
+ * Summarize a room for the dashboard. Message content is never included.
+ * @param {Object} roomInfo - Room record with its roomId
+ * @param {Array<Object>} members - From the room state store
+ * @param {Object} history - { messageCount, lastMessageAt }
+ * @param {Object} languageNames - Language code -> display name
+ * @param {Date} now - Current time
+ * @returns {Object} Room summary
+ */
+function summarizeRoom(roomInfo, members, history, languageNames, now = new Date()) {
+    const activity = [roomInfo.createdAt.getTime()];
+    if (history.lastMessageAt) {
+        activity.push(new Date(history.lastMessageAt).getTime());
+    }
+    members.forEach(member => {
+        if (member.joinedAt) {
+            activity.push(new Date(member.joinedAt).getTime());
+        }
+    });
+
+    return {
+        roomId: roomInfo.roomId,
+        hotelId: roomInfo.hotelId,
+        hotelName: roomInfo.hotelName,
+        status: roomStatus(roomInfo, now),
+        createdAt: roomInfo.createdAt.toISOString(),
+        expiresAt: roomInfo.expiresAt.toISOString(),
+        ageMs: now.getTime() - roomInfo.createdAt.getTime(),
+        maxGuests: roomInfo.maxGuests,
+        singleUse: roomInfo.singleUse,
+        translationStyle: roomInfo.translationStyle || {},
+        participants: members.map(member => ({
+            socketId: member.socketId,
+            role: member.role,
+            language: member.language,
+            languageName: languageNames[member.language] || member.language,
+            account: member.account || null,
+            translationStyle: member.translationStyle || {},
+            joinedAt: member.joinedAt || null
+        })),
+        guestCount: members.filter(member => member.role === 'guest').length,
+        messageCount: history.messageCount,
+        lastActivityAt: new Date(Math.max(...activity)).toISOString()
+    };
+}
+
+/**
+ * Socket.IO rooms an admin_feed event for a hotel is sent to
+ * @param {string} hotelId - Hotel id
+ * @returns {Array<string>} Chain-wide feed and the hotel's own feed
+ */
+function adminFeedRooms(hotelId) {
+    return [ADMIN_FEED_ROOM, `${ADMIN_FEED_ROOM}:${hotelId}`];
+}
+
+module.exports = {
+    ROOM_STATUSES,
+    ADMIN_FEED_ROOM,
+    roomStatus,
+    summarizeRoom,
+    adminFeedRooms
+};
@@ -0,0 +1,45 @@
+// audio_clips.js
+// Short-lived store for synthesized speech served at /api/audio/:audioId
+const crypto = require('crypto');
+
+const DEFAULT_MAX_CLIPS = 500;
+
+class AudioClipStore {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxClips] - Oldest clips are dropped beyond this count
+     */
+    constructor(options = {}) {
+        this.maxClips = options.maxClips || DEFAULT_MAX_CLIPS;
+        this.clips = new Map(); // audioId -> { audio, contentType, createdAt }
+    }
+
+    /**
+     * Store a clip
+     * @param {Buffer} audio - Audio bytes
+     * @param {string} contentType - MIME type
+     * @returns {string} Unguessable clip id
+     */
+    put(audio, contentType) {
+        const audioId = crypto.randomUUID();
+        this.clips.set(audioId, { audio, contentType, createdAt: new Date() });
+
+        // Maps iterate in insertion order, so the first key is the oldest clip
+        while (this.clips.size > this.maxClips) {
+            this.clips.delete(this.clips.keys().next().value);
+        }
+
+        return audioId;
+    }
+
+    /**
+     * Look up a clip
+     * @param {string} audioId - Clip id
+     * @returns {Object|undefined} { audio, contentType, createdAt }
+     */
+    get(audioId) {
+        return this.clips.get(audioId);
+    }
+}
+
+module.exports = { AudioClipStore };
@@ -0,0 +1,248 @@
+// audio_pipeline.js
+// Detects the real audio container/codec and normalizes clips to 16 kHz mono WAV for STT
+const { spawn } = require('child_process');
+const { decodeWav, encodeWav, floatTo16Bit } = require('./wav');
+const { logger } = require('./logger');
+
+const TARGET_SAMPLE_RATE = 16000;
+const DEFAULT_MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_AUDIO_DURATION_MS = 60 * 1000;
+const FFMPEG_TIMEOUT_MS = 30 * 1000;
+
+// MIME type per container, used when a clip is passed through undecoded
+const CONTENT_TYPES = {
+    wav: 'audio/wav',
+    webm: 'audio/webm',
+    ogg: 'audio/ogg',
+    mp3: 'audio/mpeg',
+    flac: 'audio/flac',
+    mp4: 'audio/mp4'
+};
+
+/**
+ * Error for clips that cannot be accepted (empty, too large, too long, undecodable).
+ * Messages are safe to show to the speaker.
+ */
+class AudioValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AudioValidationError';
+        this.code = 'INVALID_AUDIO';
+    }
+}
+
+/**
+ * Sniff the container and codec from the first bytes of a clip
+ * @param {Buffer} buffer - Audio bytes
+ * @returns {{container: string, codec: (string|null), contentType: (string|null)}} Detected format
+ */
+function detectAudioFormat(buffer) {
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+    // Codec ids live in the first few KB of the header for the containers we care about
+    const head = buffer.subarray(0, 4096).toString('latin1');
+
+    let container = 'unknown';
+    let codec = null;
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+        container = 'wav';
+        codec = 'pcm';
+    } else if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+        // EBML header: WebM or Matroska
+        container = 'webm';
+        codec = head.includes('A_OPUS') ? 'opus' : head.includes('A_VORBIS') ? 'vorbis' : null;
+    } else if (ascii(0, 4) === 'OggS') {
+        container = 'ogg';
+        codec = head.includes('OpusHead') ? 'opus' : head.includes('vorbis') ? 'vorbis' : null;
+    } else if (ascii(0, 4) === 'fLaC') {
+        container = 'flac';
+        codec = 'flac';
+    } else if (ascii(4, 8) === 'ftyp') {
+        container = 'mp4';
+        codec = head.includes('mp4a') ? 'aac' : null;
+    } else if (ascii(0, 3) === 'ID3' || (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+        container = 'mp3';
+        codec = 'mp3';
+    }
+
+    return { container, codec, contentType: CONTENT_TYPES[container] || null };
+}
+
+/**
+ * Mix interleaved samples down to mono
+ * @param {Float32Array} samples - Interleaved samples
+ * @param {number} channels - Channel count
+ * @returns {Float32Array} Mono samples
+ */
+function toMono(samples, channels) {
+    if (channels === 1) {
+        return samples;
+    }
+    const frames = Math.floor(samples.length / channels);
+    const mono = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += samples[frame * channels + channel];
+        }
+        mono[frame] = sum / channels;
+    }
+    return mono;
+}
+
+/**
+ * Resample mono audio with linear interpolation
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Float32Array} Resampled samples
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return samples;
+    }
+    const length = Math.round(samples.length * toRate / fromRate);
+    const output = new Float32Array(length);
+    const ratio = fromRate / toRate;
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+    }
+    return output;
+}
+
+/**
+ * Decode any container ffmpeg understands to 16 kHz mono WAV
+ * @param {Buffer} buffer - Audio bytes
+ * @param {string} ffmpegPath - ffmpeg binary
+ * @param {number} maxDurationMs - Longest clip accepted; decoding stops a second past it
+ *   so overlong clips are still detected without producing unbounded output
+ * @returns {Promise<Buffer>} WAV bytes
+ */
+function decodeWithFfmpeg(buffer, ffmpegPath, maxDurationMs) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', 'pipe:0',
+            '-t', String(maxDurationMs / 1000 + 1),
+            '-ac', '1', '-ar', String(TARGET_SAMPLE_RATE),
+            '-f', 'wav', 'pipe:1'
+        ]);
+        const output = [];
+        const errors = [];
+        const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), FFMPEG_TIMEOUT_MS);
+
+        ffmpeg.stdout.on('data', chunk => output.push(chunk));
+        ffmpeg.stderr.on('data', chunk => errors.push(chunk));
+        ffmpeg.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        ffmpeg.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(Buffer.concat(output));
+            } else {
+                reject(new Error(`ffmpeg exited with ${code}: ${Buffer.concat(errors).toString().trim()}`));
+            }
+        });
+
+        // ffmpeg may stop reading early on bad input; that surfaces through 'close'
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(buffer);
+    });
+}
+
+let warnedNoFfmpeg = false;
+
+/**
+ * Validate a clip and convert it to the 16 kHz mono PCM WAV the STT API expects.
+ * WAV is converted in-process; other containers go through ffmpeg. Without ffmpeg,
+ * compressed clips are passed through with their real MIME type and no duration.
+ * @param {Buffer} buffer - Audio bytes as received from the client
+ * @param {Object} options - { maxBytes, maxDurationMs, ffmpegPath }
+ * @returns {Promise<Object>} { audio, contentType, filename, format, durationMs }
+ * @throws {AudioValidationError} For empty, oversized, overlong or unrecognized clips
+ */
+async function normalizeAudio(buffer, options = {}) {
+    const maxBytes = options.maxBytes || DEFAULT_MAX_AUDIO_BYTES;
+    const maxDurationMs = options.maxDurationMs || DEFAULT_MAX_AUDIO_DURATION_MS;
+    const ffmpegPath = options.ffmpegPath || 'ffmpeg';
+
+    if (!buffer || buffer.length === 0) {
+        throw new AudioValidationError('Audio clip is empty');
+    }
+    if (buffer.length > maxBytes) {
+        throw new AudioValidationError(`Audio clip is too large (limit ${Math.round(maxBytes / 1024)} KB)`);
+    }
+
+    const format = detectAudioFormat(buffer);
+    if (format.container === 'unknown') {
+        throw new AudioValidationError('Unrecognized audio format');
+    }
+
+    let wav;
+    if (format.container === 'wav') {
+        wav = buffer;
+    } else {
+        try {
+            wav = await decodeWithFfmpeg(buffer, ffmpegPath, maxDurationMs);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new AudioValidationError(`Could not decode ${format.container} audio`);
+            }
+            if (!warnedNoFfmpeg) {
+                warnedNoFfmpeg = true;
+                logger.warn('ffmpeg not found; compressed audio is sent to STT as-is', { ffmpegPath });
+            }
+            return {
+                audio: buffer,
+                contentType: format.contentType,
+                filename: `audio.${format.container}`,
+                format,
+                durationMs: null
+            };
+        }
+    }
+
+    let decoded;
+    try {
+        decoded = decodeWav(wav);
+    } catch (error) {
+        throw new AudioValidationError(`Could not decode ${format.container} audio: ${error.message}`);
+    }
+
+    // Checked before mixing and resampling, which allocate in proportion to the duration
+    const frames = Math.floor(decoded.samples.length / decoded.channels);
+    const durationMs = Math.round(frames * 1000 / decoded.sampleRate);
+    if (frames === 0) {
+        throw new AudioValidationError('Audio clip is empty');
+    }
+    if (durationMs > maxDurationMs) {
+        throw new AudioValidationError(`Audio clip is too long (limit ${Math.round(maxDurationMs / 1000)} s)`);
+    }
+
+    const mono = resample(toMono(decoded.samples, decoded.channels), decoded.sampleRate, TARGET_SAMPLE_RATE);
+
+    return {
+        audio: encodeWav(floatTo16Bit(mono), TARGET_SAMPLE_RATE),
+        contentType: 'audio/wav',
+        filename: 'audio.wav',
+        format,
+        durationMs
+    };
+}
+
+module.exports = {
+    TARGET_SAMPLE_RATE,
+    DEFAULT_MAX_AUDIO_BYTES,
+    DEFAULT_MAX_AUDIO_DURATION_MS,
+    AudioValidationError,
+    detectAudioFormat,
+    toMono,
+    resample,
+    normalizeAudio
+};
@@ -0,0 +1,150 @@
+// audio_stream.js
+// Assembles streamed audio chunks per speaker and paces interim transcriptions
+const DEFAULT_MAX_STREAM_BYTES = 10 * 1024 * 1024;
+const DEFAULT_PARTIAL_INTERVAL_MS = 1500;
+// Each partial transcribes the whole utterance so far, so STT is billed for the
+// growing buffer every time; cap how many one utterance can trigger
+const DEFAULT_MAX_PARTIALS = 5;
+
+/**
+ * Convert an incoming chunk (binary or base64 string) to a Buffer
+ * @param {Buffer|ArrayBuffer|Uint8Array|string} chunk - Chunk from the socket payload
+ * @returns {Buffer} Chunk bytes
+ */
+function toBuffer(chunk) {
+    if (Buffer.isBuffer(chunk)) {
+        return chunk;
+    }
+    if (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk)) {
+        return Buffer.from(chunk.buffer || chunk, chunk.byteOffset || 0, chunk.byteLength);
+    }
+    if (typeof chunk === 'string') {
+        return Buffer.from(chunk, 'base64');
+    }
+    throw new Error('Unsupported audio chunk type');
+}
+
+class AudioStreamAssembler {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxBytes] - Largest utterance accepted per stream
+     * @param {number} [options.partialIntervalMs] - Minimum gap between interim transcriptions
+     * @param {number} [options.maxPartials] - Interim transcriptions allowed per stream
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_STREAM_BYTES;
+        this.partialIntervalMs = options.partialIntervalMs || DEFAULT_PARTIAL_INTERVAL_MS;
+        this.maxPartials = options.maxPartials || DEFAULT_MAX_PARTIALS;
+        this.streams = new Map(); // speaker key (socket id) -> stream
+    }
+
+    /**
+     * Add a chunk to a speaker's stream, starting a new stream when the id changes
+     * @param {string} key - Speaker key (socket id)
+     * @param {string} streamId - Client-chosen id for this utterance
+     * @param {*} chunk - Chunk bytes
+     * @param {number} [seq] - Chunk sequence number, used to restore order
+     * @returns {Object} Stream state
+     * @throws {Error} When the stream grows past maxBytes
+     */
+    append(key, streamId, chunk, seq) {
+        let stream = this.streams.get(key);
+        if (!stream || stream.id !== streamId) {
+            stream = {
+                id: streamId,
+                chunks: [],
+                bytes: 0,
+                startedAt: Date.now(),
+                lastPartialAt: 0,
+                partialCount: 0,
+                partialInFlight: false
+            };
+            this.streams.set(key, stream);
+        }
+
+        const buffer = toBuffer(chunk);
+        if (stream.bytes + buffer.length > this.maxBytes) {
+            this.streams.delete(key);
+            throw new Error('Audio stream is too large');
+        }
+
+        stream.chunks.push({ seq: Number.isInteger(seq) ? seq : stream.chunks.length, buffer });
+        stream.bytes += buffer.length;
+        return stream;
+    }
+
+    /**
+     * Reserve the right to run an interim transcription for a stream
+     * @param {Object} stream - Stream state
+     * @param {number} now - Current time in ms
+     * @returns {boolean} True if a partial transcription should run now
+     */
+    takePartialSlot(stream, now = Date.now()) {
+        if (stream.partialInFlight || stream.partialCount >= this.maxPartials ||
+            now - stream.lastPartialAt < this.partialIntervalMs) {
+            return false;
+        }
+        stream.partialInFlight = true;
+        stream.partialCount++;
+        stream.lastPartialAt = now;
+        return true;
+    }
+
+    /**
+     * Release the slot taken with takePartialSlot
+     * @param {Object} stream - Stream state
+     */
+    releasePartialSlot(stream) {
+        stream.partialInFlight = false;
+    }
+
+    /**
+     * Concatenate the chunks received so far, in sequence order
+     * @param {Object} stream - Stream state
+     * @returns {Buffer} Audio received so far
+     */
+    assemble(stream) {
+        const ordered = [...stream.chunks].sort((a, b) => a.seq - b.seq);
+        return Buffer.concat(ordered.map(chunk => chunk.buffer));
+    }
+
+    /**
+     * Whether a stream is still the speaker's current one
+     * @param {string} key - Speaker key
+     * @param {string} streamId - Stream id
+     * @returns {boolean} True while the stream has not ended or been replaced
+     */
+    isActive(key, streamId) {
+        return this.streams.get(key)?.id === streamId;
+    }
+
+    /**
+     * End a stream and return the full utterance
+     * @param {string} key - Speaker key
+     * @param {string} streamId - Stream id
+     * @returns {Buffer|null} Assembled audio, or null for an unknown stream
+     */
+    finish(key, streamId) {
+        const stream = this.streams.get(key);
+        if (!stream || stream.id !== streamId) {
+            return null;
+        }
+        this.streams.delete(key);
+        return this.assemble(stream);
+    }
+
+    /**
+     * Drop any stream in progress for a speaker (e.g. on disconnect)
+     * @param {string} key - Speaker key
+     */
+    discard(key) {
+        this.streams.delete(key);
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_STREAM_BYTES,
+    DEFAULT_PARTIAL_INTERVAL_MS,
+    DEFAULT_MAX_PARTIALS,
+    AudioStreamAssembler
+};
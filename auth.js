@@ -0,0 +1,236 @@
+// auth.js
+// Staff login, signed guest join tokens and role checks
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const STAFF_ROLES = ['receptionist', 'admin'];
+const DEFAULT_STAFF_TOKEN_TTL = '8h';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    // Tokens will not survive a restart, which is fine for local development only
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET is not set; using a random per-process secret');
+}
+
+/**
+ * Hash a password for STAFF_ACCOUNTS
+ * @param {string} password - Plain-text password
+ * @returns {string} "salt:hash" in hex
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a "salt:hash" string
+ * @param {string} password - Plain-text password
+ * @param {string} stored - "salt:hash" from hashPassword
+ * @returns {boolean} Whether the password matches
+ */
+function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored).split(':');
+    if (!salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    if (expected.length === 0) {
+        return false;
+    }
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Parse STAFF_ACCOUNTS ("username:role:salt:hash[:hotelId],...").
+ * Accounts without a hotel id work across every hotel.
+ * @param {string} value - Raw environment value
+ * @returns {Map<string, Object>} username -> { username, role, passwordHash, hotelId }
+ */
+function parseStaffAccounts(value = '') {
+    const accounts = new Map();
+
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [username, role, salt, hash, hotelId] = entry.split(':');
+        if (!username || !STAFF_ROLES.includes(role) || !salt || !hash) {
+            logger.warn('Ignoring invalid STAFF_ACCOUNTS entry', { username: username || entry });
+            return;
+        }
+        accounts.set(username, { username, role, passwordHash: `${salt}:${hash}`, hotelId: hotelId || null });
+    });
+
+    return accounts;
+}
+
+const staffAccounts = parseStaffAccounts(process.env.STAFF_ACCOUNTS);
+
+/**
+ * Look up a staff account by credentials
+ * @param {string} username - Staff username
+ * @param {string} password - Plain-text password
+ * @returns {Object|null} Account ({ username, role, hotelId }) or null
+ */
+function authenticateStaff(username, password) {
+    const account = staffAccounts.get(username);
+    if (!account || !verifyPassword(password, account.passwordHash)) {
+        return null;
+    }
+    return { username: account.username, role: account.role, hotelId: account.hotelId };
+}
+
+/**
+ * Issue a token for a logged-in staff member
+ * @param {Object} account - { username, role, hotelId }
+ * @returns {string} Signed JWT
+ */
+function issueStaffToken(account) {
+    return jwt.sign(
+        { type: 'staff', sub: account.username, role: account.role, hotel: account.hotelId || null },
+        jwtSecret,
+        { expiresIn: process.env.STAFF_TOKEN_TTL || DEFAULT_STAFF_TOKEN_TTL }
+    );
+}
+
+/**
+ * Issue a guest join token bound to one room
+ * @param {string} roomId - Room id
+ * @param {Object} options
+ * @param {Date} options.expiresAt - When the token stops working (the room's expiry)
+ * @param {boolean} [options.session] - Reconnect token handed out after a link is redeemed
+ * @returns {string} Signed JWT
+ */
+function issueGuestToken(roomId, options = {}) {
+    const payload = { type: 'guest', role: 'guest', room: roomId, session: Boolean(options.session) };
+    if (options.expiresAt) {
+        payload.exp = Math.floor(options.expiresAt.getTime() / 1000);
+    }
+    return jwt.sign(payload, jwtSecret, { jwtid: crypto.randomUUID() });
+}
+
+/**
+ * Verify a token
+ * @param {string} token - Signed JWT
+ * @returns {Object|null} Token payload, or null if missing or invalid
+ */
+function verifyToken(token) {
+    if (!token) {
+        return null;
+    }
+    try {
+        return jwt.verify(token, jwtSecret);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Work out who is joining a room from their token.
+ * Staff may join their hotel's rooms (checked by the caller with canAccessHotel);
+ * guests only the room their token was issued for.
+ * @param {string} token - Signed JWT from the client
+ * @param {string} room - Room being joined
+ * @returns {Object|null} { role, account, staffRole, hotelId, tokenId, session } where role is the conversation role, or null
+ */
+function resolveJoinIdentity(token, room) {
+    const payload = verifyToken(token);
+    if (!payload) {
+        return null;
+    }
+    if (payload.type === 'staff' && STAFF_ROLES.includes(payload.role)) {
+        return {
+            role: 'receptionist',
+            account: payload.sub,
+            staffRole: payload.role,
+            hotelId: payload.hotel || null,
+            tokenId: null,
+            session: false
+        };
+    }
+    if (payload.type === 'guest' && payload.room === room) {
+        return {
+            role: 'guest',
+            account: null,
+            staffRole: null,
+            hotelId: null,
+            tokenId: payload.jti,
+            session: Boolean(payload.session)
+        };
+    }
+    return null;
+}
+
+/**
+ * Staff member a token belongs to
+ * @param {string} token - Signed JWT
+ * @returns {Object|null} { username, role, hotelId }, or null if not a valid staff token
+ */
+function resolveStaff(token) {
+    const payload = verifyToken(token);
+    if (!payload || payload.type !== 'staff') {
+        return null;
+    }
+    return { username: payload.sub, role: payload.role, hotelId: payload.hotel || null };
+}
+
+/**
+ * Express middleware requiring a staff bearer token with one of the given roles
+ * @param {...string} roles - Allowed staff roles
+ * @returns {Function} Express middleware
+ */
+function requireStaff(...roles) {
+    const allowed = roles.length > 0 ? roles : STAFF_ROLES;
+
+    return (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        const staff = resolveStaff(token);
+
+        if (!staff) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!allowed.includes(staff.role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        req.staff = staff;
+        next();
+    };
+}
+
+/**
+ * Whether a staff member may see a hotel's rooms and settings
+ * @param {Object} staff - { hotelId } from requireStaff or resolveJoinIdentity
+ * @param {string} hotelId - Hotel id
+ * @returns {boolean} True for the hotel's own staff and for chain-wide accounts
+ */
+function canAccessHotel(staff, hotelId) {
+    return !staff.hotelId || staff.hotelId === hotelId;
+}
+
+module.exports = {
+    STAFF_ROLES,
+    hashPassword,
+    verifyPassword,
+    parseStaffAccounts,
+    authenticateStaff,
+    issueStaffToken,
+    issueGuestToken,
+    verifyToken,
+    resolveJoinIdentity,
+    resolveStaff,
+    requireStaff,
+    canAccessHotel
+};
+
+// CLI: npm run hash-password -- <password>
+if (require.main === module) {
+    const [command, password] = process.argv.slice(2);
+    if (command !== 'hash-password' || !password) {
+        console.error('Usage: node auth.js hash-password <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
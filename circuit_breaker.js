@@ -0,0 +1,87 @@
+// circuit_breaker.js
+// Circuit breaker that stops calling a failing dependency until it has had time to recover
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Error thrown instead of calling the dependency while the circuit is open
+ */
+class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`${name} is temporarily unavailable (circuit open)`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Name used in errors and health output
+     * @param {number} [options.failureThreshold] - Consecutive failures before the circuit opens
+     * @param {number} [options.resetTimeoutMs] - Time the circuit stays open before a trial call
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        this.resetTimeoutMs = options.resetTimeoutMs || DEFAULT_RESET_TIMEOUT_MS;
+        this.state = 'closed'; // closed -> open -> half_open -> closed | open
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} Result of fn
+     * @throws {CircuitOpenError} While the circuit is open
+     */
+    async exec(fn) {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+                throw new CircuitOpenError(this.name);
+            }
+            // Let a single trial call through; concurrent calls keep failing fast
+            this.state = 'half_open';
+        } else if (this.state === 'half_open') {
+            throw new CircuitOpenError(this.name);
+        }
+
+        try {
+            const result = await fn();
+            this.state = 'closed';
+            this.failures = 0;
+            this.openedAt = null;
+            return result;
+        } catch (error) {
+            this.failures++;
+            this.lastError = error.message;
+            if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+                this.state = 'open';
+                this.openedAt = Date.now();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Current state for health reporting
+     * @returns {Object} { state, failures, openedAt, lastError }
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_FAILURE_THRESHOLD,
+    DEFAULT_RESET_TIMEOUT_MS,
+    CircuitOpenError,
+    CircuitBreaker
+};
@@ -0,0 +1,244 @@
+// glossary.js
+// Per-hotel glossary: fixed term translations and do-not-translate tokens applied around MT
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Tokens that must survive translation untouched in every hotel
+const BUILT_IN_PROTECTED_PATTERNS = [
+    /(?:Rs\.?|INR|₹)\s?\d[\d,]*(?:\.\d+)?(?:\s?\/-)?/gi, // prices: Rs 3000, ₹1,500, INR 200
+    /\b(?:Room|Rm\.?|Suite)\s?(?:No\.?\s?)?#?\d+[A-Za-z]?\b/gi, // room numbers: Room 204, Rm 12B
+    /\+?\d[\d\s-]{7,}\d/g // phone numbers
+];
+
+// Placeholders look like __G0__; MT engines may add spaces inside them
+const PLACEHOLDER_PATTERN = /_{2}\s*G\s*(\d+)\s*_{2}/g;
+
+/**
+ * Error for invalid glossary input. Messages are safe to return to the client.
+ */
+class GlossaryValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GlossaryValidationError';
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive pattern matching a term only as a whole word, so "Room"
+ * leaves "bathroom" alone. Letters, combining marks (Indic vowel signs) and
+ * digits count as word characters in every script.
+ * @param {string} text - Term
+ * @returns {RegExp} Global pattern
+ */
+function wholeWordPattern(text) {
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(text)}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+}
+
+function emptyGlossary() {
+    return { terms: [], protectedTerms: [] };
+}
+
+class GlossaryStore {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.languages - Language codes accepted in term pairs
+     * @param {string} [options.filePath] - JSON file to persist glossaries to (memory only if omitted)
+     */
+    constructor(options = {}) {
+        this.languages = options.languages || [];
+        this.filePath = options.filePath || null;
+        this.hotels = new Map(); // hotelId -> { terms, protectedTerms }
+        this.ready = this.load();
+    }
+
+    async load() {
+        if (!this.filePath) {
+            return;
+        }
+        try {
+            const content = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            Object.entries(content).forEach(([hotelId, glossary]) => this.hotels.set(hotelId, glossary));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async save() {
+        if (!this.filePath) {
+            return;
+        }
+        await fs.writeFile(this.filePath, JSON.stringify(Object.fromEntries(this.hotels), null, 2), 'utf8');
+    }
+
+    hotel(hotelId) {
+        if (!this.hotels.has(hotelId)) {
+            this.hotels.set(hotelId, emptyGlossary());
+        }
+        return this.hotels.get(hotelId);
+    }
+
+    validateTerm(input) {
+        const { sourceLanguage, source, targetLanguage, target } = input || {};
+        if (!this.languages.includes(sourceLanguage) || !this.languages.includes(targetLanguage)) {
+            throw new GlossaryValidationError('sourceLanguage and targetLanguage must be supported language codes');
+        }
+        if (typeof source !== 'string' || !source.trim() || typeof target !== 'string' || !target.trim()) {
+            throw new GlossaryValidationError('source and target must be non-empty strings');
+        }
+        return { sourceLanguage, source: source.trim(), targetLanguage, target: target.trim() };
+    }
+
+    /**
+     * Get a hotel's glossary
+     * @param {string} hotelId - Hotel id
+     * @returns {Promise<Object>} { terms, protectedTerms }
+     */
+    async get(hotelId) {
+        await this.ready;
+        return this.hotels.get(hotelId) || emptyGlossary();
+    }
+
+    /**
+     * Add a term pair
+     * @param {string} hotelId - Hotel id
+     * @param {Object} input - { sourceLanguage, source, targetLanguage, target }
+     * @returns {Promise<Object>} Created term
+     * @throws {GlossaryValidationError} On invalid input
+     */
+    async addTerm(hotelId, input) {
+        await this.ready;
+        const term = { id: crypto.randomUUID(), ...this.validateTerm(input) };
+        this.hotel(hotelId).terms.push(term);
+        await this.save();
+        return term;
+    }
+
+    /**
+     * Replace a term pair
+     * @param {string} hotelId - Hotel id
+     * @param {string} termId - Term id
+     * @param {Object} input - { sourceLanguage, source, targetLanguage, target }
+     * @returns {Promise<Object|null>} Updated term, or null if not found
+     */
+    async updateTerm(hotelId, termId, input) {
+        await this.ready;
+        const term = this.hotel(hotelId).terms.find(entry => entry.id === termId);
+        if (!term) {
+            return null;
+        }
+        Object.assign(term, this.validateTerm(input));
+        await this.save();
+        return term;
+    }
+
+    /**
+     * Delete a term pair
+     * @param {string} hotelId - Hotel id
+     * @param {string} termId - Term id
+     * @returns {Promise<boolean>} Whether a term was deleted
+     */
+    async deleteTerm(hotelId, termId) {
+        await this.ready;
+        const glossary = this.hotel(hotelId);
+        const before = glossary.terms.length;
+        glossary.terms = glossary.terms.filter(entry => entry.id !== termId);
+        await this.save();
+        return glossary.terms.length < before;
+    }
+
+    /**
+     * Add a do-not-translate token (guest names, brand names, ...)
+     * @param {string} hotelId - Hotel id
+     * @param {Object} input - { text }
+     * @returns {Promise<Object>} Created entry
+     * @throws {GlossaryValidationError} On invalid input
+     */
+    async addProtectedTerm(hotelId, input) {
+        await this.ready;
+        const text = typeof input?.text === 'string' ? input.text.trim() : '';
+        if (!text) {
+            throw new GlossaryValidationError('text must be a non-empty string');
+        }
+        const entry = { id: crypto.randomUUID(), text };
+        this.hotel(hotelId).protectedTerms.push(entry);
+        await this.save();
+        return entry;
+    }
+
+    /**
+     * Delete a do-not-translate token
+     * @param {string} hotelId - Hotel id
+     * @param {string} termId - Entry id
+     * @returns {Promise<boolean>} Whether an entry was deleted
+     */
+    async deleteProtectedTerm(hotelId, termId) {
+        await this.ready;
+        const glossary = this.hotel(hotelId);
+        const before = glossary.protectedTerms.length;
+        glossary.protectedTerms = glossary.protectedTerms.filter(entry => entry.id !== termId);
+        await this.save();
+        return glossary.protectedTerms.length < before;
+    }
+
+    /**
+     * Prepare text for MT: glossary terms and protected tokens are swapped for
+     * placeholders, which restore() later replaces with the fixed output.
+     * @param {string} hotelId - Hotel id
+     * @param {string} text - Source text
+     * @param {string} sourceLanguage - Source language code
+     * @param {string} targetLanguage - Target language code
+     * @returns {Promise<Object>} { text, needsTranslation, restore(translatedText) }
+     */
+    async prepare(hotelId, text, sourceLanguage, targetLanguage) {
+        const glossary = await this.get(hotelId);
+        const replacements = [];
+
+        const swap = (input, pattern, output) => input.replace(pattern, match => {
+            replacements.push(output === undefined ? match : output);
+            return `__G${replacements.length - 1}__`;
+        });
+
+        let prepared = text;
+
+        // Longest first so "Deluxe Room" wins over "Room"
+        glossary.terms
+            .filter(term => term.sourceLanguage === sourceLanguage && term.targetLanguage === targetLanguage)
+            .sort((a, b) => b.source.length - a.source.length)
+            .forEach(term => {
+                prepared = swap(prepared, wholeWordPattern(term.source), term.target);
+            });
+
+        glossary.protectedTerms
+            .slice()
+            .sort((a, b) => b.text.length - a.text.length)
+            .forEach(entry => {
+                prepared = swap(prepared, wholeWordPattern(entry.text));
+            });
+
+        BUILT_IN_PROTECTED_PATTERNS.forEach(pattern => {
+            prepared = swap(prepared, pattern);
+        });
+
+        return {
+            text: prepared,
+            // Nothing left to translate once placeholders and punctuation are removed
+            needsTranslation: /\p{L}/u.test(prepared.replace(PLACEHOLDER_PATTERN, '')),
+            restore: translated => translated.replace(PLACEHOLDER_PATTERN, (match, index) => {
+                const replacement = replacements[Number(index)];
+                return replacement === undefined ? match : replacement;
+            })
+        };
+    }
+}
+
+module.exports = {
+    BUILT_IN_PROTECTED_PATTERNS,
+    GlossaryValidationError,
+    GlossaryStore
+};
@@ -0,0 +1,58 @@
+// health_checks.js
+// Cached dependency checks for the readiness endpoint
+const DEFAULT_CHECK_TTL_MS = 60 * 1000;
+const DEFAULT_CHECK_TIMEOUT_MS = 10 * 1000;
+
+class CachedCheck {
+    /**
+     * @param {Object} options
+     * @param {Function} options.check - async () => result; a thrown error or timeout counts as a failure
+     * @param {number} [options.ttlMs] - How long a result is reused before checking again
+     * @param {number} [options.timeoutMs] - Time to wait for the check
+     */
+    constructor(options) {
+        this.check = options.check;
+        this.ttlMs = options.ttlMs || DEFAULT_CHECK_TTL_MS;
+        this.timeoutMs = options.timeoutMs || DEFAULT_CHECK_TIMEOUT_MS;
+        this.result = null; // { value, error, checkedAt }
+        this.pending = null;
+    }
+
+    /**
+     * Get the latest result, running the check if the cached one is stale.
+     * Concurrent callers share one in-flight check.
+     * @returns {Promise<Object>} { value, error, checkedAt }
+     */
+    async get() {
+        if (this.result && Date.now() - this.result.checkedAt < this.ttlMs) {
+            return this.result;
+        }
+        if (!this.pending) {
+            this.pending = this.run().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async run() {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Check timed out after ${this.timeoutMs} ms`)), this.timeoutMs);
+        });
+
+        try {
+            this.result = { value: await Promise.race([this.check(), timeout]), error: null, checkedAt: Date.now() };
+        } catch (error) {
+            this.result = { value: null, error: error.message, checkedAt: Date.now() };
+        } finally {
+            clearTimeout(timer);
+        }
+        return this.result;
+    }
+}
+
+module.exports = {
+    DEFAULT_CHECK_TTL_MS,
+    CachedCheck
+};
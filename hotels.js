@@ -0,0 +1,224 @@
+// hotels.js
+// Hotels (tenants): languages, translation mode and branding per hotel
+const fs = require('fs').promises;
+const { toHotelId } = require('./room_links');
+const { TRANSLATION_MODES, DEFAULT_TRANSLATION_MODE } = require('./translation_style');
+
+const DEFAULT_HOTEL_ID = 'default';
+const DEFAULT_RECEPTIONIST_LANGUAGE = 'en-IN';
+
+const HOTEL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// Logos are served by this server (the page's CSP only allows same-origin images)
+const LOGO_PATH_PATTERN = /^\/(?!\/)(?!.*\.\.)[A-Za-z0-9._~\/-]+$/;
+const MAX_WELCOME_LENGTH = 500;
+
+/**
+ * Error for invalid hotel input. Messages are safe to return to the client.
+ */
+class HotelValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HotelValidationError';
+    }
+}
+
+class HotelStore {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.languages - Supported language codes
+     * @param {string} [options.filePath] - JSON file to persist hotels to (memory only if omitted)
+     */
+    constructor(options) {
+        this.languages = options.languages;
+        this.filePath = options.filePath || null;
+        this.hotels = new Map(); // hotelId -> hotel
+        this.ready = this.load();
+    }
+
+    async load() {
+        if (this.filePath) {
+            try {
+                const content = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+                content.forEach(hotel => this.hotels.set(hotel.id, hotel));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        // A fresh deployment serves a single hotel until others are added
+        if (this.hotels.size === 0) {
+            this.hotels.set(DEFAULT_HOTEL_ID, this.validate({ name: 'Default Hotel' }, DEFAULT_HOTEL_ID));
+        }
+    }
+
+    async save() {
+        if (!this.filePath) {
+            return;
+        }
+        await fs.writeFile(this.filePath, JSON.stringify([...this.hotels.values()], null, 2), 'utf8');
+    }
+
+    validateBranding(branding = {}) {
+        if (typeof branding !== 'object' || branding === null || Array.isArray(branding)) {
+            throw new HotelValidationError('branding must be an object');
+        }
+        const { logoUrl, primaryColor, welcomeMessage } = branding;
+        if (logoUrl !== undefined && logoUrl !== null && (typeof logoUrl !== 'string' || !LOGO_PATH_PATTERN.test(logoUrl))) {
+            throw new HotelValidationError('branding.logoUrl must be a path on this server, e.g. /branding/logo.png');
+        }
+        if (primaryColor !== undefined && primaryColor !== null && (typeof primaryColor !== 'string' || !COLOR_PATTERN.test(primaryColor))) {
+            throw new HotelValidationError('branding.primaryColor must be a hex color like #667eea');
+        }
+        if (welcomeMessage !== undefined && welcomeMessage !== null &&
+            (typeof welcomeMessage !== 'string' || welcomeMessage.length > MAX_WELCOME_LENGTH)) {
+            throw new HotelValidationError(`branding.welcomeMessage must be a string of at most ${MAX_WELCOME_LENGTH} characters`);
+        }
+        return {
+            logoUrl: logoUrl || null,
+            primaryColor: primaryColor || null,
+            welcomeMessage: welcomeMessage ? welcomeMessage.trim() : null
+        };
+    }
+
+    validate(input, hotelId) {
+        const {
+            name,
+            receptionistLanguage = DEFAULT_RECEPTIONIST_LANGUAGE,
+            guestLanguages = this.languages,
+            translationMode = DEFAULT_TRANSLATION_MODE,
+            branding
+        } = input || {};
+
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new HotelValidationError('name must be a non-empty string');
+        }
+        if (!HOTEL_ID_PATTERN.test(hotelId)) {
+            throw new HotelValidationError('id must be lowercase letters, digits and dashes');
+        }
+        if (!this.languages.includes(receptionistLanguage)) {
+            throw new HotelValidationError('receptionistLanguage must be a supported language code');
+        }
+        if (!Array.isArray(guestLanguages) || guestLanguages.length === 0 ||
+            !guestLanguages.every(language => this.languages.includes(language))) {
+            throw new HotelValidationError('guestLanguages must be a non-empty list of supported language codes');
+        }
+        if (!TRANSLATION_MODES.includes(translationMode)) {
+            throw new HotelValidationError(`translationMode must be one of ${TRANSLATION_MODES.join(', ')}`);
+        }
+
+        return {
+            id: hotelId,
+            name: name.trim(),
+            receptionistLanguage,
+            guestLanguages: [...new Set(guestLanguages)],
+            translationMode,
+            branding: this.validateBranding(branding)
+        };
+    }
+
+    /**
+     * List all hotels
+     * @returns {Promise<Array<Object>>} Hotels
+     */
+    async list() {
+        await this.ready;
+        return [...this.hotels.values()];
+    }
+
+    /**
+     * Get a hotel
+     * @param {string} hotelId - Hotel id
+     * @returns {Promise<Object|undefined>} Hotel
+     */
+    async get(hotelId) {
+        await this.ready;
+        return this.hotels.get(hotelId);
+    }
+
+    /**
+     * Get a hotel's settings, falling back to the defaults for hotels that
+     * were deleted while their rooms are still open
+     * @param {string} hotelId - Hotel id
+     * @returns {Promise<Object>} Hotel
+     */
+    async settings(hotelId) {
+        const hotel = await this.get(hotelId);
+        return hotel || { ...this.validate({ name: 'Hotel' }, DEFAULT_HOTEL_ID), id: hotelId };
+    }
+
+    /**
+     * Add a hotel
+     * @param {Object} input - { id, name, receptionistLanguage, guestLanguages, translationMode, branding }
+     * @returns {Promise<Object>} Created hotel
+     * @throws {HotelValidationError} On invalid input or an id already in use
+     */
+    async create(input) {
+        await this.ready;
+        const hotelId = input?.id || toHotelId(input?.name);
+        const hotel = this.validate(input, hotelId);
+        if (this.hotels.has(hotelId)) {
+            throw new HotelValidationError(`Hotel "${hotelId}" already exists`);
+        }
+        this.hotels.set(hotelId, hotel);
+        await this.save();
+        return hotel;
+    }
+
+    /**
+     * Change a hotel's settings; fields left out keep their value (branding is replaced as a whole)
+     * @param {string} hotelId - Hotel id
+     * @param {Object} input - Fields to change (the id cannot be changed)
+     * @returns {Promise<Object|null>} Updated hotel, or null if not found
+     * @throws {HotelValidationError} On invalid input
+     */
+    async update(hotelId, input) {
+        await this.ready;
+        const hotel = this.hotels.get(hotelId);
+        if (!hotel) {
+            return null;
+        }
+        const { id, ...changes } = input || {};
+        const updated = this.validate({ ...hotel, ...changes }, hotelId);
+        this.hotels.set(hotelId, updated);
+        await this.save();
+        return updated;
+    }
+
+    /**
+     * Delete a hotel
+     * @param {string} hotelId - Hotel id
+     * @returns {Promise<boolean>} Whether a hotel was deleted
+     */
+    async delete(hotelId) {
+        await this.ready;
+        const deleted = this.hotels.delete(hotelId);
+        if (deleted) {
+            await this.save();
+        }
+        return deleted;
+    }
+}
+
+/**
+ * What guests see of a hotel
+ * @param {Object} hotel - Hotel
+ * @returns {Object} { id, name, guestLanguages, branding }
+ */
+function publicHotelProfile(hotel) {
+    return {
+        id: hotel.id,
+        name: hotel.name,
+        guestLanguages: hotel.guestLanguages,
+        branding: hotel.branding
+    };
+}
+
+module.exports = {
+    DEFAULT_HOTEL_ID,
+    DEFAULT_RECEPTIONIST_LANGUAGE,
+    HotelValidationError,
+    HotelStore,
+    publicHotelProfile
+};
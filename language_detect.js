@@ -0,0 +1,71 @@
+// language_detect.js
+// Guest language auto-detection: script-based detection for typed text
+const AUTO_LANGUAGE = 'auto';
+
+// Language code Sarvam STT uses for "identify the language for me"
+const STT_AUTO_LANGUAGE_CODE = 'unknown';
+
+// Unicode blocks for the scripts of the supported languages
+const SCRIPTS = [
+    { language: 'hi-IN', from: 0x0900, to: 0x097f }, // Devanagari (Hindi/Marathi)
+    { language: 'bn-IN', from: 0x0980, to: 0x09ff }, // Bengali
+    { language: 'pa-IN', from: 0x0a00, to: 0x0a7f }, // Gurmukhi
+    { language: 'gu-IN', from: 0x0a80, to: 0x0aff }, // Gujarati
+    { language: 'or-IN', from: 0x0b00, to: 0x0b7f }, // Odia
+    { language: 'ta-IN', from: 0x0b80, to: 0x0bff }, // Tamil
+    { language: 'te-IN', from: 0x0c00, to: 0x0c7f }, // Telugu
+    { language: 'kn-IN', from: 0x0c80, to: 0x0cff }, // Kannada
+    { language: 'ml-IN', from: 0x0d00, to: 0x0d7f }, // Malayalam
+    { language: 'en-IN', from: 0x0041, to: 0x007a } // Basic Latin letters
+];
+
+// Devanagari is shared by Hindi and Marathi; these are common in Marathi and rare in Hindi
+// (\b does not work outside ASCII, so words are delimited by whitespace/punctuation)
+const MARATHI_MARKERS = /ळ|(^|\s)(आहे|आणि|नाही|मला|काय)(?=$|[\s?.!,।])/;
+
+/**
+ * Whether a language setting asks for auto-detection
+ * @param {string} language - Language code from the client
+ * @returns {boolean} True for 'auto'
+ */
+function isAutoLanguage(language) {
+    return language === AUTO_LANGUAGE;
+}
+
+/**
+ * Detect the language of typed text from its script
+ * @param {string} text - Text to inspect
+ * @returns {{language: string, confidence: number}|null} Best guess, or null if there are no letters
+ */
+function detectTextLanguage(text) {
+    const counts = new Map();
+    let letters = 0;
+
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        const script = SCRIPTS.find(entry => code >= entry.from && code <= entry.to);
+        if (!script || (script.language === 'en-IN' && !/[A-Za-z]/.test(char))) {
+            continue;
+        }
+        counts.set(script.language, (counts.get(script.language) || 0) + 1);
+        letters++;
+    }
+
+    if (letters === 0) {
+        return null;
+    }
+
+    let [language, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (language === 'hi-IN' && MARATHI_MARKERS.test(text)) {
+        language = 'mr-IN';
+    }
+
+    return { language, confidence: count / letters };
+}
+
+module.exports = {
+    AUTO_LANGUAGE,
+    STT_AUTO_LANGUAGE_CODE,
+    isAutoLanguage,
+    detectTextLanguage
+};
@@ -0,0 +1,157 @@
+// logger.js
+// Structured JSON logger with correlation ids and PII redaction
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Conversation content: dropped unless unredacted debug logging is switched on
+const CONTENT_KEYS = new Set(['text', 'transcript', 'original', 'translated', 'translations', 'audioData']);
+// Credentials: always dropped
+const SECRET_KEYS = new Set(['password', 'token', 'sessionToken', 'authorization', 'apiKey']);
+
+// Order matters: card numbers would otherwise be caught by the phone pattern.
+// Digits glued to letters or underscores (room_1712345678901_ab, ISO dates) are ids, not PII.
+const PII_PATTERNS = [
+    { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[EMAIL]' },
+    { pattern: /(?<!\w)(?:\d[ -]?){12,18}\d(?!\w)/g, replacement: '[CARD]' },
+    { pattern: /(?<!\w)\+?\d[\d\s-]{7,}\d(?!\w)/g, replacement: '[PHONE]' }
+];
+
+/**
+ * Mask emails, card numbers and phone numbers in a string
+ * @param {string} value - Text to scrub
+ * @returns {string} Scrubbed text
+ */
+function redactString(value) {
+    return PII_PATTERNS.reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        status: error.status,
+        stack: error.stack
+    };
+}
+
+/**
+ * Copy log fields, masking conversation content and PII
+ * @param {*} value - Field value
+ * @param {boolean} redact - Whether content and PII are masked
+ * @param {number} depth - Nesting depth, to stop on deep or cyclic objects
+ * @returns {*} Loggable value
+ */
+function sanitize(value, redact, depth = 0) {
+    if (value instanceof Error) {
+        return sanitize(serializeError(value), redact, depth);
+    }
+    if (typeof value === 'string') {
+        return redact ? redactString(value) : value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (depth >= 5) {
+        return '[Object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => sanitize(item, redact, depth + 1));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, field]) => {
+        if (SECRET_KEYS.has(key) || (redact && CONTENT_KEYS.has(key))) {
+            result[key] = '[REDACTED]';
+        } else {
+            result[key] = sanitize(field, redact, depth + 1);
+        }
+    });
+    return result;
+}
+
+class Logger {
+    /**
+     * @param {Object} options
+     * @param {string} [options.level] - error | warn | info | debug
+     * @param {boolean} [options.redact] - Mask conversation content and PII (default true)
+     * @param {Object} [options.context] - Fields added to every entry (room, socketId, messageId, ...)
+     */
+    constructor(options = {}) {
+        this.level = LEVELS[options.level] !== undefined ? options.level : 'info';
+        this.redact = options.redact !== false;
+        this.context = options.context || {};
+    }
+
+    /**
+     * Logger that adds correlation ids to every entry
+     * @param {Object} context - Extra fields
+     * @returns {Logger} Child logger
+     */
+    child(context) {
+        return new Logger({ level: this.level, redact: this.redact, context: { ...this.context, ...context } });
+    }
+
+    /**
+     * Write an entry
+     * @param {string} level - error | warn | info | debug
+     * @param {string} message - What happened
+     * @param {Object|Error} [fields] - Structured details; an Error is logged under `error`
+     */
+    log(level, message, fields = {}) {
+        if (LEVELS[level] > LEVELS[this.level]) {
+            return;
+        }
+        const details = fields instanceof Error ? { error: fields } : fields;
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: this.redact ? redactString(message) : message,
+            ...sanitize({ ...this.context, ...details }, this.redact)
+        };
+        const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+}
+
+/**
+ * Create the logger configured in the environment. Redaction can only be
+ * switched off together with debug logging (LOG_LEVEL=debug LOG_UNREDACTED=true).
+ * @param {Object} env - Environment variables
+ * @returns {Logger} Logger
+ */
+function createLoggerFromEnv(env = process.env) {
+    const level = env.LOG_LEVEL || 'info';
+    const unredacted = level === 'debug' && env.LOG_UNREDACTED === 'true';
+    const logger = new Logger({ level, redact: !unredacted });
+    if (unredacted) {
+        logger.warn('Unredacted debug logging is on; guest conversations will be written to the logs');
+    }
+    return logger;
+}
+
+module.exports = {
+    LEVELS,
+    Logger,
+    redactString,
+    createLoggerFromEnv,
+    logger: createLoggerFromEnv()
+};
@@ -0,0 +1,232 @@
+// message_store.js
+// Conversation history storage per room (in-memory or append-only files)
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 50;
+// In-memory history is dropped this long after a room's last message
+// (longer than a room link plus its retention, so transcripts stay exportable)
+const DEFAULT_MEMORY_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Normalize pagination options
+ * @param {Object} options - { offset, limit }
+ * @returns {{offset: number, limit: number}} Sanitized pagination
+ */
+function pageOptions(options = {}) {
+    const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+    const limit = Math.max(1, parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE);
+    return { offset, limit };
+}
+
+class MemoryMessageStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.retentionMs] - How long a room's history is kept after its last message
+     */
+    constructor(options = {}) {
+        this.type = 'memory';
+        this.retentionMs = options.retentionMs || DEFAULT_MEMORY_RETENTION_MS;
+        this.rooms = new Map(); // roomId -> [messageData]
+    }
+
+    /**
+     * Append a message to a room's history
+     * @param {string} roomId - Room id
+     * @param {Object} message - messageData as emitted in the `translation` event
+     */
+    async append(roomId, message) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, []);
+        }
+        this.rooms.get(roomId).push(message);
+    }
+
+    /**
+     * List a page of messages, oldest first
+     * @param {string} roomId - Room id
+     * @param {Object} options - { offset, limit }
+     * @returns {Promise<{messages: Array, total: number}>} Page of messages and total count
+     */
+    async list(roomId, options) {
+        const { offset, limit } = pageOptions(options);
+        const messages = this.rooms.get(roomId) || [];
+        return {
+            messages: messages.slice(offset, offset + limit),
+            total: messages.length
+        };
+    }
+
+    /**
+     * Count messages in a room
+     * @param {string} roomId - Room id
+     * @returns {Promise<number>} Message count
+     */
+    async count(roomId) {
+        return (this.rooms.get(roomId) || []).length;
+    }
+
+    /**
+     * Delete a room's history
+     * @param {string} roomId - Room id
+     */
+    async deleteRoom(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    /**
+     * Delete the history of rooms that have been quiet for longer than the retention period
+     * @param {Date} [now] - Current time
+     * @returns {Promise<number>} Number of rooms deleted
+     */
+    async prune(now = new Date()) {
+        const cutoff = now.getTime() - this.retentionMs;
+        let deleted = 0;
+        this.rooms.forEach((messages, roomId) => {
+            const last = messages[messages.length - 1];
+            if (!last || new Date(last.timestamp).getTime() < cutoff) {
+                this.rooms.delete(roomId);
+                deleted++;
+            }
+        });
+        return deleted;
+    }
+
+    /**
+     * Whether the store can accept writes
+     * @returns {Promise<boolean>} Always true for memory
+     */
+    async healthCheck() {
+        return true;
+    }
+}
+
+class FileMessageStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding one JSON-lines file per room
+     * @param {number} [options.retentionMs] - Delete a room's file this long after its last write (kept forever if omitted)
+     */
+    constructor(options = {}) {
+        this.type = 'file';
+        this.directory = options.directory || path.join(__dirname, 'data', 'messages');
+        this.retentionMs = options.retentionMs || null;
+        this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+
+    roomFile(roomId) {
+        // Room ids come from clients, so keep them inside the store directory
+        const safeId = String(roomId).replace(/[^A-Za-z0-9_-]/g, '_');
+        return path.join(this.directory, `${safeId}.jsonl`);
+    }
+
+    async readRoom(roomId) {
+        await this.ready;
+        try {
+            const content = await fs.readFile(this.roomFile(roomId), 'utf8');
+            return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async append(roomId, message) {
+        await this.ready;
+        await fs.appendFile(this.roomFile(roomId), JSON.stringify(message) + '\n', 'utf8');
+    }
+
+    async list(roomId, options) {
+        const { offset, limit } = pageOptions(options);
+        const messages = await this.readRoom(roomId);
+        return {
+            messages: messages.slice(offset, offset + limit),
+            total: messages.length
+        };
+    }
+
+    async count(roomId) {
+        return (await this.readRoom(roomId)).length;
+    }
+
+    async deleteRoom(roomId) {
+        await this.ready;
+        await fs.rm(this.roomFile(roomId), { force: true });
+    }
+
+    async prune(now = new Date()) {
+        if (!this.retentionMs) {
+            return 0;
+        }
+        await this.ready;
+        const cutoff = now.getTime() - this.retentionMs;
+        let deleted = 0;
+        for (const name of await fs.readdir(this.directory)) {
+            if (!name.endsWith('.jsonl')) {
+                continue;
+            }
+            const file = path.join(this.directory, name);
+            const { mtimeMs } = await fs.stat(file);
+            if (mtimeMs < cutoff) {
+                await fs.rm(file, { force: true });
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async healthCheck() {
+        try {
+            await this.ready;
+            await fs.access(this.directory, fsConstants.W_OK);
+            return true;
+        } catch (error) {
+            logger.error('Message store health check failed', { error });
+            return false;
+        }
+    }
+}
+
+const stores = {
+    memory: options => new MemoryMessageStore(options),
+    file: options => new FileMessageStore(options)
+};
+
+/**
+ * Create a message store by type
+ * @param {string} type - 'memory' or 'file'
+ * @param {Object} options - Store options
+ * @returns {Object} Message store
+ */
+function createMessageStore(type = 'memory', options = {}) {
+    const factory = stores[type];
+    if (!factory) {
+        throw new Error(`Unknown message store "${type}" (available: ${Object.keys(stores).join(', ')})`);
+    }
+    return factory(options);
+}
+
+/**
+ * Create the message store configured in the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Message store
+ */
+function createMessageStoreFromEnv(env = process.env) {
+    return createMessageStore(env.MESSAGE_STORE || 'memory', {
+        directory: env.MESSAGE_STORE_DIR,
+        retentionMs: parseInt(env.MESSAGE_RETENTION_MS, 10) || undefined
+    });
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    DEFAULT_MEMORY_RETENTION_MS,
+    MemoryMessageStore,
+    FileMessageStore,
+    createMessageStore,
+    createMessageStoreFromEnv
+};
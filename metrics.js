@@ -0,0 +1,135 @@
+// metrics.js
+// Prometheus metrics for the translation pipeline, labelled by hotel
+const client = require('prom-client');
+
+// Latency buckets in seconds: provider calls take from ~100 ms to several seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32];
+
+/**
+ * Count items per hotel id
+ * @param {Iterable<string>} hotelIds - One entry per item
+ * @returns {Map<string, number>} hotelId -> count
+ */
+function countByHotel(hotelIds) {
+    const counts = new Map();
+    for (const hotelId of hotelIds) {
+        counts.set(hotelId, (counts.get(hotelId) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Create the metrics registry
+ * @param {Object} sources
+ * @param {Function} sources.roomHotels - async () => hotel id of every active room
+ * @param {Function} sources.socketHotels - () => hotel id of every joined socket
+ * @param {Function} sources.cacheStats - () => translation cache counters from TranslationCache.getStats
+ * @returns {Object} { register, sttDuration, mtDuration, messageLatency, messagesTotal, pipelineErrors, transcriptConfirmations }
+ */
+function createMetrics(sources) {
+    const register = new client.Registry();
+    client.collectDefaultMetrics({ register });
+
+    const sttDuration = new client.Histogram({
+        name: 'hotel_translation_stt_duration_seconds',
+        help: 'Speech-to-text call latency',
+        labelNames: ['hotel', 'language'],
+        buckets: LATENCY_BUCKETS,
+        registers: [register]
+    });
+
+    const mtDuration = new client.Histogram({
+        name: 'hotel_translation_mt_duration_seconds',
+        help: 'Machine translation call latency (cache misses only)',
+        labelNames: ['hotel', 'source_language', 'target_language'],
+        buckets: LATENCY_BUCKETS,
+        registers: [register]
+    });
+
+    const messageLatency = new client.Histogram({
+        name: 'hotel_translation_message_latency_seconds',
+        help: 'Time from receiving a message to delivering its translation',
+        labelNames: ['hotel', 'speaker', 'input'],
+        buckets: LATENCY_BUCKETS,
+        registers: [register]
+    });
+
+    const messagesTotal = new client.Counter({
+        name: 'hotel_translation_messages_total',
+        help: 'Messages delivered, by speaker and spoken language',
+        labelNames: ['hotel', 'speaker', 'language'],
+        registers: [register]
+    });
+
+    const pipelineErrors = new client.Counter({
+        name: 'hotel_translation_errors_total',
+        help: 'Pipeline failures by stage',
+        labelNames: ['hotel', 'stage'],
+        registers: [register]
+    });
+
+    const transcriptConfirmations = new client.Counter({
+        name: 'hotel_translation_transcript_confirmations_total',
+        help: 'Low-confidence transcripts held for their speaker, by outcome',
+        labelNames: ['hotel', 'outcome'],
+        registers: [register]
+    });
+
+    // Gauges are computed from live server state at scrape time
+    const gaugeFromSource = async (gauge, source) => {
+        const hotelIds = await source();
+        gauge.reset();
+        countByHotel(hotelIds).forEach((count, hotel) => gauge.set({ hotel }, count));
+    };
+
+    new client.Gauge({
+        name: 'hotel_translation_active_rooms',
+        help: 'Rooms that are open (shared by all nodes when REDIS_URL is set)',
+        labelNames: ['hotel'],
+        registers: [register],
+        collect() {
+            return gaugeFromSource(this, sources.roomHotels);
+        }
+    });
+
+    new client.Gauge({
+        name: 'hotel_translation_connected_sockets',
+        help: 'Sockets joined to a room',
+        labelNames: ['hotel'],
+        registers: [register],
+        collect() {
+            return gaugeFromSource(this, sources.socketHotels);
+        }
+    });
+
+    // The cache keeps its own running totals; these report them at scrape time
+    new client.Counter({
+        name: 'hotel_translation_cache_hits_total',
+        help: 'Translation cache lookups answered from the cache, by tier',
+        labelNames: ['tier'],
+        registers: [register],
+        collect() {
+            const { memoryHits, diskHits } = sources.cacheStats();
+            this.reset();
+            this.inc({ tier: 'memory' }, memoryHits);
+            this.inc({ tier: 'disk' }, diskHits);
+        }
+    });
+
+    new client.Counter({
+        name: 'hotel_translation_cache_misses_total',
+        help: 'Translation cache lookups that needed a machine translation call',
+        registers: [register],
+        collect() {
+            this.reset();
+            this.inc(sources.cacheStats().misses);
+        }
+    });
+
+    return { register, sttDuration, mtDuration, messageLatency, messagesTotal, pipelineErrors, transcriptConfirmations };
+}
+
+module.exports = {
+    LATENCY_BUCKETS,
+    createMetrics
+};
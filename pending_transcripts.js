@@ -0,0 +1,118 @@
+// pending_transcripts.js
+// Low-confidence transcripts held until their speaker confirms or corrects them
+const crypto = require('crypto');
+
+// Below this STT confidence the speaker checks the transcript before it is translated
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+const DEFAULT_CONFIRM_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Parse TRANSCRIPT_CONFIDENCE_THRESHOLD
+ * @param {string} value - Raw environment value (0 disables confirmation)
+ * @returns {number} Threshold between 0 and 1
+ */
+function parseConfidenceThreshold(value) {
+    const threshold = parseFloat(value);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+        return DEFAULT_CONFIDENCE_THRESHOLD;
+    }
+    return threshold;
+}
+
+class PendingTranscripts {
+    /**
+     * @param {Object} options
+     * @param {number} [options.threshold] - Confidence below which transcripts are held
+     * @param {boolean} [options.confirmUnscored] - Also hold transcripts the recognizer gave no confidence for
+     * @param {number} [options.timeoutMs] - How long a transcript waits for its speaker
+     * @param {Function} [options.onExpire] - Called with a transcript nobody confirmed in time
+     */
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+        this.confirmUnscored = Boolean(options.confirmUnscored);
+        this.timeoutMs = options.timeoutMs || DEFAULT_CONFIRM_TIMEOUT_MS;
+        this.onExpire = options.onExpire || (() => {});
+        this.pending = new Map(); // id -> { id, socketId, expiresAt, timer, ...transcript }
+    }
+
+    /**
+     * Whether a transcript must be confirmed by its speaker first
+     * @param {number|null} confidence - STT confidence (0-1), or null if the recognizer gave none
+     * @returns {boolean} True when below the threshold, or unscored and confirmUnscored is set
+     */
+    needsConfirmation(confidence) {
+        if (typeof confidence !== 'number') {
+            return this.confirmUnscored;
+        }
+        return confidence < this.threshold;
+    }
+
+    /**
+     * Hold a transcript for its speaker
+     * @param {string} socketId - Speaker's socket id
+     * @param {Object} transcript - { room, original, details } to publish once confirmed
+     * @returns {Object} Held transcript with its id and expiresAt
+     */
+    hold(socketId, transcript) {
+        const id = `tr_${crypto.randomUUID()}`;
+        const entry = {
+            ...transcript,
+            id,
+            socketId,
+            expiresAt: new Date(Date.now() + this.timeoutMs)
+        };
+        entry.timer = setTimeout(() => {
+            this.pending.delete(id);
+            this.onExpire(entry);
+        }, this.timeoutMs);
+        entry.timer.unref();
+        this.pending.set(id, entry);
+        return entry;
+    }
+
+    /**
+     * Look up a speaker's held transcript without removing it
+     * @param {string} socketId - Socket answering
+     * @param {string} id - Transcript id from confirm_transcript
+     * @returns {Object|null} Held transcript, or null if unknown, expired or someone else's
+     */
+    get(socketId, id) {
+        const entry = this.pending.get(id);
+        return entry && entry.socketId === socketId ? entry : null;
+    }
+
+    /**
+     * Remove a held transcript so it can be published or dropped. Only its
+     * speaker may take it.
+     * @param {string} socketId - Socket answering
+     * @param {string} id - Transcript id from confirm_transcript
+     * @returns {Object|null} Held transcript, or null if unknown, expired or someone else's
+     */
+    take(socketId, id) {
+        const entry = this.get(socketId, id);
+        if (!entry) {
+            return null;
+        }
+        clearTimeout(entry.timer);
+        this.pending.delete(id);
+        return entry;
+    }
+
+    /**
+     * Drop every transcript a speaker still had pending (e.g. on disconnect)
+     * @param {string} socketId - Speaker's socket id
+     * @returns {Array<Object>} Dropped transcripts
+     */
+    discard(socketId) {
+        const dropped = [...this.pending.values()].filter(entry => entry.socketId === socketId);
+        dropped.forEach(entry => this.take(socketId, entry.id));
+        return dropped;
+    }
+}
+
+module.exports = {
+    DEFAULT_CONFIDENCE_THRESHOLD,
+    DEFAULT_CONFIRM_TIMEOUT_MS,
+    parseConfidenceThreshold,
+    PendingTranscripts
+};
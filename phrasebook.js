@@ -0,0 +1,303 @@
+// phrasebook.js
+// Receptionist quick replies: templates with {placeholders}, pre-translated into every guest language and style
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { TRANSLATION_MODES, SPEAKER_GENDERS } = require('./translation_style');
+
+// Template placeholders look like {amount} or {wifi_password}
+const TEMPLATE_PLACEHOLDER = /\{([A-Za-z0-9_]+)\}/g;
+// Stand-ins sent to MT instead of the placeholders; MT engines may add spaces inside them
+const MT_PLACEHOLDER = /_{2}\s*P\s*(\d+)\s*_{2}/g;
+// Fill-in values come from the client, so how many and how long is capped
+const MAX_VALUES = 20;
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Error for invalid phrases or fill-in values. Messages are safe to return to the client.
+ */
+class PhrasebookValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PhrasebookValidationError';
+    }
+}
+
+/**
+ * Names of the placeholders in a template, in order of first use
+ * @param {string} text - Template text
+ * @returns {Array<string>} Placeholder names
+ */
+function templatePlaceholders(text) {
+    return [...new Set([...text.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]))];
+}
+
+// Every style a phrase can be sent in; each is translated when the phrase is saved
+const STYLES = TRANSLATION_MODES.flatMap(translationMode =>
+    SPEAKER_GENDERS.map(speakerGender => ({ translationMode, speakerGender })));
+
+/**
+ * Key of a style in a phrase's variants
+ * @param {Object} style - { translationMode, speakerGender }
+ * @returns {string} e.g. "formal:female"
+ */
+function variantKey(style) {
+    return `${style.translationMode}:${style.speakerGender}`;
+}
+
+/**
+ * Whether a hotel may use a phrase
+ * @param {Object} phrase - Phrase
+ * @param {string} hotelId - Hotel id
+ * @returns {boolean} True for the hotel's own phrases and shared ones
+ */
+function isAvailableTo(phrase, hotelId) {
+    return !phrase.hotelId || phrase.hotelId === hotelId;
+}
+
+class PhrasebookStore {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.languages - Languages to pre-translate into
+     * @param {string} options.sourceLanguage - Language templates are written in
+     * @param {Function} options.translate - async (text, sourceLanguage, targetLanguage, hotelId, style) => translated text
+     *   (style is { translationMode, speakerGender }; the hotel's own when omitted)
+     * @param {string} [options.filePath] - JSON file to persist phrases to (memory only if omitted)
+     */
+    constructor(options) {
+        this.languages = options.languages;
+        this.sourceLanguage = options.sourceLanguage;
+        this.translate = options.translate;
+        this.filePath = options.filePath || null;
+        this.phrases = new Map(); // phraseId -> phrase
+        this.ready = this.load();
+    }
+
+    async load() {
+        if (!this.filePath) {
+            return;
+        }
+        try {
+            const content = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            content.forEach(phrase => this.phrases.set(phrase.id, phrase));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async save() {
+        if (!this.filePath) {
+            return;
+        }
+        await fs.writeFile(this.filePath, JSON.stringify([...this.phrases.values()], null, 2), 'utf8');
+    }
+
+    validate(input) {
+        const { title, text } = input || {};
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new PhrasebookValidationError('text must be a non-empty string');
+        }
+        if (title !== undefined && typeof title !== 'string') {
+            throw new PhrasebookValidationError('title must be a string');
+        }
+        return { title: (title || '').trim() || text.trim(), text: text.trim() };
+    }
+
+    /**
+     * Translate a template, keeping its {placeholders} intact
+     * @param {string} text - Template in the source language
+     * @param {string|null} hotelId - Hotel whose settings apply
+     * @param {Object} [style] - { translationMode, speakerGender } (the hotel's if omitted)
+     * @param {Array<string>} [languages] - Target languages (all by default)
+     * @returns {Promise<Object>} Translated template by language
+     */
+    async translateTemplate(text, hotelId, style, languages = this.languages) {
+        const placeholders = templatePlaceholders(text);
+        const mtText = text.replace(TEMPLATE_PLACEHOLDER, (match, name) => `__P${placeholders.indexOf(name)}__`);
+
+        const entries = await Promise.all(languages.map(async language => {
+            if (language === this.sourceLanguage) {
+                return [language, text];
+            }
+            const translated = await this.translate(mtText, this.sourceLanguage, language, hotelId, style);
+            return [language, translated.replace(MT_PLACEHOLDER, (match, index) => {
+                const name = placeholders[Number(index)];
+                return name === undefined ? match : `{${name}}`;
+            })];
+        }));
+
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Translate a template in the hotel's style and in every other style, so
+     * sending the phrase never waits for MT
+     * @param {string} text - Template in the source language
+     * @param {string|null} hotelId - Hotel whose settings apply
+     * @returns {Promise<Object>} { translations, variants } where variants maps "mode:gender" to translated templates
+     */
+    async translateAll(text, hotelId) {
+        const [translations, ...styled] = await Promise.all([
+            this.translateTemplate(text, hotelId),
+            ...STYLES.map(style => this.translateTemplate(text, hotelId, style))
+        ]);
+        const variants = {};
+        STYLES.forEach((style, index) => {
+            variants[variantKey(style)] = styled[index];
+        });
+        return { translations, variants };
+    }
+
+    /**
+     * Translated templates of a phrase in a style. Phrases saved before styles
+     * were pre-translated, or missing a language, are translated once and kept.
+     * @param {Object} phrase - Phrase
+     * @param {Object} style - { translationMode, speakerGender }
+     * @param {Array<string>} [languages] - Languages needed (all by default)
+     * @returns {Promise<Object>} Translated template by language
+     */
+    async translationsFor(phrase, style, languages = this.languages) {
+        const key = variantKey(style);
+        const variant = phrase.variants?.[key] || {};
+        const missing = languages.filter(language => variant[language] === undefined);
+        if (missing.length === 0) {
+            return variant;
+        }
+
+        const translated = await this.translateTemplate(phrase.text, phrase.hotelId, style, missing);
+        phrase.variants = { ...phrase.variants, [key]: { ...variant, ...translated } };
+        await this.save();
+        return phrase.variants[key];
+    }
+
+    /**
+     * List phrases
+     * @param {string} [hotelId] - Only phrases this hotel can use (its own and the shared ones)
+     * @returns {Promise<Array<Object>>} Phrases
+     */
+    async list(hotelId) {
+        await this.ready;
+        const phrases = [...this.phrases.values()];
+        return hotelId === undefined ? phrases : phrases.filter(phrase => isAvailableTo(phrase, hotelId));
+    }
+
+    /**
+     * Get a phrase
+     * @param {string} phraseId - Phrase id
+     * @returns {Promise<Object|undefined>} Phrase
+     */
+    async get(phraseId) {
+        await this.ready;
+        return this.phrases.get(phraseId);
+    }
+
+    /**
+     * Add a phrase and pre-translate it
+     * @param {Object} input - { title, text }
+     * @param {string|null} [hotelId] - Hotel the phrase belongs to (null: shared by all hotels)
+     * @returns {Promise<Object>} Created phrase
+     * @throws {PhrasebookValidationError} On invalid input
+     */
+    async add(input, hotelId = null) {
+        await this.ready;
+        const { title, text } = this.validate(input);
+        const phrase = {
+            id: crypto.randomUUID(),
+            hotelId,
+            title,
+            text,
+            placeholders: templatePlaceholders(text),
+            ...await this.translateAll(text, hotelId)
+        };
+        this.phrases.set(phrase.id, phrase);
+        await this.save();
+        return phrase;
+    }
+
+    /**
+     * Replace a phrase and pre-translate it again
+     * @param {string} phraseId - Phrase id
+     * @param {Object} input - { title, text }
+     * @returns {Promise<Object|null>} Updated phrase, or null if not found
+     */
+    async update(phraseId, input) {
+        await this.ready;
+        const phrase = this.phrases.get(phraseId);
+        if (!phrase) {
+            return null;
+        }
+        const { title, text } = this.validate(input);
+        Object.assign(phrase, {
+            title,
+            text,
+            placeholders: templatePlaceholders(text),
+            ...await this.translateAll(text, phrase.hotelId)
+        });
+        await this.save();
+        return phrase;
+    }
+
+    /**
+     * Delete a phrase
+     * @param {string} phraseId - Phrase id
+     * @returns {Promise<boolean>} Whether a phrase was deleted
+     */
+    async delete(phraseId) {
+        await this.ready;
+        const deleted = this.phrases.delete(phraseId);
+        if (deleted) {
+            await this.save();
+        }
+        return deleted;
+    }
+
+    /**
+     * Fill a phrase's placeholders in the source text and every translation
+     * @param {Object} phrase - Phrase
+     * @param {Object} values - Placeholder name -> value
+     * @param {Object} [templates] - Translated templates by language (the stored ones by default)
+     * @returns {{text: string, translations: Object}} Filled source text and translations by language
+     * @throws {PhrasebookValidationError} If the values are malformed or a placeholder has no value
+     */
+    render(phrase, values = {}, templates = phrase.translations) {
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+            throw new PhrasebookValidationError('values must be an object');
+        }
+        const entries = Object.entries(values);
+        if (entries.length > MAX_VALUES) {
+            throw new PhrasebookValidationError(`Too many values (limit ${MAX_VALUES})`);
+        }
+        entries.forEach(([name, value]) => {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw new PhrasebookValidationError(`Value for ${name} must be a string or number`);
+            }
+            if (String(value).length > MAX_VALUE_LENGTH) {
+                throw new PhrasebookValidationError(`Value for ${name} is too long (limit ${MAX_VALUE_LENGTH} characters)`);
+            }
+        });
+
+        const missing = phrase.placeholders.filter(name => values[name] === undefined || String(values[name]).trim() === '');
+        if (missing.length > 0) {
+            throw new PhrasebookValidationError(`Missing value for ${missing.join(', ')}`);
+        }
+
+        const fill = template => template.replace(TEMPLATE_PLACEHOLDER, (match, name) =>
+            values[name] === undefined ? match : String(values[name]).trim());
+
+        const translations = {};
+        Object.entries(templates).forEach(([language, template]) => {
+            translations[language] = fill(template);
+        });
+        return { text: fill(phrase.text), translations };
+    }
+}
+
+module.exports = {
+    MAX_VALUES,
+    MAX_VALUE_LENGTH,
+    PhrasebookValidationError,
+    PhrasebookStore,
+    templatePlaceholders,
+    isAvailableTo
+};
@@ -0,0 +1,756 @@
+// app.js
+// Front end for index.html: role selection, the admin panel and the guest and receptionist conversations
+// Global variables
+let socket = null;
+let currentRole = null;
+let currentRoom = null;
+let mediaRecorder = null;
+let audioChunks = [];
+let isRecording = false;
+let staffToken = sessionStorage.getItem('staffToken');
+let quickReplies = [];
+let receptionistLanguage = 'en-IN';
+
+// Streaming mode sends audio in small chunks while the speaker talks
+const STREAM_AUDIO = true;
+const STREAM_TIMESLICE_MS = 250;
+
+// Initialize socket connection
+function initSocket() {
+    socket = io();
+
+    socket.on('connect', () => {
+        console.log('Connected to server');
+        updateConnectionStatus(true);
+        if (currentRole === 'admin' && staffToken) {
+            subscribeAdminFeed();
+        }
+    });
+
+    socket.on('disconnect', () => {
+        console.log('Disconnected from server');
+        updateConnectionStatus(false);
+    });
+
+    socket.on('translation', handleTranslation);
+    socket.on('message_history', handleMessageHistory);
+    socket.on('partial_transcript', handlePartialTranscript);
+    socket.on('language_detected', handleLanguageDetected);
+    socket.on('room_joined', handleRoomJoined);
+    socket.on('room_closed', handleRoomClosed);
+    socket.on('user_joined', handleUserJoined);
+    socket.on('processing_status', handleProcessingStatus);
+    socket.on('confirm_transcript', handleConfirmTranscript);
+    socket.on('transcript_expired', clearConfirmTranscript);
+    socket.on('error', handleSocketError);
+    socket.on('rate_limited', handleRateLimited);
+    socket.on('kicked', handleKicked);
+    socket.on('admin_rooms', renderLiveRooms);
+    socket.on('admin_feed', handleAdminFeed);
+}
+
+function updateConnectionStatus(connected) {
+    const statusEl = document.getElementById('connectionStatus');
+    statusEl.textContent = connected ? 'Connected' : 'Disconnected';
+    statusEl.className = 'connection-status ' + (connected ? 'connected' : 'disconnected');
+}
+
+function selectRole(role) {
+    currentRole = role;
+
+    // Update active button
+    document.querySelectorAll('.role-btn').forEach(btn => btn.classList.remove('active'));
+    event.target.classList.add('active');
+
+    // Hide role selector; staff must log in before anything else
+    document.getElementById('roleSelector').style.display = 'none';
+    if (role !== 'guest' && !staffToken) {
+        showContent('login');
+        return;
+    }
+
+    enterRole(role);
+}
+
+function showContent(name) {
+    document.querySelectorAll('.main-content').forEach(content => content.classList.remove('active'));
+    document.getElementById(name + 'Content').classList.add('active');
+}
+
+function enterRole(role) {
+    showContent(role);
+
+    if (role === 'admin') {
+        loadHotels();
+    }
+
+    // Initialize socket connection
+    if (!socket) {
+        initSocket();
+    } else if (role === 'admin' && socket.connected) {
+        subscribeAdminFeed();
+    }
+
+    // Handle room joining based on role
+    if (role === 'guest' || role === 'receptionist') {
+        const urlParams = new URLSearchParams(window.location.search);
+        const roomId = urlParams.get('room');
+        if (roomId) {
+            joinRoom(roomId);
+        } else {
+            showStatus(role, 'Please scan QR code or enter room ID', 'error');
+        }
+    }
+}
+
+function login() {
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+
+    fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password })
+    })
+    .then(response => response.json().then(data => ({ ok: response.ok, data })))
+    .then(({ ok, data }) => {
+        if (!ok) {
+            showStatus('login', data.error || 'Login failed', 'error');
+            return;
+        }
+        staffToken = data.token;
+        sessionStorage.setItem('staffToken', staffToken);
+        enterRole(currentRole);
+    })
+    .catch(error => {
+        console.error('Login error:', error);
+        showStatus('login', 'Login failed', 'error');
+    });
+}
+
+function logout() {
+    staffToken = null;
+    sessionStorage.removeItem('staffToken');
+    showContent('login');
+}
+
+// Live room list: refreshed whenever the admin feed reports a change
+function subscribeAdminFeed() {
+    socket.emit('admin_subscribe', { token: staffToken });
+}
+
+let adminRefreshTimer = null;
+function handleAdminFeed() {
+    clearTimeout(adminRefreshTimer);
+    adminRefreshTimer = setTimeout(() => socket.emit('admin_list_rooms', {}), 500);
+}
+
+function renderLiveRooms(data) {
+    const container = document.getElementById('liveRooms');
+    container.innerHTML = '';
+    if (data.rooms.length === 0) {
+        container.textContent = 'No open rooms';
+        return;
+    }
+    data.rooms.forEach(room => {
+        const item = document.createElement('div');
+        item.className = 'live-room';
+
+        const title = document.createElement('strong');
+        title.textContent = `${room.hotelName} · ${room.roomId}`;
+        const details = document.createElement('div');
+        details.textContent = `Open ${Math.round(room.ageMs / 60000)} min · ${room.messageCount} messages · ` +
+            `last activity ${new Date(room.lastActivityAt).toLocaleTimeString()}`;
+
+        const participants = document.createElement('ul');
+        room.participants.forEach(participant => {
+            const entry = document.createElement('li');
+            entry.textContent = `${participant.role} (${participant.languageName}) `;
+            const kick = document.createElement('button');
+            kick.className = 'quick-reply-btn';
+            kick.textContent = 'Remove';
+            kick.onclick = () => socket.emit('admin_kick', { room: room.roomId, socketId: participant.socketId });
+            entry.appendChild(kick);
+            participants.appendChild(entry);
+        });
+
+        const close = document.createElement('button');
+        close.className = 'send-btn';
+        close.textContent = 'Close Room';
+        close.onclick = () => {
+            if (confirm('Close this room and disconnect everyone in it?')) {
+                socket.emit('admin_close_room', { room: room.roomId });
+            }
+        };
+
+        item.append(title, details, participants, close);
+        container.appendChild(item);
+    });
+}
+
+// Hotels this admin can create rooms for (just their own for hotel staff)
+function loadHotels() {
+    fetch('/api/hotels', { headers: { 'Authorization': `Bearer ${staffToken}` } })
+        .then(response => response.ok ? response.json() : { hotels: [] })
+        .then(data => {
+            const select = document.getElementById('hotelSelect');
+            select.innerHTML = '';
+            data.hotels.forEach(hotel => {
+                const option = document.createElement('option');
+                option.value = hotel.id;
+                option.textContent = hotel.name;
+                select.appendChild(option);
+            });
+        })
+        .catch(error => console.error('Error loading hotels:', error));
+}
+
+function generateQR() {
+    const hotelId = document.getElementById('hotelSelect').value;
+    if (!hotelId) {
+        alert('Please select a hotel');
+        return;
+    }
+
+    // Call backend API to generate room
+    fetch('/api/generate-room', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${staffToken}`
+        },
+        body: JSON.stringify({
+            hotelId,
+            ttlMinutes: parseInt(document.getElementById('roomTtlMinutes').value, 10) || undefined,
+            maxGuests: parseInt(document.getElementById('roomMaxGuests').value, 10) || undefined,
+            singleUse: document.getElementById('roomSingleUse').checked,
+            translationMode: document.getElementById('roomTranslationMode').value || undefined,
+            speakerGender: document.getElementById('roomSpeakerGender').value || undefined
+        })
+    })
+    .then(response => {
+        if (response.status === 401) {
+            logout();
+            throw new Error('Session expired');
+        }
+        return response.json();
+    })
+    .then(data => {
+        // Show QR container
+        document.getElementById('qrContainer').classList.add('active');
+        document.getElementById('generatedRoomId').textContent = data.roomId;
+        document.getElementById('guestUrl').textContent = data.guestUrl;
+        document.getElementById('roomExpiresAt').textContent = new Date(data.expiresAt).toLocaleString();
+
+        // Show the server-rendered QR code with the hotel name caption
+        currentRoom = data.roomId;
+        return fetchQrImage(data.qrSvgUrl + '?caption=1&logo=1').then(url => {
+            document.getElementById('qrCode').innerHTML =
+                `<img src="${url}" alt="QR code for room ${data.roomId}" style="margin: 20px auto; display: block;">`;
+        });
+    })
+    .catch(error => {
+        console.error('Error generating room:', error);
+        alert('Failed to generate QR code');
+    });
+}
+
+// QR endpoints need the staff token, so load them as blobs instead of plain <img src>
+function fetchQrImage(url) {
+    return fetch(url, { headers: { 'Authorization': `Bearer ${staffToken}` } })
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.blob();
+        })
+        .then(blob => URL.createObjectURL(blob));
+}
+
+function downloadQR(format) {
+    if (!currentRoom) return;
+
+    const query = format === 'svg' ? '?caption=1&logo=1&size=600' : '?size=600';
+    fetchQrImage(`/api/rooms/${encodeURIComponent(currentRoom)}/qr.${format}${query}`)
+        .then(url => {
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${currentRoom}.${format}`;
+            link.click();
+        })
+        .catch(error => {
+            console.error('Error downloading QR code:', error);
+            alert('Failed to download QR code');
+        });
+}
+
+function revokeRoom() {
+    if (!currentRoom || !confirm('Revoke this room and disconnect everyone in it?')) return;
+
+    fetch(`/api/rooms/${encodeURIComponent(currentRoom)}/revoke`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${staffToken}` }
+    })
+    .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        document.getElementById('qrContainer').classList.remove('active');
+        currentRoom = null;
+    })
+    .catch(error => {
+        console.error('Error revoking room:', error);
+        alert('Failed to revoke room');
+    });
+}
+
+function joinRoom(roomId) {
+    currentRoom = roomId;
+
+    // Update UI
+    if (currentRole === 'guest') {
+        document.getElementById('guestRoomId').textContent = roomId;
+    } else if (currentRole === 'receptionist') {
+        document.getElementById('receptionistRoomId').textContent = roomId;
+    }
+
+    // Join room via socket; guests use the token from the QR link, staff their login token
+    const language = currentRole === 'guest' ? 
+        document.getElementById('guestLanguage').value : receptionistLanguage;
+    // A guest who already redeemed the link reconnects with the session token from room_joined
+    const token = currentRole === 'guest' ?
+        sessionStorage.getItem(`guestToken:${roomId}`) || new URLSearchParams(window.location.search).get('token') :
+        staffToken;
+
+    socket.emit('join_room', { room: roomId, role: currentRole, language, token, ...receptionistStyle() });
+    showStatus(currentRole, 'Connecting to room...', 'info');
+}
+
+// Receptionist's own formality and gender; empty selects fall back to the room's
+function receptionistStyle() {
+    if (currentRole !== 'receptionist') {
+        return {};
+    }
+    return {
+        translationMode: document.getElementById('receptionistTranslationMode').value || null,
+        speakerGender: document.getElementById('receptionistSpeakerGender').value || null
+    };
+}
+
+function updateTranslationStyle() {
+    if (socket && currentRoom) {
+        socket.emit('set_translation_style', receptionistStyle());
+    }
+}
+
+function handleRoomJoined(data) {
+    if (data.sessionToken) {
+        sessionStorage.setItem(`guestToken:${data.room}`, data.sessionToken);
+    }
+    showStatus(currentRole, `Connected to room: ${data.room}`, 'success');
+    applyHotel(data.hotel);
+    if (currentRole === 'receptionist') {
+        receptionistLanguage = data.languageCode;
+        document.getElementById('receptionistRecordBtn').textContent = `🎤 Speak (${data.language})`;
+        document.getElementById('receptionistTextInput').placeholder = `Type your response in ${data.language}...`;
+        loadQuickReplies(data.hotel.id);
+    } else {
+        restrictGuestLanguages(data.hotel.guestLanguages);
+    }
+}
+
+// Show the hotel's name and branding
+function applyHotel(hotel) {
+    const header = document.querySelector('.header');
+    header.querySelector('h1').textContent = `🏨 ${hotel.name}`;
+    if (hotel.branding.welcomeMessage) {
+        header.querySelector('p').textContent = hotel.branding.welcomeMessage;
+    }
+    if (hotel.branding.primaryColor) {
+        header.style.background = hotel.branding.primaryColor;
+    }
+    if (hotel.branding.logoUrl && !header.querySelector('img')) {
+        const logo = document.createElement('img');
+        logo.src = hotel.branding.logoUrl;
+        logo.alt = hotel.name;
+        logo.style.maxHeight = '60px';
+        header.prepend(logo);
+    }
+}
+
+// Only offer the languages the hotel supports (auto-detect stays available)
+function restrictGuestLanguages(languages) {
+    document.querySelectorAll('#guestLanguage option').forEach(option => {
+        option.hidden = option.value !== 'auto' && !languages.includes(option.value);
+    });
+}
+
+function loadQuickReplies(hotelId) {
+    fetch(`/api/phrasebook?hotelId=${encodeURIComponent(hotelId)}`, { headers: { 'Authorization': `Bearer ${staffToken}` } })
+        .then(response => response.ok ? response.json() : { phrases: [] })
+        .then(data => {
+            quickReplies = data.phrases;
+            const container = document.getElementById('quickReplies');
+            container.innerHTML = '';
+            quickReplies.forEach(phrase => {
+                const button = document.createElement('button');
+                button.className = 'quick-reply-btn';
+                button.textContent = phrase.title;
+                button.title = phrase.text;
+                button.onclick = () => sendQuickReply(phrase.id);
+                container.appendChild(button);
+            });
+        })
+        .catch(error => console.error('Error loading quick replies:', error));
+}
+
+function sendQuickReply(phraseId) {
+    const phrase = quickReplies.find(entry => entry.id === phraseId);
+    const values = {};
+    for (const name of phrase.placeholders) {
+        const value = prompt(`${phrase.title}: ${name}`);
+        if (value === null) return;
+        values[name] = value;
+    }
+
+    socket.emit('quick_reply', { room: currentRoom, phraseId, values });
+}
+
+function handleRoomClosed(data) {
+    sessionStorage.removeItem(`guestToken:${data.room}`);
+    const reason = data.reason === 'expired' ? 'This room link has expired' : 'This room has been closed';
+    showStatus(currentRole, reason, 'error');
+}
+
+function handleKicked(data) {
+    sessionStorage.removeItem(`guestToken:${data.room}`);
+    showStatus(currentRole, 'You have been removed from this room', 'error');
+}
+
+function handleUserJoined(data) {
+    showStatus(currentRole, `${data.role} joined the conversation`, 'info');
+}
+
+function handleLanguageDetected(data) {
+    const message = currentRole === 'guest' ?
+        `Detected your language: ${data.languageName}` :
+        `Guest language detected: ${data.languageName}`;
+    showStatus(currentRole, message, 'info');
+}
+
+function handleProcessingStatus(data) {
+    const statusText = {
+        'transcribing': 'Converting speech to text...',
+        'translating': 'Translating...',
+        'awaiting_confirmation': `The ${data.speaker} is checking what they said...`,
+        'cancelled': 'Message was not sent',
+        'complete': 'Translation complete!',
+        'error': 'Processing failed'
+    };
+
+    const statusType = data.status === 'error' ? 'error' : 'info';
+    if (data.status !== 'complete') {
+        showStatus(currentRole, statusText[data.status] || 'Processing...', statusType);
+    }
+}
+
+// The recognizer was unsure: let the speaker correct the transcript before it is translated
+function handleConfirmTranscript(data) {
+    const container = document.getElementById(currentRole + 'Confirm');
+    container.innerHTML = '';
+
+    const prompt = document.createElement('p');
+    prompt.textContent = `Did you say this? (${data.languageName}) Correct it if needed:`;
+    const input = document.createElement('textarea');
+    input.className = 'text-input';
+    input.maxLength = 1000;
+    input.value = data.text;
+    const send = document.createElement('button');
+    send.className = 'send-btn';
+    send.textContent = 'Send';
+    send.onclick = () => {
+        if (!input.value.trim()) {
+            return;
+        }
+        socket.emit('transcript_confirmed', { id: data.id, text: input.value });
+        clearConfirmTranscript();
+    };
+    const discard = document.createElement('button');
+    discard.className = 'send-btn';
+    discard.textContent = 'Discard';
+    discard.onclick = () => {
+        socket.emit('transcript_confirmed', { id: data.id, cancel: true });
+        clearConfirmTranscript();
+    };
+
+    container.append(prompt, input, send, discard);
+    input.focus();
+}
+
+function clearConfirmTranscript() {
+    document.getElementById(currentRole + 'Confirm').innerHTML = '';
+}
+
+function handleSocketError(error) {
+    if (error.code === 'LANGUAGE_NOT_SUPPORTED') {
+        restrictGuestLanguages(error.languages);
+    }
+    showStatus(currentRole, `Error: ${error.message}`, 'error');
+}
+
+function handleRateLimited(data) {
+    showStatus(currentRole, `${data.message} (try again in ${Math.ceil(data.retryAfterMs / 1000)} s)`, 'error');
+}
+
+function showStatus(role, message, type) {
+    const statusEl = document.getElementById(role + 'Status');
+    statusEl.replaceChildren(textElement(`status ${type}`, message));
+    setTimeout(() => statusEl.replaceChildren(), 5000);
+}
+
+async function toggleRecording(role) {
+    const recordBtn = document.getElementById(role + 'RecordBtn');
+
+    if (!isRecording) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            mediaRecorder = new MediaRecorder(stream);
+            audioChunks = [];
+
+            const language = role === 'guest' ? 
+                document.getElementById('guestLanguage').value : receptionistLanguage;
+            const streamId = `stream_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+            let seq = 0;
+            // Chunks are converted asynchronously; keep them (and audio_end) in order
+            let sendQueue = Promise.resolve();
+
+            mediaRecorder.ondataavailable = event => {
+                audioChunks.push(event.data);
+                if (STREAM_AUDIO && event.data.size > 0) {
+                    const chunkSeq = seq++;
+                    sendQueue = sendQueue
+                        .then(() => event.data.arrayBuffer())
+                        .then(chunk => socket.emit('audio_chunk', {
+                            room: currentRoom,
+                            streamId,
+                            seq: chunkSeq,
+                            language,
+                            chunk
+                        }));
+                }
+            };
+
+            mediaRecorder.onstop = () => {
+                if (STREAM_AUDIO) {
+                    showStatus(role, 'Processing audio...', 'info');
+                    sendQueue.then(() => socket.emit('audio_end', { room: currentRoom, streamId, language }));
+                } else {
+                    // Label the blob with what the recorder actually produced (usually webm/opus)
+                    const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
+                    processAudio(audioBlob, role);
+                }
+                stream.getTracks().forEach(track => track.stop());
+            };
+
+            mediaRecorder.start(STREAM_AUDIO ? STREAM_TIMESLICE_MS : undefined);
+            isRecording = true;
+            recordBtn.classList.add('recording');
+            recordBtn.textContent = '🔴 Recording...';
+
+        } catch (error) {
+            showStatus(role, 'Microphone access denied', 'error');
+        }
+    } else {
+        mediaRecorder.stop();
+        isRecording = false;
+        recordBtn.classList.remove('recording');
+        recordBtn.textContent = role === 'guest' ? '🎤 Speak' : '🎤 Speak (English)';
+    }
+}
+
+function processAudio(audioBlob, role) {
+    showStatus(role, 'Processing audio...', 'info');
+
+    const language = role === 'guest' ? 
+        document.getElementById('guestLanguage').value : receptionistLanguage;
+
+    // Convert audio blob to base64 for transmission
+    const reader = new FileReader();
+    reader.onload = function() {
+        const audioData = reader.result.split(',')[1]; // Remove data URL prefix
+
+        socket.emit('audio_message', {
+            room: currentRoom,
+            role: role,
+            language: language,
+            audioData: audioData
+        });
+    };
+    reader.readAsDataURL(audioBlob);
+}
+
+function sendTextMessage(role) {
+    const textInput = document.getElementById(role + 'TextInput');
+    const text = textInput.value.trim();
+
+    if (!text) return;
+
+    const language = role === 'guest' ? 
+        document.getElementById('guestLanguage').value : receptionistLanguage;
+
+    socket.emit('text_message', {
+        room: currentRoom,
+        role: role,
+        language: language,
+        text: text
+    });
+
+    textInput.value = '';
+    showStatus(role, 'Message sent!', 'success');
+}
+
+function handlePartialTranscript(data) {
+    ['guest', 'receptionist'].forEach(role => {
+        const messagesEl = document.getElementById(role + 'Messages');
+        let partialEl = document.getElementById(`partial-${role}-${data.streamId}`);
+        if (!partialEl) {
+            partialEl = document.createElement('div');
+            partialEl.id = `partial-${role}-${data.streamId}`;
+            partialEl.className = `message ${data.speaker} partial`;
+            messagesEl.appendChild(partialEl);
+        }
+        partialEl.replaceChildren(
+            textElement('message-header', `${data.speaker === 'guest' ? 'Guest' : 'Receptionist'} (speaking...)`),
+            textElement('original-text', `${data.text}…`)
+        );
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+    });
+}
+
+function handleTranslation(data) {
+    // The final message replaces the interim transcript of the same stream
+    if (data.streamId) {
+        ['guest', 'receptionist'].forEach(role => {
+            document.getElementById(`partial-${role}-${data.streamId}`)?.remove();
+        });
+    }
+    // Display message in both guest and receptionist interfaces
+    displayMessage('guest', data);
+    displayMessage('receptionist', data);
+
+    // Speak translations addressed to the current user
+    const autoPlay = document.getElementById(currentRole + 'AutoPlay');
+    if (data.speaker !== currentRole && data.translated.audioUrl && autoPlay && autoPlay.checked) {
+        playAudio(data.translated.audioUrl);
+    }
+}
+
+function playAudio(url) {
+    new Audio(url).play().catch(error => console.error('Audio playback failed:', error));
+}
+
+function handleMessageHistory(data) {
+    // Replace whatever is shown with the stored conversation
+    document.getElementById('guestMessages').innerHTML = '';
+    document.getElementById('receptionistMessages').innerHTML = '';
+    data.messages.forEach(message => {
+        displayMessage('guest', message);
+        displayMessage('receptionist', message);
+    });
+}
+
+// A div showing text as-is: message content comes from other participants
+// (and from stored history), so it is never parsed as HTML
+function textElement(className, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+function displayMessage(role, data) {
+    const messagesEl = document.getElementById(role + 'Messages');
+    const messageEl = document.createElement('div');
+    messageEl.className = `message ${data.speaker}`;
+
+    // Show appropriate text based on role
+    let primaryText, secondaryLines;
+    if (role === 'guest') {
+        primaryText = data.speaker === 'guest' ? data.original.text : data.translated.text;
+        secondaryLines = [data.speaker === 'guest' ? data.translated.text : data.original.text];
+    } else {
+        primaryText = data.speaker === 'receptionist' ? data.original.text : data.translated.text;
+        secondaryLines = [data.speaker === 'receptionist' ? data.translated.text : data.original.text];
+
+        // Replies to several guests were translated into each of their languages
+        if (data.speaker === 'receptionist' && data.translations && data.translations.length > 1) {
+            secondaryLines = data.translations
+                .map(translation => `${translation.languageName}: ${translation.text}`);
+        }
+    }
+
+    messageEl.append(
+        textElement('message-header', data.speaker === 'guest' ? 'Guest' : 'Receptionist'),
+        textElement('original-text', primaryText)
+    );
+    if (secondaryLines.length > 1 || secondaryLines[0] !== primaryText) {
+        const secondaryEl = textElement('translated-text', '');
+        secondaryEl.append(...secondaryLines.map(line => textElement('', line)));
+        messageEl.appendChild(secondaryEl);
+    }
+    if (data.translated.unavailable) {
+        messageEl.appendChild(textElement('translated-text', 'Translation unavailable, original shown'));
+    }
+
+    // Listeners get a replay button for the spoken translation
+    if (data.speaker !== role && data.translated.audioUrl) {
+        const playBtn = document.createElement('button');
+        playBtn.className = 'play-btn';
+        playBtn.textContent = '🔊 Play';
+        playBtn.onclick = () => playAudio(data.translated.audioUrl);
+        messageEl.appendChild(playBtn);
+    }
+
+    messagesEl.appendChild(messageEl);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+}
+
+// Initialize app
+document.addEventListener('DOMContentLoaded', () => {
+    updateConnectionStatus(false);
+
+    // Controls are wired here rather than with on* attributes, which the CSP blocks
+    document.querySelectorAll('.role-btn').forEach(button => {
+        button.addEventListener('click', () => selectRole(button.dataset.role));
+    });
+    document.getElementById('loginBtn').addEventListener('click', login);
+    document.getElementById('generateQrBtn').addEventListener('click', generateQR);
+    document.getElementById('downloadPngBtn').addEventListener('click', () => downloadQR('png'));
+    document.getElementById('downloadSvgBtn').addEventListener('click', () => downloadQR('svg'));
+    document.getElementById('revokeRoomBtn').addEventListener('click', revokeRoom);
+    ['guest', 'receptionist'].forEach(role => {
+        document.getElementById(role + 'RecordBtn').addEventListener('click', () => toggleRecording(role));
+        document.getElementById(role + 'SendBtn').addEventListener('click', () => sendTextMessage(role));
+    });
+    document.getElementById('receptionistSpeakerGender').addEventListener('change', updateTranslationStyle);
+    document.getElementById('receptionistTranslationMode').addEventListener('change', updateTranslationStyle);
+
+    // Check if there's a room parameter in URL
+    const urlParams = new URLSearchParams(window.location.search);
+    const roomId = urlParams.get('room');
+    if (roomId) {
+        // Auto-show guest/receptionist selection if room is specified
+        document.querySelector('.role-btn[data-role="guest"]').style.display = 'inline-block';
+        document.querySelector('.role-btn[data-role="receptionist"]').style.display = 'inline-block';
+        document.querySelector('.role-btn[data-role="admin"]').style.display = 'none';
+    }
+});
+
+// Handle enter key for text inputs
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && event.ctrlKey) {
+        if (event.target.id === 'guestTextInput') {
+            sendTextMessage('guest');
+        } else if (event.target.id === 'receptionistTextInput') {
+            sendTextMessage('receptionist');
+        }
+    }
+});
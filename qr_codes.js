@@ -0,0 +1,115 @@
+// qr_codes.js
+// QR code rendering for guest room links (PNG and printable SVG table cards)
+const QRCode = require('qrcode');
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const DEFAULT_SIZE = 300;
+const MIN_SIZE = 100;
+const MAX_SIZE = 2000;
+const QUIET_ZONE_MODULES = 2;
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const isFlagSet = value => value === '1' || value === 'true';
+
+/**
+ * Parse QR options from a request query string
+ * @param {Object} query - { size, ecl, caption, logo }
+ * @param {string} [format] - png | svg; captions and logos are only drawn on SVG table cards
+ * @returns {{size: number, errorCorrectionLevel: string, caption: boolean, logo: boolean}} Options
+ * @throws {Error} On an unknown error-correction level, or a caption or logo asked for in a PNG
+ */
+function parseQrOptions(query = {}, format = 'svg') {
+    const size = Math.min(Math.max(parseInt(query.size, 10) || DEFAULT_SIZE, MIN_SIZE), MAX_SIZE);
+    const errorCorrectionLevel = String(query.ecl || 'M').toUpperCase();
+
+    if (!ERROR_CORRECTION_LEVELS.includes(errorCorrectionLevel)) {
+        throw new Error(`Unknown error correction level "${query.ecl}" (use ${ERROR_CORRECTION_LEVELS.join(', ')})`);
+    }
+
+    const caption = isFlagSet(query.caption);
+    const logo = isFlagSet(query.logo);
+    if (format === 'png' && (caption || logo)) {
+        throw new Error('caption and logo are only available for SVG table cards (qr.svg)');
+    }
+
+    return { size, errorCorrectionLevel, caption, logo };
+}
+
+/**
+ * Render a QR code as PNG
+ * @param {string} text - Encoded content (the guest URL)
+ * @param {Object} options - From parseQrOptions
+ * @returns {Promise<Buffer>} PNG image
+ */
+function renderQrPng(text, options) {
+    return QRCode.toBuffer(text, {
+        type: 'png',
+        width: options.size,
+        margin: QUIET_ZONE_MODULES,
+        errorCorrectionLevel: options.errorCorrectionLevel
+    });
+}
+
+/**
+ * Render a QR code as SVG, optionally with the hotel logo above it and the
+ * hotel name printed underneath so it can be used directly as a table card.
+ * The logo is embedded so the card still shows it once downloaded.
+ * @param {string} text - Encoded content (the guest URL)
+ * @param {Object} options - From parseQrOptions
+ * @param {string} [captionText] - Caption, usually the room's hotelName
+ * @param {Object} [logo] - { data: Buffer, contentType } of the hotel logo
+ * @returns {Promise<string>} SVG document
+ */
+async function renderQrSvg(text, options, captionText, logo) {
+    const svg = await QRCode.toString(text, {
+        type: 'svg',
+        width: options.size,
+        margin: QUIET_ZONE_MODULES,
+        errorCorrectionLevel: options.errorCorrectionLevel
+    });
+
+    const showCaption = options.caption && captionText;
+    const showLogo = options.logo && logo;
+    if (!showCaption && !showLogo) {
+        return svg;
+    }
+
+    const { size } = options;
+    const fontSize = Math.round(size / 12);
+    const captionHeight = showCaption ? Math.round(fontSize * 2) : 0;
+    const logoHeight = showLogo ? Math.round(size / 5) : 0;
+    const height = logoHeight + size + captionHeight;
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${height}" viewBox="0 0 ${size} ${height}">`,
+        `<rect width="100%" height="100%" fill="#ffffff"/>`,
+        showLogo ?
+            `<image x="${Math.round(size * 0.2)}" y="${Math.round(logoHeight * 0.1)}" `
+                + `width="${Math.round(size * 0.6)}" height="${Math.round(logoHeight * 0.8)}" `
+                + `preserveAspectRatio="xMidYMid meet" `
+                + `href="data:${logo.contentType};base64,${logo.data.toString('base64')}"/>` :
+            '',
+        svg.replace('<svg ', `<svg x="0" y="${logoHeight}" `),
+        showCaption ?
+            `<text x="${size / 2}" y="${logoHeight + size + Math.round(captionHeight * 0.6)}" text-anchor="middle" `
+                + `font-family="-apple-system, 'Segoe UI', Roboto, sans-serif" font-size="${fontSize}" fill="#333333">`
+                + `${escapeXml(captionText)}</text>` :
+            '',
+        '</svg>'
+    ].join('');
+}
+
+module.exports = {
+    ERROR_CORRECTION_LEVELS,
+    parseQrOptions,
+    renderQrPng,
+    renderQrSvg
+};
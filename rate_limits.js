@@ -0,0 +1,106 @@
+// rate_limits.js
+// Fixed-window rate limiting for REST routes and socket events
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.windowMs - Window length
+     * @param {number} options.max - Requests allowed per key per window
+     */
+    constructor(options) {
+        this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+        this.max = options.max;
+        this.windows = new Map(); // key -> { count, resetAt }
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Count a request against a key
+     * @param {string} key - Client IP, socket id, room id, ...
+     * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}} Outcome
+     */
+    consume(key) {
+        const now = Date.now();
+        this.sweep(now);
+
+        let window = this.windows.get(key);
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+        window.count++;
+
+        const allowed = window.count <= this.max;
+        return {
+            allowed,
+            remaining: Math.max(0, this.max - window.count),
+            retryAfterMs: allowed ? 0 : window.resetAt - now
+        };
+    }
+
+    // Forget finished windows so idle keys do not accumulate
+    sweep(now) {
+        if (now - this.lastSweep < this.windowMs) {
+            return;
+        }
+        this.lastSweep = now;
+        this.windows.forEach((window, key) => {
+            if (now >= window.resetAt) {
+                this.windows.delete(key);
+            }
+        });
+    }
+}
+
+/**
+ * Express middleware limiting requests per client IP
+ * @param {RateLimiter} limiter - Limiter to count against
+ * @returns {Function} Express middleware
+ */
+function limitByIp(limiter) {
+    return (req, res, next) => {
+        const result = limiter.consume(req.ip);
+        res.set('RateLimit-Limit', String(limiter.max));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        if (!result.allowed) {
+            res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+            return res.status(429).json({
+                error: 'Too many requests',
+                code: 'RATE_LIMITED',
+                retryAfterMs: result.retryAfterMs
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Parse TRUST_PROXY into Express's "trust proxy" setting
+ * @param {string} value - "true", "false", a number of proxy hops, or comma-separated proxy addresses/subnets
+ * @returns {boolean|number|string} Setting value
+ */
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Size in bytes of base64-encoded data, without decoding it
+ * @param {string} base64 - Base64 text
+ * @returns {number} Decoded size
+ */
+function base64Size(base64) {
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+module.exports = {
+    DEFAULT_WINDOW_MS,
+    RateLimiter,
+    limitByIp,
+    parseTrustProxy,
+    base64Size
+};
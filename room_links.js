@@ -0,0 +1,143 @@
+// room_links.js
+// Room link lifetime, guest capacity and single-use redemption rules
+const DEFAULT_ROOM_TTL_MS = 12 * 60 * 60 * 1000;
+const DEFAULT_MAX_GUESTS = 4;
+// Upper bounds for what an admin can request per room
+const MAX_TTL_MINUTES = 7 * 24 * 60;
+const MAX_GUESTS_LIMIT = 50;
+
+/**
+ * Error for invalid room options. Messages are safe to return to the client.
+ */
+class RoomLinkValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoomLinkValidationError';
+    }
+}
+
+/**
+ * Validate an optional whole-number option
+ * @param {*} value - Value from the request (undefined or null: use the default)
+ * @param {string} name - Option name for the error message
+ * @param {number} max - Largest allowed value
+ * @returns {number|undefined} The value, or undefined if not given
+ * @throws {RoomLinkValidationError} If not an integer between 1 and max
+ */
+function boundedInteger(value, name, max) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        throw new RoomLinkValidationError(`${name} must be a whole number between 1 and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Read room link defaults from the environment
+ * @param {Object} env - Environment variables
+ * @returns {{ttlMs: number, maxGuests: number, singleUse: boolean}} Defaults
+ */
+function roomLinkDefaults(env = process.env) {
+    return {
+        ttlMs: parseInt(env.ROOM_TTL_MS, 10) || DEFAULT_ROOM_TTL_MS,
+        maxGuests: parseInt(env.ROOM_MAX_GUESTS, 10) || DEFAULT_MAX_GUESTS,
+        singleUse: env.ROOM_SINGLE_USE === 'true'
+    };
+}
+
+/**
+ * Derive a hotel id from its display name ("Taj Palace" -> "taj-palace")
+ * @param {string} hotelName - Hotel display name
+ * @returns {string} Hotel id
+ */
+function toHotelId(hotelName) {
+    const slug = String(hotelName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'default';
+}
+
+/**
+ * Build a new room record from request options, falling back to defaults
+ * @param {Object} options - { hotelId, hotelName, ttlMinutes, maxGuests, singleUse }
+ * @param {Object} defaults - From roomLinkDefaults
+ * @returns {Object} Room record
+ * @throws {RoomLinkValidationError} If ttlMinutes or maxGuests is out of range
+ */
+function createRoomRecord(options, defaults) {
+    const createdAt = new Date();
+    const ttlMinutes = boundedInteger(options.ttlMinutes, 'ttlMinutes', MAX_TTL_MINUTES);
+    const maxGuests = boundedInteger(options.maxGuests, 'maxGuests', MAX_GUESTS_LIMIT);
+    const ttlMs = ttlMinutes ? ttlMinutes * 60 * 1000 : defaults.ttlMs;
+
+    return {
+        hotelId: options.hotelId || toHotelId(options.hotelName),
+        hotelName: options.hotelName,
+        createdAt,
+        expiresAt: new Date(createdAt.getTime() + ttlMs),
+        maxGuests: maxGuests || defaults.maxGuests,
+        singleUse: typeof options.singleUse === 'boolean' ? options.singleUse : defaults.singleUse
+    };
+}
+
+/**
+ * Whether a room link can no longer be used
+ * @param {Object} room - Room record
+ * @param {Date} now - Current time
+ * @returns {boolean} True once the TTL has passed
+ */
+function isRoomExpired(room, now = new Date()) {
+    return now >= room.expiresAt;
+}
+
+/**
+ * Check whether a room can be joined at all
+ * @param {Object|undefined} room - Room record
+ * @param {Date} now - Current time
+ * @returns {Object|null} { code, message } rejection, or null if open
+ */
+function checkRoomOpen(room, now = new Date()) {
+    if (!room) {
+        return { code: 'ROOM_NOT_FOUND', message: 'Room not found' };
+    }
+    if (room.revoked) {
+        return { code: 'ROOM_REVOKED', message: 'This room has been closed' };
+    }
+    if (isRoomExpired(room, now)) {
+        return { code: 'ROOM_EXPIRED', message: 'This room link has expired' };
+    }
+    return null;
+}
+
+/**
+ * Check whether a guest may join with the given token
+ * @param {Object} room - Room record (already checked with checkRoomOpen)
+ * @param {Object} identity - From resolveJoinIdentity ({ tokenId, session })
+ * @param {number} guestCount - Guests currently in the room
+ * @param {boolean} alreadyRedeemed - Whether the token was used before
+ * @returns {Object|null} { code, message } rejection, or null if admitted
+ */
+function checkGuestAdmission(room, identity, guestCount, alreadyRedeemed) {
+    if (guestCount >= room.maxGuests) {
+        return { code: 'ROOM_FULL', message: 'This room is full' };
+    }
+    // Session tokens are handed out after redemption so a guest can reconnect
+    if (room.singleUse && !identity.session && alreadyRedeemed) {
+        return { code: 'LINK_USED', message: 'This room link has already been used' };
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_ROOM_TTL_MS,
+    DEFAULT_MAX_GUESTS,
+    MAX_TTL_MINUTES,
+    MAX_GUESTS_LIMIT,
+    RoomLinkValidationError,
+    roomLinkDefaults,
+    toHotelId,
+    createRoomRecord,
+    isRoomExpired,
+    checkRoomOpen,
+    checkGuestAdmission
+};
@@ -0,0 +1,408 @@
+// room_state.js
+// Shared room state: room records, redeemed links and members (in-memory, or Redis for several nodes)
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+const DEFAULT_KEY_PREFIX = 'hotel-translation:';
+// Room data is kept this long after the link expires so late joiners get "expired"
+// rather than "not found"; Redis drops it even if no node is left to sweep it
+const ROOM_RETENTION_MS = 24 * 60 * 60 * 1000;
+// Each node refreshes a heartbeat key this often; members of a node whose key
+// has expired (it crashed or lost Redis) are dropped
+const DEFAULT_HEARTBEAT_MS = 10 * 1000;
+const MISSED_HEARTBEATS = 3;
+
+/**
+ * Rebuild a room record read from storage
+ * @param {Object} record - Stored record
+ * @param {string|null} closedReason - 'revoked' | 'expired' once closed
+ * @returns {Object} Room record with Date fields and revoked flag
+ */
+function toRoom(record, closedReason) {
+    return {
+        ...record,
+        createdAt: new Date(record.createdAt),
+        expiresAt: new Date(record.expiresAt),
+        revoked: closedReason === 'revoked',
+        closedReason: closedReason || null
+    };
+}
+
+class MemoryRoomState {
+    constructor() {
+        this.type = 'memory';
+        this.rooms = new Map(); // roomId -> { record, closedReason, tokens: Set, members: Map }
+    }
+
+    /**
+     * Begin background work (nothing to do in memory)
+     */
+    async start() {}
+
+    /**
+     * End background work (nothing to do in memory)
+     */
+    async stop() {}
+
+    /**
+     * Store a new room
+     * @param {string} roomId - Room id
+     * @param {Object} record - From createRoomRecord
+     */
+    async createRoom(roomId, record) {
+        this.rooms.set(roomId, { record: { ...record }, closedReason: null, tokens: new Set(), members: new Map() });
+    }
+
+    /**
+     * Get a room
+     * @param {string} roomId - Room id
+     * @returns {Promise<Object|null>} Room record, or null if unknown
+     */
+    async getRoom(roomId) {
+        const entry = this.rooms.get(roomId);
+        return entry ? toRoom(entry.record, entry.closedReason) : null;
+    }
+
+    /**
+     * List every stored room
+     * @returns {Promise<Array<Object>>} Room records with their roomId
+     */
+    async listRooms() {
+        return [...this.rooms.entries()].map(([roomId, entry]) => ({
+            roomId,
+            ...toRoom(entry.record, entry.closedReason)
+        }));
+    }
+
+    /**
+     * Change fields of a room record (e.g. its translation style)
+     * @param {string} roomId - Room id
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated room, or null if unknown
+     */
+    async updateRoom(roomId, changes) {
+        const entry = this.rooms.get(roomId);
+        if (!entry) {
+            return null;
+        }
+        Object.assign(entry.record, changes);
+        return toRoom(entry.record, entry.closedReason);
+    }
+
+    /**
+     * Mark a room closed. Only the first call succeeds, so with several nodes
+     * exactly one of them announces the closing.
+     * @param {string} roomId - Room id
+     * @param {string} reason - 'revoked' | 'expired'
+     * @returns {Promise<boolean>} Whether this call closed the room
+     */
+    async closeRoom(roomId, reason) {
+        const entry = this.rooms.get(roomId);
+        if (!entry || entry.closedReason) {
+            return false;
+        }
+        entry.closedReason = reason;
+        return true;
+    }
+
+    /**
+     * Forget a room and everything stored with it
+     * @param {string} roomId - Room id
+     */
+    async deleteRoom(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    /**
+     * Whether a guest link token was already used for this room
+     * @param {string} roomId - Room id
+     * @param {string} tokenId - Token jti
+     * @returns {Promise<boolean>} True if redeemed before
+     */
+    async isTokenRedeemed(roomId, tokenId) {
+        return Boolean(this.rooms.get(roomId)?.tokens.has(tokenId));
+    }
+
+    /**
+     * Record a guest link token as used
+     * @param {string} roomId - Room id
+     * @param {string} tokenId - Token jti
+     * @returns {Promise<boolean>} True if this call redeemed it first
+     */
+    async redeemToken(roomId, tokenId) {
+        const entry = this.rooms.get(roomId);
+        if (!entry || entry.tokens.has(tokenId)) {
+            return false;
+        }
+        entry.tokens.add(tokenId);
+        return true;
+    }
+
+    /**
+     * Add a socket to a room
+     * @param {string} roomId - Room id
+     * @param {string} socketId - Socket id
+     * @param {Object} member - { role, language, account, autoDetect }
+     */
+    async addMember(roomId, socketId, member) {
+        this.rooms.get(roomId)?.members.set(socketId, { ...member });
+    }
+
+    /**
+     * Change a member's details (e.g. a detected language)
+     * @param {string} roomId - Room id
+     * @param {string} socketId - Socket id
+     * @param {Object} changes - Fields to update
+     */
+    async updateMember(roomId, socketId, changes) {
+        const member = this.rooms.get(roomId)?.members.get(socketId);
+        if (member) {
+            Object.assign(member, changes);
+        }
+    }
+
+    /**
+     * Remove a socket from a room
+     * @param {string} roomId - Room id
+     * @param {string} socketId - Socket id
+     */
+    async removeMember(roomId, socketId) {
+        this.rooms.get(roomId)?.members.delete(socketId);
+    }
+
+    /**
+     * List a room's members across all nodes
+     * @param {string} roomId - Room id
+     * @returns {Promise<Array<Object>>} Members with their socketId
+     */
+    async listMembers(roomId) {
+        const members = this.rooms.get(roomId)?.members || new Map();
+        return [...members.entries()].map(([socketId, member]) => ({ socketId, ...member }));
+    }
+
+    /**
+     * Whether the store is reachable
+     * @returns {Promise<boolean>} Always true for memory
+     */
+    async healthCheck() {
+        return true;
+    }
+}
+
+class RedisRoomState {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - ioredis client (or a compatible in-process stand-in)
+     * @param {string} [options.keyPrefix] - Prefix for every key
+     * @param {string} [options.nodeId] - This node's id (random by default)
+     * @param {number} [options.heartbeatMs] - How often this node marks itself alive
+     */
+    constructor(options) {
+        this.type = 'redis';
+        this.client = options.client;
+        this.prefix = options.keyPrefix || DEFAULT_KEY_PREFIX;
+        this.nodeId = options.nodeId || crypto.randomUUID();
+        this.heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+        this.heartbeatTimer = null;
+    }
+
+    key(...parts) {
+        return this.prefix + parts.join(':');
+    }
+
+    /**
+     * Mark this node alive now and every heartbeatMs until stop()
+     */
+    async start() {
+        await this.heartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            // A failed beat is retried next time; lasting trouble shows in healthCheck
+            this.heartbeat().catch(() => {});
+        }, this.heartbeatMs);
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * Stop the heartbeat and let other nodes drop this node's members right away
+     */
+    async stop() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        await this.client.del(this.key('node', this.nodeId));
+    }
+
+    async heartbeat() {
+        await this.client.set(this.key('node', this.nodeId), '1', 'PX', this.heartbeatMs * MISSED_HEARTBEATS);
+    }
+
+    // Everything stored for a room expires together with the room record
+    async roomTtl(roomId) {
+        const ttl = await this.client.pttl(this.key('room', roomId));
+        return ttl > 0 ? ttl : null;
+    }
+
+    async createRoom(roomId, record) {
+        const expiresAt = new Date(record.expiresAt).getTime();
+        await this.client.multi()
+            .set(this.key('room', roomId), JSON.stringify(record), 'PX', Math.max(1, expiresAt + ROOM_RETENTION_MS - Date.now()))
+            .zadd(this.key('rooms'), expiresAt, roomId)
+            .exec();
+    }
+
+    async getRoom(roomId) {
+        const [record, closedReason] = await this.client.mget(this.key('room', roomId), this.key('room', roomId, 'closed'));
+        return record ? toRoom(JSON.parse(record), closedReason) : null;
+    }
+
+    async listRooms() {
+        const roomIds = await this.client.zrange(this.key('rooms'), 0, -1);
+        if (roomIds.length === 0) {
+            return [];
+        }
+        const values = await this.client.mget(
+            ...roomIds.map(roomId => this.key('room', roomId)),
+            ...roomIds.map(roomId => this.key('room', roomId, 'closed'))
+        );
+
+        const rooms = [];
+        const stale = [];
+        roomIds.forEach((roomId, index) => {
+            const record = values[index];
+            if (record) {
+                rooms.push({ roomId, ...toRoom(JSON.parse(record), values[roomIds.length + index]) });
+            } else {
+                stale.push(roomId); // expired out of Redis
+            }
+        });
+        if (stale.length > 0) {
+            await this.client.zrem(this.key('rooms'), ...stale);
+        }
+        return rooms;
+    }
+
+    async updateRoom(roomId, changes) {
+        const [record, ttl] = await Promise.all([
+            this.client.get(this.key('room', roomId)),
+            this.roomTtl(roomId)
+        ]);
+        if (!record || !ttl) {
+            return null;
+        }
+        const updated = { ...JSON.parse(record), ...changes };
+        await this.client.set(this.key('room', roomId), JSON.stringify(updated), 'PX', ttl);
+        return this.getRoom(roomId);
+    }
+
+    async closeRoom(roomId, reason) {
+        const ttl = await this.roomTtl(roomId);
+        if (!ttl) {
+            return false;
+        }
+        const result = await this.client.set(this.key('room', roomId, 'closed'), reason, 'PX', ttl, 'NX');
+        return result === 'OK';
+    }
+
+    async deleteRoom(roomId) {
+        await this.client.multi()
+            .del(
+                this.key('room', roomId),
+                this.key('room', roomId, 'closed'),
+                this.key('room', roomId, 'tokens'),
+                this.key('room', roomId, 'members')
+            )
+            .zrem(this.key('rooms'), roomId)
+            .exec();
+    }
+
+    async isTokenRedeemed(roomId, tokenId) {
+        return (await this.client.sismember(this.key('room', roomId, 'tokens'), tokenId)) === 1;
+    }
+
+    async redeemToken(roomId, tokenId) {
+        const ttl = await this.roomTtl(roomId);
+        if (!ttl) {
+            return false;
+        }
+        const [[, added]] = await this.client.multi()
+            .sadd(this.key('room', roomId, 'tokens'), tokenId)
+            .pexpire(this.key('room', roomId, 'tokens'), ttl)
+            .exec();
+        return added === 1;
+    }
+
+    async addMember(roomId, socketId, member) {
+        const ttl = await this.roomTtl(roomId);
+        if (!ttl) {
+            return;
+        }
+        await this.client.multi()
+            .hset(this.key('room', roomId, 'members'), socketId, JSON.stringify({ ...member, node: this.nodeId }))
+            .pexpire(this.key('room', roomId, 'members'), ttl)
+            .exec();
+    }
+
+    async updateMember(roomId, socketId, changes) {
+        // Only the node holding the socket writes its member entry
+        const current = await this.client.hget(this.key('room', roomId, 'members'), socketId);
+        if (current) {
+            await this.client.hset(
+                this.key('room', roomId, 'members'),
+                socketId,
+                JSON.stringify({ ...JSON.parse(current), ...changes })
+            );
+        }
+    }
+
+    async removeMember(roomId, socketId) {
+        await this.client.hdel(this.key('room', roomId, 'members'), socketId);
+    }
+
+    async listMembers(roomId) {
+        const members = Object.entries(await this.client.hgetall(this.key('room', roomId, 'members')))
+            .map(([socketId, member]) => ({ socketId, ...JSON.parse(member) }));
+
+        // Entries written before nodes were recorded are kept
+        const nodes = [...new Set(members.map(member => member.node))]
+            .filter(node => node && node !== this.nodeId);
+        const beats = nodes.length > 0 ? await this.client.mget(...nodes.map(node => this.key('node', node))) : [];
+        const deadNodes = new Set(nodes.filter((node, index) => beats[index] === null));
+        const isLive = member => !deadNodes.has(member.node);
+
+        const stale = members.filter(member => !isLive(member));
+        if (stale.length > 0) {
+            await this.client.hdel(this.key('room', roomId, 'members'), ...stale.map(member => member.socketId));
+        }
+        return members.filter(isLive).map(({ node, ...member }) => member);
+    }
+
+    async healthCheck() {
+        try {
+            return (await this.client.ping()) === 'PONG';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * Create the room state store from the environment: Redis when REDIS_URL is set
+ * @param {Object} env - Environment variables (REDIS_URL, REDIS_KEY_PREFIX)
+ * @returns {MemoryRoomState|RedisRoomState} Store
+ */
+function createRoomStateFromEnv(env = process.env) {
+    if (!env.REDIS_URL) {
+        return new MemoryRoomState();
+    }
+    return new RedisRoomState({
+        client: new Redis(env.REDIS_URL),
+        keyPrefix: env.REDIS_KEY_PREFIX
+    });
+}
+
+module.exports = {
+    ROOM_RETENTION_MS,
+    DEFAULT_HEARTBEAT_MS,
+    MemoryRoomState,
+    RedisRoomState,
+    createRoomStateFromEnv
+};
@@ -2,51 +2,140 @@
 // Real Sarvam API integration
 const FormData = require('form-data');
 const fetch = require('node-fetch');
+const { logger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://api.sarvam.ai';
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+
+const DEFAULT_LANGUAGES = [
+    { code: 'hi-IN', name: 'Hindi', native: 'हिन्दी' },
+    { code: 'bn-IN', name: 'Bengali', native: 'বাংলা' },
+    { code: 'ta-IN', name: 'Tamil', native: 'தமிழ்' },
+    { code: 'te-IN', name: 'Telugu', native: 'తెలుగు' },
+    { code: 'mr-IN', name: 'Marathi', native: 'मराठी' },
+    { code: 'gu-IN', name: 'Gujarati', native: 'ગુજરાતી' },
+    { code: 'kn-IN', name: 'Kannada', native: 'ಕನ್ನಡ' },
+    { code: 'ml-IN', name: 'Malayalam', native: 'മലയാളം' },
+    { code: 'pa-IN', name: 'Punjabi', native: 'ਪੰਜਾਬੀ' },
+    { code: 'or-IN', name: 'Odia', native: 'ଓଡ଼ିଆ' },
+    { code: 'en-IN', name: 'English', native: 'English' }
+];
+
+/**
+ * Error from a Sarvam API call. `status` is the HTTP status, or null for timeouts and network errors.
+ */
+class SarvamApiError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'SarvamApiError';
+        this.status = status;
+    }
+}
+
+// Rate limiting and server errors are worth another attempt; other 4xx are not
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
 
 class SarvamClient {
-    constructor(apiKey) {
+    /**
+     * @param {string} apiKey - Sarvam API subscription key
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - API base URL (tests point this at a local fake server)
+     * @param {number} [options.timeoutMs] - Per-attempt timeout
+     * @param {number} [options.retries] - Extra attempts after a 429/5xx, timeout or network error
+     * @param {number} [options.retryBaseDelayMs] - First backoff delay, doubled on each retry
+     */
+    constructor(apiKey, options = {}) {
         this.apiKey = apiKey;
-        this.baseUrl = 'https://api.sarvam.ai';
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.retries = Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_RETRIES;
+        this.retryBaseDelayMs = options.retryBaseDelayMs || DEFAULT_RETRY_BASE_DELAY_MS;
         this.headers = {
             'api-subscription-key': apiKey,
             'Content-Type': 'application/json'
         };
     }
 
+    /**
+     * Call the API with a timeout per attempt and exponential-backoff retries
+     * @param {string} path - API path
+     * @param {Function} buildInit - () => fetch options; called per attempt since bodies are streams
+     * @returns {Promise<Object>} Successful fetch response
+     * @throws {SarvamApiError} When the last attempt fails
+     */
+    async request(path, buildInit) {
+        for (let attempt = 0; ; attempt++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+            let error;
+
+            try {
+                const response = await fetch(`${this.baseUrl}${path}`, { ...buildInit(), signal: controller.signal });
+                if (response.ok) {
+                    return response;
+                }
+                error = new SarvamApiError(`Sarvam API error: ${response.status} ${response.statusText}`, response.status);
+                if (!isRetryableStatus(response.status)) {
+                    throw error;
+                }
+            } catch (fetchError) {
+                if (fetchError === error) {
+                    throw error;
+                }
+                error = fetchError.name === 'AbortError' ?
+                    new SarvamApiError(`Sarvam API timed out after ${this.timeoutMs} ms`) :
+                    new SarvamApiError(`Sarvam API request failed: ${fetchError.message}`);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (attempt >= this.retries) {
+                throw error;
+            }
+            const delay = this.retryBaseDelayMs * 2 ** attempt;
+            logger.warn('Retrying Sarvam API call', { path, delayMs: delay, attempt: attempt + 1, error });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
     /**
      * Transcribe audio to text using Sarvam Speech-to-Text API
      * @param {Buffer} audioBuffer - Audio file buffer
-     * @param {string} languageCode - Language code (e.g., 'hi-IN')
+     * @param {string} languageCode - Language code (e.g., 'hi-IN'), or 'unknown' to identify it
+     * @param {Object} options - { filename, contentType } of the upload (defaults to WAV)
      * @returns {Promise<Object>} Transcription result
      */
-    async transcribe(audioBuffer, languageCode = 'hi-IN') {
+    async transcribe(audioBuffer, languageCode = 'hi-IN', options = {}) {
         try {
-            const formData = new FormData();
-            formData.append('file', audioBuffer, {
-                filename: 'audio.wav',
-                contentType: 'audio/wav'
-            });
-            formData.append('language_code', languageCode);
-            formData.append('model', 'saaras:v1');
+            const response = await this.request('/speech-to-text', () => {
+                const formData = new FormData();
+                formData.append('file', audioBuffer, {
+                    filename: options.filename || 'audio.wav',
+                    contentType: options.contentType || 'audio/wav'
+                });
+                formData.append('language_code', languageCode);
+                formData.append('model', 'saaras:v1');
 
-            const response = await fetch(`${this.baseUrl}/speech-to-text`, {
-                method: 'POST',
-                headers: {
-                    'api-subscription-key': this.apiKey,
-                    ...formData.getHeaders()
-                },
-                body: formData
+                return {
+                    method: 'POST',
+                    headers: {
+                        'api-subscription-key': this.apiKey,
+                        ...formData.getHeaders()
+                    },
+                    body: formData
+                };
             });
 
-            if (!response.ok) {
-                throw new Error(`Sarvam API error: ${response.status} ${response.statusText}`);
-            }
-
             const result = await response.json();
             
             return {
                 transcript: result.transcript || '',
-                confidence: result.confidence || 0.95,
+                // null when the API gives no score; never assumed to be high
+                confidence: result.confidence ?? null,
                 language_code: result.language_code || languageCode,
                 diarized_transcript: result.diarized_transcript || {
                     entries: [{
@@ -57,8 +146,8 @@ class SarvamClient {
             };
 
         } catch (error) {
-            console.error('Transcription error:', error);
-            throw new Error(`Failed to transcribe audio: ${error.message}`);
+            logger.error('Transcription error', { error });
+            throw new SarvamApiError(`Failed to transcribe audio: ${error.message}`, error.status);
         }
     }
 
@@ -67,27 +156,25 @@ class SarvamClient {
      * @param {string} text - Text to translate
      * @param {string} sourceLanguage - Source language code
      * @param {string} targetLanguage - Target language code
+     * @param {Object} options - { mode: 'formal' | 'informal', speakerGender: 'male' | 'female' }
      * @returns {Promise<Object>} Translation result
      */
-    async translate(text, sourceLanguage, targetLanguage) {
+    async translate(text, sourceLanguage, targetLanguage, options = {}) {
         try {
             const payload = {
                 input: text,
                 source_language_code: sourceLanguage,
                 target_language_code: targetLanguage,
-                speaker_gender: 'Male', // or 'Female'
-                mode: 'formal' // or 'informal'
+                // Verb forms in e.g. Hindi and Marathi agree with the speaker
+                speaker_gender: options.speakerGender === 'female' ? 'Female' : 'Male',
+                mode: options.mode || 'formal'
             };
 
-            const response = await fetch(`${this.baseUrl}/translate`, {
+            const response = await this.request('/translate', () => ({
                 method: 'POST',
                 headers: this.headers,
                 body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                throw new Error(`Sarvam API error: ${response.status} ${response.statusText}`);
-            }
+            }));
 
             const result = await response.json();
             
@@ -95,12 +182,50 @@ class SarvamClient {
                 text: result.translated_text || text,
                 source_language: sourceLanguage,
                 target_language: targetLanguage,
-                confidence: result.confidence || 0.95
+                confidence: result.confidence ?? null
             };
 
         } catch (error) {
-            console.error('Translation error:', error);
-            throw new Error(`Failed to translate text: ${error.message}`);
+            logger.error('Translation error', { error });
+            throw new SarvamApiError(`Failed to translate text: ${error.message}`, error.status);
+        }
+    }
+
+    /**
+     * Synthesize speech using Sarvam Text-to-Speech API
+     * @param {string} text - Text to speak
+     * @param {string} languageCode - Language of the text (e.g., 'hi-IN')
+     * @param {Object} options - { speaker } voice name
+     * @returns {Promise<Object>} { audio: Buffer, contentType: string }
+     */
+    async synthesize(text, languageCode, options = {}) {
+        try {
+            const payload = {
+                inputs: [text],
+                target_language_code: languageCode,
+                speaker: options.speaker || 'meera',
+                model: 'bulbul:v1'
+            };
+
+            const response = await this.request('/text-to-speech', () => ({
+                method: 'POST',
+                headers: this.headers,
+                body: JSON.stringify(payload)
+            }));
+
+            const result = await response.json();
+            if (!result.audios || !result.audios[0]) {
+                throw new Error('Sarvam API returned no audio');
+            }
+
+            return {
+                audio: Buffer.from(result.audios[0], 'base64'),
+                contentType: 'audio/wav'
+            };
+
+        } catch (error) {
+            logger.error('Speech synthesis error', { error });
+            throw new SarvamApiError(`Failed to synthesize speech: ${error.message}`, error.status);
         }
     }
 
@@ -110,17 +235,12 @@ class SarvamClient {
      */
     async getSupportedLanguages() {
         try {
-            const response = await fetch(`${this.baseUrl}/translate/supported-languages`, {
+            const response = await this.request('/translate/supported-languages', () => ({
                 headers: this.headers
-            });
-
-            if (!response.ok) {
-                throw new Error(`Sarvam API error: ${response.status} ${response.statusText}`);
-            }
-
+            }));
             return await response.json();
         } catch (error) {
-            console.error('Error fetching supported languages:', error);
+            logger.error('Error fetching supported languages', { error });
             return this.getDefaultLanguages();
         }
     }
@@ -130,19 +250,7 @@ class SarvamClient {
      * @returns {Array} Default language list
      */
     getDefaultLanguages() {
-        return [
-            { code: 'hi-IN', name: 'Hindi', native: 'हिन्दी' },
-            { code: 'bn-IN', name: 'Bengali', native: 'বাংলা' },
-            { code: 'ta-IN', name: 'Tamil', native: 'தமிழ்' },
-            { code: 'te-IN', name: 'Telugu', native: 'తెలుగు' },
-            { code: 'mr-IN', name: 'Marathi', native: 'मराठी' },
-            { code: 'gu-IN', name: 'Gujarati', native: 'ગુજરાતી' },
-            { code: 'kn-IN', name: 'Kannada', native: 'ಕನ್ನಡ' },
-            { code: 'ml-IN', name: 'Malayalam', native: 'മലയാളം' },
-            { code: 'pa-IN', name: 'Punjabi', native: 'ਪੰਜਾਬੀ' },
-            { code: 'or-IN', name: 'Odia', native: 'ଓଡ଼ିଆ' },
-            { code: 'en-IN', name: 'English', native: 'English' }
-        ];
+        return DEFAULT_LANGUAGES;
     }
 
     /**
@@ -155,7 +263,7 @@ class SarvamClient {
             await this.translate('Hello', 'en-IN', 'hi-IN');
             return true;
         } catch (error) {
-            console.error('Sarvam API health check failed:', error);
+            logger.error('Sarvam API health check failed', { error });
             return false;
         }
     }
@@ -166,20 +274,18 @@ class SarvamClient {
      */
     async getUsageStats() {
         try {
-            const response = await fetch(`${this.baseUrl}/usage`, {
+            const response = await this.request('/usage', () => ({
                 headers: this.headers
-            });
-
-            if (!response.ok) {
-                throw new Error(`Sarvam API error: ${response.status} ${response.statusText}`);
-            }
-
+            }));
             return await response.json();
         } catch (error) {
-            console.error('Error fetching usage stats:', error);
+            logger.error('Error fetching usage stats', { error });
             return { error: error.message };
         }
     }
 }
 
-module.exports = SarvamClient;
\ No newline at end of file
+module.exports = SarvamClient;
+module.exports.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+module.exports.DEFAULT_LANGUAGES = DEFAULT_LANGUAGES;
+module.exports.SarvamApiError = SarvamApiError;
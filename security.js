@@ -0,0 +1,88 @@
+// security.js
+// Origin allow-list for HTTP and Socket.IO, and the page's Content-Security-Policy
+const helmet = require('helmet');
+
+/**
+ * Parse ALLOWED_ORIGINS and refuse a wildcard in production
+ * @param {Object} env - Environment variables (ALLOWED_ORIGINS, NODE_ENV)
+ * @returns {{allowAll: boolean, origins: Array<string>}} Allow-list
+ * @throws {Error} If ALLOWED_ORIGINS contains * while NODE_ENV=production
+ */
+function parseAllowedOrigins(env = process.env) {
+    const entries = (env.ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+    const allowAll = entries.includes('*');
+
+    if (allowAll && env.NODE_ENV === 'production') {
+        throw new Error('ALLOWED_ORIGINS=* is not allowed when NODE_ENV=production; list the allowed origins');
+    }
+    return { allowAll, origins: entries.filter(origin => origin !== '*') };
+}
+
+/**
+ * Build the origin check shared by Express and the Socket.IO handshake.
+ * Requests without an Origin header (non-browser clients) and same-origin
+ * requests are always allowed.
+ * @param {Object} allowList - From parseAllowedOrigins
+ * @returns {Function} (origin, host) => boolean
+ */
+function createOriginCheck(allowList) {
+    return (origin, host) => {
+        if (!origin || allowList.allowAll || allowList.origins.includes(origin)) {
+            return true;
+        }
+        try {
+            return new URL(origin).host === host;
+        } catch (error) {
+            return false;
+        }
+    };
+}
+
+/**
+ * Express middleware rejecting requests from origins that are not allowed
+ * @param {Function} isOriginAllowed - From createOriginCheck
+ * @returns {Function} Express middleware
+ */
+function rejectDisallowedOrigins(isOriginAllowed) {
+    return (req, res, next) => {
+        if (!isOriginAllowed(req.get('origin'), req.get('host'))) {
+            return res.status(403).json({ error: 'Origin not allowed' });
+        }
+        next();
+    };
+}
+
+/**
+ * Helmet configured for public/index.html: scripts only from this server
+ * (public/app.js and the Socket.IO client, no inline code or on* handlers),
+ * inline styles, and QR codes and recordings as blob: URLs.
+ * @param {Object} env - Environment variables (NODE_ENV)
+ * @returns {Function} Express middleware
+ */
+function securityHeaders(env = process.env) {
+    return helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                scriptSrc: ["'self'"],
+                scriptSrcAttr: ["'none'"],
+                styleSrc: ["'self'", "'unsafe-inline'"],
+                imgSrc: ["'self'", 'data:', 'blob:'],
+                mediaSrc: ["'self'", 'blob:'],
+                connectSrc: ["'self'"],
+                // Local development is served over plain http
+                upgradeInsecureRequests: env.NODE_ENV === 'production' ? [] : null
+            }
+        }
+    });
+}
+
+module.exports = {
+    parseAllowedOrigins,
+    createOriginCheck,
+    rejectDisallowedOrigins,
+    securityHeaders
+};
@@ -1,24 +1,109 @@
 // server.js
+require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
+const compression = require('compression');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs').promises;
-require('dotenv').config();
+const { createProviderFromEnv } = require('./translation_providers');
+const { createMessageStoreFromEnv } = require('./message_store');
+const { FORMATS: TRANSCRIPT_FORMATS, buildTranscript, renderTranscript } = require('./transcript_export');
+const {
+    authenticateStaff,
+    issueStaffToken,
+    issueGuestToken,
+    resolveJoinIdentity,
+    resolveStaff,
+    requireStaff,
+    canAccessHotel
+} = require('./auth');
+const {
+    RoomLinkValidationError,
+    roomLinkDefaults,
+    createRoomRecord,
+    isRoomExpired,
+    checkRoomOpen,
+    checkGuestAdmission
+} = require('./room_links');
+const { createRoomStateFromEnv } = require('./room_state');
+const { ROOM_STATUSES, ADMIN_FEED_ROOM, roomStatus, summarizeRoom, adminFeedRooms } = require('./admin_dashboard');
+const { parseQrOptions, renderQrPng, renderQrSvg } = require('./qr_codes');
+const { DEFAULT_MAX_STREAM_BYTES, AudioStreamAssembler } = require('./audio_stream');
+const { parseConfidenceThreshold, PendingTranscripts } = require('./pending_transcripts');
+const { AudioClipStore } = require('./audio_clips');
+const { DEFAULT_MAX_AUDIO_BYTES, AudioValidationError, normalizeAudio } = require('./audio_pipeline');
+const { AUTO_LANGUAGE, STT_AUTO_LANGUAGE_CODE, isAutoLanguage, detectTextLanguage } = require('./language_detect');
+const { GlossaryValidationError, GlossaryStore } = require('./glossary');
+const { createTranslationCacheFromEnv } = require('./translation_cache');
+const { PhrasebookValidationError, PhrasebookStore, isAvailableTo } = require('./phrasebook');
+const {
+    DEFAULT_HOTEL_ID,
+    DEFAULT_RECEPTIONIST_LANGUAGE,
+    HotelValidationError,
+    HotelStore,
+    publicHotelProfile
+} = require('./hotels');
+const { parseTranslationStyle, resolveTranslationStyle } = require('./translation_style');
+const { CachedCheck } = require('./health_checks');
+const { createMetrics } = require('./metrics');
+const { logger } = require('./logger');
+const { RateLimiter, limitByIp, parseTrustProxy, base64Size } = require('./rate_limits');
+const {
+    parseAllowedOrigins,
+    createOriginCheck,
+    rejectDisallowedOrigins,
+    securityHeaders
+} = require('./security');
+
+// Origins allowed to call the API and open sockets (ALLOWED_ORIGINS); same-origin always works
+let allowedOrigins;
+try {
+    allowedOrigins = parseAllowedOrigins();
+} catch (error) {
+    logger.error('Invalid configuration', { error });
+    process.exit(1);
+}
+const isOriginAllowed = createOriginCheck(allowedOrigins);
+const corsOrigin = allowedOrigins.allowAll ? '*' : allowedOrigins.origins;
+
+// Largest clip accepted, before and after base64 decoding
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES, 10) || DEFAULT_MAX_AUDIO_BYTES;
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
     cors: {
-        origin: "*",
+        origin: corsOrigin,
         methods: ["GET", "POST"]
-    }
+    },
+    // CORS does not cover WebSocket upgrades, so check the handshake origin as well
+    allowRequest: (req, callback) => callback(null, isOriginAllowed(req.headers.origin, req.headers.host)),
+    // Room for a base64 clip of MAX_AUDIO_BYTES plus the rest of the event
+    maxHttpBufferSize: Math.ceil(MAX_AUDIO_BYTES * 4 / 3) + 64 * 1024
 });
 
+// Rooms, members and redeemed links live in a shared store (REDIS_URL); with
+// Redis, the adapter relays broadcasts so several nodes can serve one room
+const roomState = createRoomStateFromEnv();
+if (roomState.type === 'redis') {
+    io.adapter(createAdapter(roomState.client, roomState.client.duplicate()));
+}
+
+// Behind a load balancer req.ip, which REST rate limits key on, is the proxy's
+// address unless Express trusts X-Forwarded-For (TRUST_PROXY)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // Middleware
-app.use(cors());
+app.use(securityHeaders());
+app.use(compression());
+app.use(rejectDisallowedOrigins(isOriginAllowed));
+app.use(cors({ origin: corsOrigin }));
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -26,74 +111,79 @@ app.use(express.static('public'));
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
-// Mock Sarvam API client for development
-// Replace with actual Sarvam API when ready
-class MockSarvamClient {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
-        console.log('Mock Sarvam API initialized');
-    }
-
-    async transcribe(audioBuffer, languageCode) {
-        // Mock transcription - in production, use actual Sarvam API
-        const mockTranscriptions = {
-            'hi-IN': 'कितना पैसा?',
-            'bn-IN': 'কত টাকা?',
-            'ta-IN': 'எவ்வளவு பணம்?',
-            'te-IN': 'ఎంత డబ్బు?',
-            'en-IN': 'How much money?'
-        };
-        
-        await this.delay(1000); // Simulate API call
-        
-        return {
-            transcript: mockTranscriptions[languageCode] || 'Sample text',
-            confidence: 0.95,
-            diarized_transcript: {
-                entries: [{
-                    speaker_id: 'speaker_1',
-                    text: mockTranscriptions[languageCode] || 'Sample text'
-                }]
-            }
-        };
-    }
+// Initialize translation provider (mock, sarvam, ...) from configuration
+const { name: providerName, fallbackName, provider: sarvamClient } = createProviderFromEnv();
 
-    async translate(text, sourceLanguage, targetLanguage) {
-        // Mock translation - in production, use actual Sarvam API
-        const translations = {
-            'कितना पैसा?': 'How much money?',
-            'How much money?': 'कितना पैसा?',
-            'Rs 3000': 'Rs 3000',
-            'Thank you': 'धन्यवाद',
-            'धन्यवाद': 'Thank you',
-            'Good morning': 'सुप्रभात',
-            'सुप्रभात': 'Good morning',
-            'Hello': 'नमस्ते',
-            'नमस्ते': 'Hello',
-            'I need a room': 'मुझे एक कमरा चाहिए',
-            'मुझे एक कमरा चाहिए': 'I need a room'
-        };
-        
-        await this.delay(800); // Simulate API call
-        
-        return {
-            text: translations[text] || `Translated: ${text}`,
-            source_language: sourceLanguage,
-            target_language: targetLanguage
-        };
-    }
+// Conversation history (memory by default, MESSAGE_STORE=file for persistence)
+const messageStore = createMessageStoreFromEnv();
+const HISTORY_REPLAY_LIMIT = parseInt(process.env.HISTORY_REPLAY_LIMIT, 10) || 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-}
+// Room link settings; the sockets connected to this node and what they joined
+const ROOM_LINK_DEFAULTS = roomLinkDefaults();
+const ROOM_SWEEP_INTERVAL_MS = 60 * 1000;
+const userRoles = new Map(); // socketId -> {room, hotelId, role, language, account, autoDetect}
 
-// Initialize Sarvam client
-const sarvamClient = new MockSarvamClient(process.env.SARVAM_KEY);
+// Used when a guest in auto mode has not been detected yet
+const DEFAULT_GUEST_LANGUAGE = 'hi-IN';
+
+// Limits for incoming clips, which are normalized to 16 kHz mono WAV before STT
+const AUDIO_LIMITS = {
+    maxBytes: MAX_AUDIO_BYTES,
+    maxDurationMs: parseInt(process.env.MAX_AUDIO_DURATION_MS, 10) || undefined,
+    ffmpegPath: process.env.FFMPEG_PATH
+};
 
-// Store active rooms and users
-const activeRooms = new Map();
-const userRoles = new Map(); // socketId -> {room, role, language}
+// Rate limits: room creation per client IP, messages and streamed audio chunks
+// per socket and per room
+const generateRoomLimiter = new RateLimiter({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100
+});
+const MESSAGE_RATE_WINDOW_MS = parseInt(process.env.MESSAGE_RATE_WINDOW_MS, 10) || 60 * 1000;
+const socketMessageLimiter = new RateLimiter({
+    windowMs: MESSAGE_RATE_WINDOW_MS,
+    max: parseInt(process.env.SOCKET_MESSAGE_RATE_MAX, 10) || 20
+});
+const roomMessageLimiter = new RateLimiter({
+    windowMs: MESSAGE_RATE_WINDOW_MS,
+    max: parseInt(process.env.ROOM_MESSAGE_RATE_MAX, 10) || 60
+});
+const socketChunkLimiter = new RateLimiter({
+    windowMs: MESSAGE_RATE_WINDOW_MS,
+    max: parseInt(process.env.SOCKET_AUDIO_CHUNK_RATE_MAX, 10) || 600
+});
+const roomChunkLimiter = new RateLimiter({
+    windowMs: MESSAGE_RATE_WINDOW_MS,
+    max: parseInt(process.env.ROOM_AUDIO_CHUNK_RATE_MAX, 10) || 1200
+});
+const MESSAGE_LIMITERS = { socket: socketMessageLimiter, room: roomMessageLimiter };
+const CHUNK_LIMITERS = { socket: socketChunkLimiter, room: roomChunkLimiter };
+const MAX_TEXT_LENGTH = parseInt(process.env.MAX_TEXT_LENGTH, 10) || 1000;
+
+// Synthesized speech of translations (TTS_ENABLED=true)
+const TTS_ENABLED = process.env.TTS_ENABLED === 'true';
+const speechClips = new AudioClipStore({ maxClips: parseInt(process.env.TTS_MAX_CLIPS, 10) || undefined });
+
+// Streamed utterances being assembled, one per speaking socket. A stream ends
+// up as one clip, so it is never allowed to grow past MAX_AUDIO_BYTES.
+const audioStreams = new AudioStreamAssembler({
+    maxBytes: Math.min(parseInt(process.env.AUDIO_STREAM_MAX_BYTES, 10) || DEFAULT_MAX_STREAM_BYTES, MAX_AUDIO_BYTES),
+    partialIntervalMs: parseInt(process.env.PARTIAL_TRANSCRIPT_INTERVAL_MS, 10) || undefined,
+    maxPartials: parseInt(process.env.AUDIO_STREAM_MAX_PARTIALS, 10) || undefined
+});
+
+// Low-confidence transcripts waiting for their speaker (TRANSCRIPT_CONFIDENCE_THRESHOLD).
+// They live on the node holding the speaker's socket, which is where the reply arrives.
+const pendingTranscripts = new PendingTranscripts({
+    threshold: parseConfidenceThreshold(process.env.TRANSCRIPT_CONFIDENCE_THRESHOLD),
+    confirmUnscored: process.env.TRANSCRIPT_CONFIRM_UNSCORED === 'true',
+    timeoutMs: parseInt(process.env.TRANSCRIPT_CONFIRM_TIMEOUT_MS, 10) || undefined,
+    onExpire: pending => {
+        io.to(pending.socketId).emit('transcript_expired', { id: pending.id, room: pending.room });
+        endPendingTranscript(pending, 'expired');
+    }
+});
 
 // Language mappings
 const languageNames = {
@@ -110,77 +200,1191 @@ const languageNames = {
     'en-IN': 'English'
 };
 
+// Hotels with their languages, translation mode and branding (HOTELS_FILE to persist)
+const hotelStore = new HotelStore({
+    languages: Object.keys(languageNames),
+    filePath: process.env.HOTELS_FILE
+});
+
+// Per-hotel glossary terms and do-not-translate tokens (GLOSSARY_FILE to persist)
+const glossaryStore = new GlossaryStore({
+    languages: Object.keys(languageNames),
+    filePath: process.env.GLOSSARY_FILE
+});
+
+// Cache of MT output (TRANSLATION_CACHE_SIZE entries in memory, TRANSLATION_CACHE_DIR on disk)
+const translationCache = createTranslationCacheFromEnv();
+
+// Receptionist quick replies, written in English and pre-translated into every
+// language and translation style (PHRASEBOOK_FILE to persist)
+const phrasebook = new PhrasebookStore({
+    languages: Object.keys(languageNames),
+    sourceLanguage: DEFAULT_RECEPTIONIST_LANGUAGE,
+    translate: async (text, sourceLanguage, targetLanguage, hotelId, style) => {
+        const { translationMode, speakerGender } = style || resolveTranslationStyle(await hotelStore.settings(hotelId));
+        return translationCache.getOrTranslate({
+            hotelId,
+            text,
+            sourceLanguage,
+            targetLanguage,
+            mode: translationMode,
+            speakerGender
+        }, async () => {
+            return sarvamClient.translate(text, sourceLanguage, targetLanguage, { mode: translationMode, speakerGender });
+        });
+    },
+    filePath: process.env.PHRASEBOOK_FILE
+});
+
+// Provider checks cost API calls, so readiness reuses results for HEALTH_CHECK_TTL_MS
+const HEALTH_CHECK_TTL_MS = parseInt(process.env.HEALTH_CHECK_TTL_MS, 10) || undefined;
+const providerHealth = new CachedCheck({
+    check: () => sarvamClient.healthCheck(),
+    ttlMs: HEALTH_CHECK_TTL_MS
+});
+const providerUsage = new CachedCheck({
+    check: async () => sarvamClient.getUsageStats ? sarvamClient.getUsageStats() : null,
+    ttlMs: HEALTH_CHECK_TTL_MS
+});
+
+// Prometheus metrics (GET /metrics, bearer METRICS_TOKEN if set)
+const metrics = createMetrics({
+    roomHotels: async () => (await roomState.listRooms())
+        .filter(roomInfo => !roomInfo.revoked && !isRoomExpired(roomInfo))
+        .map(roomInfo => roomInfo.hotelId),
+    socketHotels: () => [...userRoles.values()].map(info => info.hotelId),
+    cacheStats: () => translationCache.getStats()
+});
+
+// Language for metric labels: only codes the server knows, so clients cannot
+// create new time series by sending made-up languages
+function languageLabel(language) {
+    if (isAutoLanguage(language)) {
+        return 'auto';
+    }
+    return languageNames[language] ? language : 'other';
+}
+
 // Routes
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    const circuits = sarvamClient.getCircuitState();
+    const degraded = Object.values(circuits).some(circuit => circuit.state !== 'closed');
+    res.json({
+        status: degraded ? 'degraded' : 'ok',
+        timestamp: new Date().toISOString(),
+        provider: providerName,
+        fallbackProvider: fallbackName,
+        circuits
+    });
+});
+
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN && req.get('authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    } catch (error) {
+        logger.error('Metrics error', { error });
+        res.status(500).end();
+    }
+});
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.round(process.uptime())
+    });
+});
+
+// Readiness: fails (503) when translation or storage is unavailable so a
+// load balancer can take this node out of rotation
+app.get('/health/ready', async (req, res) => {
+    try {
+        const [provider, usage, storageOk, roomStateOk] = await Promise.all([
+            providerHealth.get(),
+            providerUsage.get(),
+            messageStore.healthCheck(),
+            roomState.healthCheck()
+        ]);
+        const circuits = sarvamClient.getCircuitState();
+        const providerReachable = provider.value === true;
+        // A fallback provider keeps translation going while the primary is down
+        const translationAvailable = Boolean(fallbackName) ||
+            (providerReachable && circuits.translate.state !== 'open');
+        const ready = translationAvailable && storageOk && roomStateOk;
+        
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : 'not_ready',
+            timestamp: new Date().toISOString(),
+            provider: {
+                name: providerName,
+                fallback: fallbackName,
+                reachable: providerReachable,
+                checkedAt: new Date(provider.checkedAt).toISOString(),
+                error: provider.error
+            },
+            translation: {
+                available: translationAvailable,
+                circuits
+            },
+            storage: {
+                type: messageStore.type,
+                ok: storageOk
+            },
+            roomState: {
+                type: roomState.type,
+                ok: roomStateOk
+            },
+            quota: usage.value,
+            activeRooms: roomStateOk ? (await roomState.listRooms()).length : null,
+            participants: userRoles.size,
+            connections: io.engine.clientsCount
+        });
+    } catch (error) {
+        logger.error('Readiness check error', { error });
+        res.status(503).json({ status: 'not_ready', error: error.message });
+    }
+});
+
+// Staff login (receptionist/admin accounts from STAFF_ACCOUNTS)
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const account = authenticateStaff(username, password);
+    
+    if (!account) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    res.json({
+        token: issueStaffToken(account),
+        username: account.username,
+        role: account.role
+    });
 });
 
 // Generate room endpoint
-app.post('/api/generate-room', (req, res) => {
-    const { hotelName } = req.body;
+app.post('/api/generate-room', limitByIp(generateRoomLimiter), requireStaff('admin'), async (req, res) => {
+    const { ttlMinutes, maxGuests, singleUse } = req.body;
+    // Hotel staff create rooms for their own hotel; chain-wide admins pick one
+    const hotelId = req.staff.hotelId || req.body.hotelId || DEFAULT_HOTEL_ID;
+    const hotel = await hotelStore.get(hotelId);
+    if (!hotel || !canAccessHotel(req.staff, hotelId)) {
+        return res.status(404).json({ error: 'Hotel not found' });
+    }
+    let translationStyle;
+    try {
+        translationStyle = parseTranslationStyle(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
     const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    let roomInfo;
+    try {
+        roomInfo = createRoomRecord({
+            hotelId: hotel.id,
+            hotelName: hotel.name,
+            ttlMinutes,
+            maxGuests,
+            singleUse
+        }, ROOM_LINK_DEFAULTS);
+    } catch (error) {
+        if (error instanceof RoomLinkValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Room creation error', { error });
+        return res.status(500).json({ error: 'Failed to create room' });
+    }
+    roomInfo.translationStyle = translationStyle;
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    // Guests join with a token signed for this room only, valid until the room expires
+    const guestToken = issueGuestToken(roomId, { expiresAt: roomInfo.expiresAt });
+    const guestUrl = `${baseUrl}?room=${roomId}&token=${encodeURIComponent(guestToken)}`;
+    roomInfo.guestUrl = guestUrl;
+    
+    // Store room info
+    try {
+        await roomState.createRoom(roomId, roomInfo);
+    } catch (error) {
+        logger.error('Room creation error', { error });
+        return res.status(500).json({ error: 'Failed to create room' });
+    }
+    emitAdminEvent('room_created', roomInfo.hotelId, { room: roomId, expiresAt: roomInfo.expiresAt.toISOString() });
+    
+    res.json({
+        roomId,
+        hotelId: roomInfo.hotelId,
+        guestUrl,
+        qrData: guestUrl,
+        qrPngUrl: `/api/rooms/${roomId}/qr.png`,
+        qrSvgUrl: `/api/rooms/${roomId}/qr.svg`,
+        expiresAt: roomInfo.expiresAt.toISOString(),
+        maxGuests: roomInfo.maxGuests,
+        singleUse: roomInfo.singleUse,
+        translationStyle
+    });
+});
+
+// Image types a hotel logo may be embedded in a table card as
+const LOGO_CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+// Read a hotel's branding logo from public/ (null if unset, missing or not an image)
+async function readHotelLogo(hotelId) {
+    const hotel = await hotelStore.get(hotelId);
+    const logoUrl = hotel?.branding?.logoUrl;
+    if (!logoUrl) {
+        return null;
+    }
+    const publicDir = path.join(__dirname, 'public');
+    const file = path.resolve(publicDir, `.${logoUrl}`);
+    const contentType = LOGO_CONTENT_TYPES[path.extname(file).toLowerCase()];
+    if (!file.startsWith(publicDir + path.sep) || !contentType) {
+        return null;
+    }
+    try {
+        return { data: await fs.readFile(file), contentType };
+    } catch (error) {
+        logger.warn('Hotel logo not readable', { hotelId, logoUrl, error });
+        return null;
+    }
+}
+
+// QR code for a room's guest link: ?size=&ecl=L|M|Q|H&caption=1&logo=1 (caption and logo are SVG only)
+app.get('/api/rooms/:roomId/qr.:format(png|svg)', requireStaff('admin'), async (req, res) => {
+    const { roomId, format } = req.params;
+    
+    let options;
+    try {
+        options = parseQrOptions(req.query, format);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        const roomInfo = await findStaffRoom(req.staff, roomId);
+        if (!roomInfo || !roomInfo.guestUrl) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        if (format === 'png') {
+            res.type('image/png').send(await renderQrPng(roomInfo.guestUrl, options));
+        } else {
+            const logo = options.logo ? await readHotelLogo(roomInfo.hotelId) : null;
+            res.type('image/svg+xml').send(await renderQrSvg(roomInfo.guestUrl, options, roomInfo.hotelName, logo));
+        }
+    } catch (error) {
+        logger.error('QR generation error', { error });
+        res.status(500).json({ error: 'Failed to generate QR code' });
+    }
+});
+
+// Revoke a room link and disconnect everyone in it
+app.post('/api/rooms/:roomId/revoke', requireStaff('admin'), async (req, res) => {
+    const { roomId } = req.params;
+    
+    try {
+        if (!await findStaffRoom(req.staff, roomId)) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        await closeRoom(roomId, 'revoked');
+        res.json({ roomId, revoked: true });
+    } catch (error) {
+        logger.error('Room revoke error', { room: roomId, error });
+        res.status(500).json({ error: 'Failed to revoke room' });
+    }
+});
+
+// Admin dashboard: rooms with their participants and activity (?status=open|expired|revoked|all)
+app.get('/api/admin/rooms', requireStaff('admin'), async (req, res) => {
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !ROOM_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${[...ROOM_STATUSES, 'all'].join(', ')}` });
+    }
+    try {
+        res.json({ rooms: await listRoomsForStaff(req.staff, status) });
+    } catch (error) {
+        logger.error('Admin room list error', { error });
+        res.status(500).json({ error: 'Failed to list rooms' });
+    }
+});
+
+app.get('/api/admin/rooms/:roomId', requireStaff('admin'), async (req, res) => {
+    try {
+        const roomInfo = await findStaffRoom(req.staff, req.params.roomId);
+        if (!roomInfo) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        res.json(await describeRoom(req.params.roomId, roomInfo));
+    } catch (error) {
+        logger.error('Admin room error', { room: req.params.roomId, error });
+        res.status(500).json({ error: 'Failed to load room' });
+    }
+});
+
+// Force-close a room (same as revoking its link)
+app.post('/api/admin/rooms/:roomId/close', requireStaff('admin'), async (req, res) => {
+    const { roomId } = req.params;
+    try {
+        if (!await findStaffRoom(req.staff, roomId)) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        await closeRoom(roomId, 'revoked');
+        res.json({ roomId, closed: true });
+    } catch (error) {
+        logger.error('Admin close room error', { room: roomId, error });
+        res.status(500).json({ error: 'Failed to close room' });
+    }
+});
+
+// Set a room's formality and speaker gender ({ translationMode, speakerGender };
+// fields left out or null fall back to the hotel's settings). Participants'
+// own choices at join_room still win.
+app.put('/api/admin/rooms/:roomId/style', requireStaff('admin'), async (req, res) => {
+    const { roomId } = req.params;
+    let translationStyle;
+    try {
+        translationStyle = parseTranslationStyle(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const roomInfo = await findStaffRoom(req.staff, roomId);
+        if (!roomInfo || !await roomState.updateRoom(roomId, { translationStyle })) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        emitAdminEvent('room_style_changed', roomInfo.hotelId, { room: roomId, translationStyle });
+        res.json({ roomId, translationStyle });
+    } catch (error) {
+        logger.error('Room style update error', { room: roomId, error });
+        res.status(500).json({ error: 'Failed to update room style' });
+    }
+});
+
+// Disconnect one participant, on whichever node it is connected to
+app.post('/api/admin/rooms/:roomId/participants/:socketId/kick', requireStaff('admin'), async (req, res) => {
+    const { roomId, socketId } = req.params;
+    try {
+        const roomInfo = await findStaffRoom(req.staff, roomId);
+        if (!roomInfo || !await kickParticipant(roomId, roomInfo, socketId)) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+        res.json({ roomId, socketId, kicked: true });
+    } catch (error) {
+        logger.error('Admin kick error', { room: roomId, socketId, error });
+        res.status(500).json({ error: 'Failed to remove participant' });
+    }
+});
+
+// Dashboard summary of a room: participants from the shared store, counts from history
+async function describeRoom(roomId, roomInfo, now = new Date()) {
+    const [members, messageCount] = await Promise.all([
+        roomState.listMembers(roomId),
+        messageStore.count(roomId)
+    ]);
+    let lastMessageAt = null;
+    if (messageCount > 0) {
+        const { messages } = await messageStore.list(roomId, { offset: messageCount - 1, limit: 1 });
+        lastMessageAt = messages[0]?.timestamp || null;
+    }
+    return summarizeRoom({ roomId, ...roomInfo }, members, { messageCount, lastMessageAt }, languageNames, now);
+}
+
+async function listRoomsForStaff(staff, status) {
+    const now = new Date();
+    const rooms = (await roomState.listRooms()).filter(roomInfo =>
+        canAccessHotel(staff, roomInfo.hotelId) && (status === 'all' || roomStatus(roomInfo, now) === status));
+    return Promise.all(rooms.map(roomInfo => describeRoom(roomInfo.roomId, roomInfo, now)));
+}
+
+async function kickParticipant(room, roomInfo, socketId) {
+    const member = (await roomState.listMembers(room)).find(entry => entry.socketId === socketId);
+    if (!member) {
+        return false;
+    }
+    io.to(socketId).emit('kicked', { room, reason: 'removed_by_admin' });
+    io.in(socketId).disconnectSockets(true);
+    // Also clears entries left behind by a node that went away
+    await roomState.removeMember(room, socketId);
+    logger.info('Kicked participant', { room, socketId, role: member.role });
+    emitAdminEvent('participant_kicked', roomInfo.hotelId, { room, socketId, role: member.role });
+    return true;
+}
+
+// Paginated conversation history for a room
+app.get('/api/rooms/:roomId/messages', requireStaff(), async (req, res) => {
+    const { roomId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || HISTORY_REPLAY_LIMIT, MAX_HISTORY_PAGE_SIZE);
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    
+    try {
+        if (!await canSeeRoomHistory(req.staff, roomId)) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        const { messages, total } = await messageStore.list(roomId, { offset, limit });
+        res.json({ roomId, total, offset, limit, messages });
+    } catch (error) {
+        logger.error('Message history error', { error });
+        res.status(500).json({ error: 'Failed to load messages' });
+    }
+});
+
+// Bilingual transcript export: ?format=txt|json|srt|pdf
+app.get('/api/rooms/:roomId/transcript', requireStaff(), async (req, res) => {
+    const { roomId } = req.params;
+    const format = (req.query.format || 'txt').toLowerCase();
+    
+    if (!TRANSCRIPT_FORMATS[format]) {
+        return res.status(400).json({
+            error: `Unsupported format "${format}"`,
+            formats: Object.keys(TRANSCRIPT_FORMATS)
+        });
+    }
+    
+    try {
+        if (!await canSeeRoomHistory(req.staff, roomId)) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        const total = await messageStore.count(roomId);
+        const { messages } = await messageStore.list(roomId, { offset: 0, limit: total });
+        const transcript = buildTranscript(roomId, await roomState.getRoom(roomId), messages);
+        const rendered = await renderTranscript(format, transcript, {
+            fontPath: process.env.TRANSCRIPT_PDF_FONT
+        });
+        
+        const fileName = `transcript_${roomId.replace(/[^A-Za-z0-9_-]/g, '_')}.${rendered.extension}`;
+        res.set('Content-Type', rendered.contentType);
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(rendered.body);
+    } catch (error) {
+        logger.error('Transcript export error', { error });
+        res.status(500).json({ error: 'Failed to export transcript' });
+    }
+});
+
+// Hotels: chain-wide admins add and remove them, each hotel's admins maintain its settings
+app.get('/api/hotels', requireStaff(), async (req, res) => {
+    try {
+        const hotels = await hotelStore.list();
+        res.json({ hotels: hotels.filter(hotel => canAccessHotel(req.staff, hotel.id)) });
+    } catch (error) {
+        logger.error('Hotel error', { error });
+        res.status(500).json({ error: 'Failed to load hotels' });
+    }
+});
+
+app.post('/api/hotels', requireStaff('admin'), async (req, res) => {
+    if (req.staff.hotelId) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    try {
+        res.status(201).json(await hotelStore.create(req.body));
+    } catch (error) {
+        handleHotelError(res, error);
+    }
+});
+
+app.get('/api/hotels/:hotelId', requireStaff(), requireHotelAccess, (req, res) => {
+    res.json(req.hotel);
+});
+
+app.put('/api/hotels/:hotelId', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        res.json(await hotelStore.update(req.params.hotelId, req.body));
+    } catch (error) {
+        handleHotelError(res, error);
+    }
+});
+
+app.delete('/api/hotels/:hotelId', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    if (req.staff.hotelId) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    try {
+        await hotelStore.delete(req.params.hotelId);
+        res.status(204).end();
+    } catch (error) {
+        handleHotelError(res, error);
+    }
+});
+
+// Load :hotelId for routes under /api/hotels/:hotelId; other hotels look like they do not exist
+async function requireHotelAccess(req, res, next) {
+    let hotel;
+    try {
+        hotel = await hotelStore.get(req.params.hotelId);
+    } catch (error) {
+        logger.error('Hotel lookup error', { error });
+        return res.status(500).json({ error: 'Failed to load hotel' });
+    }
+    if (!hotel || !canAccessHotel(req.staff, hotel.id)) {
+        return res.status(404).json({ error: 'Hotel not found' });
+    }
+    req.hotel = hotel;
+    next();
+}
+
+function handleHotelError(res, error) {
+    if (error instanceof HotelValidationError) {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error('Hotel error', { error });
+    res.status(500).json({ error: 'Failed to update hotel' });
+}
+
+// A room the staff member may manage, or null (other hotels' rooms look like they do not exist)
+async function findStaffRoom(staff, roomId) {
+    const roomInfo = await roomState.getRoom(roomId);
+    return roomInfo && canAccessHotel(staff, roomInfo.hotelId) ? roomInfo : null;
+}
+
+// History outlives the room record; once it is gone only chain-wide staff can read it
+async function canSeeRoomHistory(staff, roomId) {
+    const roomInfo = await roomState.getRoom(roomId);
+    return roomInfo ? canAccessHotel(staff, roomInfo.hotelId) : !staff.hotelId;
+}
+
+// Glossary management
+app.get('/api/hotels/:hotelId/glossary', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        res.json(await glossaryStore.get(req.params.hotelId));
+    } catch (error) {
+        logger.error('Glossary error', { error });
+        res.status(500).json({ error: 'Failed to load glossary' });
+    }
+});
+
+app.post('/api/hotels/:hotelId/glossary/terms', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        res.status(201).json(await glossaryStore.addTerm(req.params.hotelId, req.body));
+    } catch (error) {
+        handleGlossaryError(res, error);
+    }
+});
+
+app.put('/api/hotels/:hotelId/glossary/terms/:termId', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        const term = await glossaryStore.updateTerm(req.params.hotelId, req.params.termId, req.body);
+        if (!term) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+        res.json(term);
+    } catch (error) {
+        handleGlossaryError(res, error);
+    }
+});
+
+app.delete('/api/hotels/:hotelId/glossary/terms/:termId', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        const deleted = await glossaryStore.deleteTerm(req.params.hotelId, req.params.termId);
+        res.status(deleted ? 204 : 404).end();
+    } catch (error) {
+        handleGlossaryError(res, error);
+    }
+});
+
+app.post('/api/hotels/:hotelId/glossary/protected', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        res.status(201).json(await glossaryStore.addProtectedTerm(req.params.hotelId, req.body));
+    } catch (error) {
+        handleGlossaryError(res, error);
+    }
+});
+
+app.delete('/api/hotels/:hotelId/glossary/protected/:termId', requireStaff('admin'), requireHotelAccess, async (req, res) => {
+    try {
+        const deleted = await glossaryStore.deleteProtectedTerm(req.params.hotelId, req.params.termId);
+        res.status(deleted ? 204 : 404).end();
+    } catch (error) {
+        handleGlossaryError(res, error);
+    }
+});
+
+function handleGlossaryError(res, error) {
+    if (error instanceof GlossaryValidationError) {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error('Glossary error', { error });
+    res.status(500).json({ error: 'Failed to update glossary' });
+}
+
+// Translation cache stats and flushing
+app.get('/api/translation-cache', requireStaff('admin'), (req, res) => {
+    res.json(translationCache.getStats());
+});
+
+app.delete('/api/translation-cache', requireStaff('admin'), async (req, res) => {
+    const { sourceLanguage, targetLanguage } = req.query;
+    // Hotel admins can only flush their own hotel's entries
+    const hotelId = req.staff.hotelId || req.query.hotelId;
+    try {
+        const removed = await translationCache.flush({ hotelId, sourceLanguage, targetLanguage });
+        res.json({ removed, stats: translationCache.getStats() });
+    } catch (error) {
+        logger.error('Translation cache flush error', { error });
+        res.status(500).json({ error: 'Failed to flush translation cache' });
+    }
+});
+
+// Phrasebook: any staff member can read it, admins maintain it. Phrases are
+// shared by all hotels (added by chain-wide admins) or belong to one hotel.
+// ?hotelId= narrows the list to what a hotel can use.
+app.get('/api/phrasebook', requireStaff(), async (req, res) => {
+    const hotelId = req.staff.hotelId || req.query.hotelId;
+    try {
+        res.json({ phrases: await phrasebook.list(hotelId) });
+    } catch (error) {
+        logger.error('Phrasebook error', { error });
+        res.status(500).json({ error: 'Failed to load quick replies' });
+    }
+});
+
+app.post('/api/phrasebook', requireStaff('admin'), async (req, res) => {
+    const hotelId = req.staff.hotelId || req.body.hotelId || null;
+    if (hotelId && !await hotelStore.get(hotelId)) {
+        return res.status(404).json({ error: 'Hotel not found' });
+    }
+    try {
+        res.status(201).json(await phrasebook.add(req.body, hotelId));
+    } catch (error) {
+        handlePhrasebookError(res, error);
+    }
+});
+
+app.put('/api/phrasebook/:phraseId', requireStaff('admin'), async (req, res) => {
+    try {
+        if (!await findStaffPhrase(req.staff, req.params.phraseId)) {
+            return res.status(404).json({ error: 'Phrase not found' });
+        }
+        res.json(await phrasebook.update(req.params.phraseId, req.body));
+    } catch (error) {
+        handlePhrasebookError(res, error);
+    }
+});
+
+app.delete('/api/phrasebook/:phraseId', requireStaff('admin'), async (req, res) => {
+    try {
+        if (!await findStaffPhrase(req.staff, req.params.phraseId)) {
+            return res.status(404).json({ error: 'Phrase not found' });
+        }
+        await phrasebook.delete(req.params.phraseId);
+        res.status(204).end();
+    } catch (error) {
+        handlePhrasebookError(res, error);
+    }
+});
+
+// A phrase the staff member may change: hotel admins only their hotel's own phrases
+async function findStaffPhrase(staff, phraseId) {
+    const phrase = await phrasebook.get(phraseId);
+    if (!phrase || (staff.hotelId && phrase.hotelId !== staff.hotelId)) {
+        return null;
+    }
+    return phrase;
+}
+
+function handlePhrasebookError(res, error) {
+    if (error instanceof PhrasebookValidationError) {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error('Phrasebook error', { error });
+    res.status(502).json({ error: 'Failed to pre-translate phrase' });
+}
+
+// Synthesized speech for a translation
+app.get('/api/audio/:audioId', (req, res) => {
+    const clip = speechClips.get(req.params.audioId);
+    if (!clip) {
+        return res.status(404).json({ error: 'Audio not found' });
+    }
+    res.type(clip.contentType).send(clip.audio);
+});
+
+// Add speech of each translation for its listeners, when TTS is enabled
+async function attachSpeech(messageData) {
+    if (!TTS_ENABLED) {
+        return;
+    }
+    await Promise.all(messageData.translations.map(async translation => {
+        // Untranslated text would be read out in the wrong language
+        if (translation.unavailable) {
+            return;
+        }
+        try {
+            const speech = await sarvamClient.synthesize(translation.text, translation.language);
+            if (speech.unavailable) {
+                return;
+            }
+            translation.audioUrl = `/api/audio/${speechClips.put(speech.audio, speech.contentType)}`;
+        } catch (error) {
+            // Text still goes out without audio
+            logger.error('Speech synthesis error', { error });
+        }
+    }));
+}
+
+// Language a guest listens in (auto mode falls back until something is detected)
+function guestLanguage(userInfo) {
+    return isAutoLanguage(userInfo.language) ? DEFAULT_GUEST_LANGUAGE : userInfo.language;
+}
+
+// Language a participant's message is in. The payload may only name the
+// language they joined with (auto for guests in auto mode, or what was detected
+// for them since); null for anything else.
+function messageLanguage(userInfo, requested) {
+    const joined = userInfo.autoDetect ? AUTO_LANGUAGE : userInfo.language;
+    if (!requested || requested === joined) {
+        return joined;
+    }
+    return requested === userInfo.language ? requested : null;
+}
+
+// Distinct languages of the guests currently in a room, on any node
+async function guestLanguages(room) {
+    const languages = new Set();
+    (await roomState.listMembers(room)).forEach(member => {
+        if (member.role === 'guest') {
+            languages.add(guestLanguage(member));
+        }
+    });
+    return languages.size > 0 ? [...languages] : [DEFAULT_GUEST_LANGUAGE];
+}
+
+// Socket.IO room a participant receives messages through: one for the desk
+// and one per guest language, so each is sent its own version of a message
+function deliveryChannel(room, userInfo) {
+    return userInfo.role === 'guest' ? `${room}#guest:${guestLanguage(userInfo)}` : `${room}#staff`;
+}
+
+// The version of a message a given participant should see: guests get only
+// the translation into their own language, receptionists get all of them
+function messageForRecipient(messageData, userInfo) {
+    if (!userInfo || userInfo.role !== 'guest') {
+        return messageData;
+    }
+    return messageForGuest(messageData, guestLanguage(userInfo));
+}
+
+// A message as sent to guests listening in the given language
+function messageForGuest(messageData, language) {
+    if (!messageData.translations) {
+        return messageData;
+    }
+    const { translations, ...message } = messageData;
+    return {
+        ...message,
+        translated: translations.find(translation => translation.language === language) || message.translated
+    };
+}
+
+// Translate an utterance for its listeners and publish it. Guest messages go
+// to the desk in the hotel's receptionist language; receptionist messages are
+// translated once per distinct guest language in the room. The hotel's
+// glossary is applied, and the speaker's formality and gender (their own,
+// else the room's, else the hotel's) are recorded on the message.
+async function translateAndPublish(userInfo, original, details) {
+    const { room, role } = userInfo;
+    const [hotel, roomInfo] = await Promise.all([
+        hotelStore.settings(userInfo.hotelId),
+        roomState.getRoom(room)
+    ]);
+    const style = resolveTranslationStyle(hotel, roomInfo?.translationStyle, userInfo.translationStyle);
+    const targetLanguages = role === 'guest' ? [hotel.receptionistLanguage] : await guestLanguages(room);
+    
+    const translations = await Promise.all(targetLanguages.map(async targetLanguage => {
+        try {
+            return await translateInto(hotel, style, original, targetLanguage);
+        } catch (error) {
+            // Provider down (and no fallback): listeners still see what was said
+            logger.error('Translation error', { room, sourceLanguage: original.language, targetLanguage, error });
+            metrics.pipelineErrors.inc({ hotel: hotel.id, stage: 'translating' });
+            return {
+                text: original.text,
+                language: targetLanguage,
+                languageName: languageNames[targetLanguage] || targetLanguage,
+                unavailable: true
+            };
+        }
+    }));
+    
+    const messageData = buildMessage(userInfo, original, translations, { translationStyle: style, ...details });
+    logger.info('Message translated', {
+        room,
+        messageId: messageData.id,
+        speaker: role,
+        sourceLanguage: original.language,
+        targetLanguages,
+        unavailable: translations.filter(translation => translation.unavailable).length
+    });
+    logger.debug('Translation result', { room, messageId: messageData.id, translations });
+    await publishMessage(userInfo, messageData);
+    return messageData;
+}
+
+// Translate one utterance into one language, with the hotel's glossary applied around MT
+async function translateInto(hotel, style, original, targetLanguage) {
+    const { id: hotelId } = hotel;
+    const { translationMode, speakerGender } = style;
+    // Glossary terms and protected tokens (prices, room numbers, names) bypass MT
+    const prepared = await glossaryStore.prepare(hotelId, original.text, original.language, targetLanguage);
+    // Cached on the placeholder text, so entries are reused whatever the protected values are
+    const translatedText = prepared.needsTranslation ?
+        await translationCache.getOrTranslate({
+            hotelId,
+            text: prepared.text,
+            sourceLanguage: original.language,
+            targetLanguage,
+            mode: translationMode,
+            speakerGender
+        }, async () => {
+            const endTimer = metrics.mtDuration.startTimer({
+                hotel: hotelId,
+                source_language: languageLabel(original.language),
+                target_language: languageLabel(targetLanguage)
+            });
+            const translation = await sarvamClient.translate(prepared.text, original.language, targetLanguage, {
+                mode: translationMode,
+                speakerGender
+            });
+            endTimer();
+            // Mock output from the fallback is no translation: listeners get the original instead
+            if (translation.unavailable) {
+                throw new Error('Translation provider unavailable');
+            }
+            return translation;
+        }) :
+        prepared.text;
+    return {
+        text: prepared.restore(translatedText),
+        language: targetLanguage,
+        languageName: languageNames[targetLanguage] || targetLanguage
+    };
+}
+
+// Assemble the stored/broadcast form of a message
+function buildMessage(userInfo, original, translations, details) {
+    const { room, role } = userInfo;
+    return {
+        id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        timestamp: new Date().toISOString(),
+        room,
+        speaker: role,
+        original: {
+            text: original.text,
+            language: original.language,
+            languageName: languageNames[original.language] || original.language
+        },
+        translated: translations[0],
+        translations,
+        ...details
+    };
+}
+
+// Save a message from a participant and deliver it to everyone in their room
+async function publishMessage(userInfo, messageData) {
+    const { room, hotelId } = userInfo;
+    await attachSpeech(messageData);
+    metrics.messagesTotal.inc({
+        hotel: hotelId,
+        speaker: messageData.speaker,
+        language: languageLabel(messageData.original.language)
+    });
+    io.to(`${room}#staff`).emit('translation', messageData);
+    (await guestLanguages(room)).forEach(language => {
+        io.to(`${room}#guest:${language}`).emit('translation', messageForGuest(messageData, language));
+    });
+    try {
+        await messageStore.append(room, messageData);
+    } catch (error) {
+        logger.error('Failed to store message', { room, messageId: messageData.id, error });
+    }
+}
+
+// Send the most recent messages of a room to a socket that just joined
+async function replayHistory(socket, room) {
+    try {
+        const total = await messageStore.count(room);
+        const offset = Math.max(0, total - HISTORY_REPLAY_LIMIT);
+        const { messages } = await messageStore.list(room, { offset, limit: HISTORY_REPLAY_LIMIT });
+        const userInfo = userRoles.get(socket.id);
+        socket.emit('message_history', {
+            room,
+            messages: messages.map(message => messageForRecipient(message, userInfo)),
+            total
+        });
+    } catch (error) {
+        logger.error('Failed to replay history', { room, socketId: socket.id, error });
+    }
+}
+
+// Close a room: tell its members why, then disconnect their sockets.
+// The record is kept (flagged closed) until it expires so old links get a clear error.
+// Only the node that marks the room closed announces it; the adapter reaches the others.
+async function closeRoom(room, reason) {
+    if (!await roomState.closeRoom(room, reason)) {
+        return;
+    }
+    io.to(room).emit('room_closed', { room, reason });
+    io.in(room).disconnectSockets(true);
+    logger.info('Closed room', { room, reason });
+    const roomInfo = await roomState.getRoom(room);
+    emitAdminEvent('room_closed', roomInfo?.hotelId, { room, reason });
+}
+
+// A held transcript will not be published: clear the room's pending state
+function endPendingTranscript(pending, outcome) {
+    io.to(pending.room).emit('processing_status', { status: 'cancelled', speaker: pending.speaker, pendingId: pending.id });
+    metrics.transcriptConfirmations.inc({ hotel: pending.hotelId, outcome });
+    logger.info('Transcript not confirmed', { room: pending.room, pendingId: pending.id, outcome });
+}
+
+// Tell dashboards about a room lifecycle event (never message content)
+function emitAdminEvent(type, hotelId, details) {
+    io.to(adminFeedRooms(hotelId)).emit('admin_feed', {
+        type,
+        hotelId,
+        timestamp: new Date().toISOString(),
+        ...details
+    });
+}
+
+// Close expired rooms and forget them once nobody is left. Every node sweeps;
+// closing is claimed in the store, so a room is only closed once.
+async function sweepExpiredRooms() {
+    const now = new Date();
+    try {
+        for (const roomInfo of await roomState.listRooms()) {
+            if (!isRoomExpired(roomInfo, now)) {
+                continue;
+            }
+            const { roomId } = roomInfo;
+            if (!roomInfo.closedReason && (await roomState.listMembers(roomId)).length > 0) {
+                await closeRoom(roomId, 'expired');
+            } else {
+                await roomState.deleteRoom(roomId);
+                logger.info('Cleaned up expired room', { room: roomId });
+                emitAdminEvent('room_deleted', roomInfo.hotelId, { room: roomId });
+            }
+        }
+        const pruned = await messageStore.prune(now);
+        if (pruned > 0) {
+            logger.info('Pruned conversation history', { rooms: pruned });
+        }
+    } catch (error) {
+        logger.error('Room sweep error', { error });
+    }
+}
+
+setInterval(sweepExpiredRooms, ROOM_SWEEP_INTERVAL_MS).unref();
+
+// Number of guests currently in a room, not counting the given socket
+async function countGuests(room, exceptSocketId) {
+    const members = await roomState.listMembers(room);
+    return members.filter(member => member.role === 'guest' && member.socketId !== exceptSocketId).length;
+}
+
+// Tell a room who is in it
+async function sendRoomStats(room, roomInfo) {
+    io.to(room).emit('room_stats', {
+        userCount: (await roomState.listMembers(room)).length,
+        hotelName: roomInfo.hotelName
+    });
+}
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+    const log = logger.child({ socketId: socket.id });
+    log.info('User connected');
     
-    // Store room info
-    activeRooms.set(roomId, {
-        hotelName,
-        createdAt: new Date(),
-        users: new Set()
+    // Handlers read fields off their payload; a missing or non-object one is treated as empty
+    socket.use((packet, next) => {
+        if (typeof packet[1] !== 'object' || packet[1] === null) {
+            packet[1] = {};
+        }
+        next();
     });
     
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const guestUrl = `${baseUrl}?room=${roomId}`;
+    // Count an event against the socket's and the room's limits; tells the
+    // sender when to retry if either is exhausted, unless quiet
+    function allowEvent(event, userInfo, limiters, quiet = false) {
+        const bySocket = limiters.socket.consume(socket.id);
+        const byRoom = bySocket.allowed ? limiters.room.consume(userInfo.room) : null;
+        if (bySocket.allowed && byRoom.allowed) {
+            return true;
+        }
+        if (quiet) {
+            return false;
+        }
+        
+        const scope = bySocket.allowed ? 'room' : 'socket';
+        const retryAfterMs = (bySocket.allowed ? byRoom : bySocket).retryAfterMs;
+        log.warn('Message rate limited', { room: userInfo.room, event, scope });
+        socket.emit('rate_limited', {
+            code: 'RATE_LIMITED',
+            event,
+            scope,
+            retryAfterMs,
+            message: 'Too many messages, please wait before sending more'
+        });
+        return false;
+    }
     
-    res.json({
-        roomId,
-        guestUrl,
-        qrData: guestUrl
+    // Messages (and the partial transcriptions of a stream) share one budget
+    function allowMessage(event, userInfo, quiet = false) {
+        return allowEvent(event, userInfo, MESSAGE_LIMITERS, quiet);
+    }
+    
+    // The language a message claims to be in, or null (and an error to the
+    // sender) when it is not the sender's
+    function checkMessageLanguage(userInfo, data) {
+        const language = messageLanguage(userInfo, data.language);
+        if (!language) {
+            socket.emit('error', {
+                code: 'INVALID_LANGUAGE',
+                message: 'Messages must be in the language you joined with'
+            });
+        }
+        return language;
+    }
+    
+    socket.on('join_room', async (data) => {
+        try {
+            await joinRoom(data);
+        } catch (error) {
+            log.error('Join room error', { room: data.room, error });
+            socket.emit('error', { message: 'Failed to join room', error: error.message });
+        }
     });
-});
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
     
-    socket.on('join_room', (data) => {
-        const { room, role, language = 'hi-IN' } = data;
+    async function joinRoom(data) {
+        const { room } = data;
         
-        // Leave any previous room
-        const prevRoom = userRoles.get(socket.id)?.room;
-        if (prevRoom) {
-            socket.leave(prevRoom);
-            if (activeRooms.has(prevRoom)) {
-                activeRooms.get(prevRoom).users.delete(socket.id);
-            }
+        // Rooms only exist once generated; unknown, expired and revoked rooms are rejected
+        const roomInfo = await roomState.getRoom(room);
+        const closed = checkRoomOpen(roomInfo);
+        if (closed) {
+            socket.emit('error', closed);
+            return;
         }
         
-        // Join new room
-        socket.join(room);
-        userRoles.set(socket.id, { room, role, language });
+        // The role comes from the signed token, never from the payload
+        const identity = resolveJoinIdentity(data.token || socket.handshake.auth?.token, room);
+        if (!identity) {
+            socket.emit('error', { code: 'INVALID_TOKEN', message: 'Invalid or missing join token' });
+            return;
+        }
+        const { role, account } = identity;
+        // Staff of another hotel are told the room does not exist
+        if (role === 'receptionist' && !canAccessHotel(identity, roomInfo.hotelId)) {
+            socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+            return;
+        }
         
-        // Update room info
-        if (!activeRooms.has(room)) {
-            activeRooms.set(room, {
-                hotelName: 'Unknown Hotel',
-                createdAt: new Date(),
-                users: new Set()
+        // Receptionists speak the hotel's language; guests pick one it offers (or auto-detect)
+        const hotel = await hotelStore.settings(roomInfo.hotelId);
+        const language = role === 'receptionist' ? hotel.receptionistLanguage : data.language || DEFAULT_GUEST_LANGUAGE;
+        if (role === 'guest' && !isAutoLanguage(language) && !hotel.guestLanguages.includes(language)) {
+            socket.emit('error', {
+                code: 'LANGUAGE_NOT_SUPPORTED',
+                message: 'This hotel does not offer translation into that language',
+                languages: hotel.guestLanguages
             });
+            return;
+        }
+        
+        // How this participant wants to be rendered ({ translationMode, speakerGender })
+        let translationStyle;
+        try {
+            translationStyle = parseTranslationStyle(data);
+        } catch (error) {
+            socket.emit('error', { code: 'INVALID_STYLE', message: error.message });
+            return;
+        }
+        
+        let sessionToken = null;
+        if (role === 'guest') {
+            const rejected = checkGuestAdmission(
+                roomInfo,
+                identity,
+                await countGuests(room, socket.id),
+                await roomState.isTokenRedeemed(room, identity.tokenId)
+            );
+            if (rejected) {
+                socket.emit('error', rejected);
+                return;
+            }
+            // Redeem the link and give the guest a token to reconnect with. Two
+            // guests racing on different nodes: only the first redemption counts.
+            const redeemed = await roomState.redeemToken(room, identity.tokenId);
+            if (!redeemed && roomInfo.singleUse && !identity.session) {
+                socket.emit('error', { code: 'LINK_USED', message: 'This room link has already been used' });
+                return;
+            }
+            sessionToken = issueGuestToken(room, { expiresAt: roomInfo.expiresAt, session: true });
+        }
+        
+        // Leave any previous room
+        const prevInfo = userRoles.get(socket.id);
+        if (prevInfo) {
+            socket.leave(prevInfo.room);
+            socket.leave(deliveryChannel(prevInfo.room, prevInfo));
+            await roomState.removeMember(prevInfo.room, socket.id);
+            emitAdminEvent('participant_left', prevInfo.hotelId, { room: prevInfo.room, socketId: socket.id, role: prevInfo.role });
         }
         
-        activeRooms.get(room).users.add(socket.id);
+        // Join new room
+        const userInfo = {
+            room,
+            hotelId: roomInfo.hotelId,
+            role,
+            language,
+            account,
+            autoDetect: isAutoLanguage(language),
+            translationStyle
+        };
+        socket.join([room, deliveryChannel(room, userInfo)]);
+        userRoles.set(socket.id, userInfo);
+        await roomState.addMember(room, socket.id, {
+            role,
+            language,
+            account,
+            autoDetect: userInfo.autoDetect,
+            translationStyle,
+            joinedAt: new Date().toISOString()
+        });
         
-        console.log(`User ${socket.id} joined room ${room} as ${role}`);
+        log.info('User joined room', { room, role });
+        emitAdminEvent('participant_joined', roomInfo.hotelId, { room, socketId: socket.id, role, language });
         
         // Notify user they joined
         socket.emit('room_joined', { 
             room, 
             role,
-            language: languageNames[language] || language
+            language: languageNames[language] || language,
+            languageCode: language,
+            translationStyle: resolveTranslationStyle(hotel, roomInfo.translationStyle, translationStyle),
+            hotel: publicHotelProfile(hotel),
+            expiresAt: roomInfo.expiresAt.toISOString(),
+            sessionToken
         });
         
+        // Catch up on the conversation so far
+        await replayHistory(socket, room);
+        
         // Notify others in room
         socket.to(room).emit('user_joined', { 
             role,
@@ -189,147 +1393,433 @@ io.on('connection', (socket) => {
         });
         
         // Send room stats
-        const roomInfo = activeRooms.get(room);
-        io.to(room).emit('room_stats', {
-            userCount: roomInfo.users.size,
-            hotelName: roomInfo.hotelName
+        await sendRoomStats(room, roomInfo);
+    }
+    
+    // Guests in auto mode may speak any language; remember what was detected
+    // and tell the room (the receptionist needs to know what to expect)
+    async function recordDetectedLanguage(userInfo, language) {
+        if (userInfo.language === language) {
+            return;
+        }
+        // Guests keep listening in a language the hotel offers
+        const { guestLanguages: offered } = await hotelStore.settings(userInfo.hotelId);
+        if (!offered.includes(language)) {
+            return;
+        }
+        socket.leave(deliveryChannel(userInfo.room, userInfo));
+        userInfo.language = language;
+        socket.join(deliveryChannel(userInfo.room, userInfo));
+        await roomState.updateMember(userInfo.room, socket.id, { language });
+        io.to(userInfo.room).emit('language_detected', {
+            userId: socket.id,
+            role: userInfo.role,
+            language,
+            languageName: languageNames[language] || language
         });
-    });
+        emitAdminEvent('language_detected', userInfo.hotelId, { room: userInfo.room, socketId: socket.id, language });
+    }
     
-    socket.on('audio_message', async (data) => {
+    // Change how the sender's own utterances are translated from now on
+    // ({ translationMode, speakerGender }; null resets a field to the room's setting)
+    socket.on('set_translation_style', async (data = {}) => {
+        const userInfo = userRoles.get(socket.id);
+        if (!userInfo) {
+            socket.emit('error', { message: 'Join a room first' });
+            return;
+        }
+        let changes;
         try {
-            console.log('Processing audio message:', {
-                room: data.room,
-                role: data.role,
-                language: data.language
+            changes = parseTranslationStyle(data);
+        } catch (error) {
+            socket.emit('error', { code: 'INVALID_STYLE', message: error.message });
+            return;
+        }
+        try {
+            const translationStyle = { ...userInfo.translationStyle, ...changes };
+            ['translationMode', 'speakerGender'].forEach(field => {
+                if (data[field] === null) {
+                    delete translationStyle[field];
+                }
             });
+            userInfo.translationStyle = translationStyle;
+            await roomState.updateMember(userInfo.room, socket.id, { translationStyle });
             
-            const userInfo = userRoles.get(socket.id);
+            const [hotel, roomInfo] = await Promise.all([
+                hotelStore.settings(userInfo.hotelId),
+                roomState.getRoom(userInfo.room)
+            ]);
+            socket.emit('translation_style', {
+                room: userInfo.room,
+                translationStyle: resolveTranslationStyle(hotel, roomInfo?.translationStyle, translationStyle)
+            });
+        } catch (error) {
+            log.error('Translation style error', { room: userInfo.room, error });
+            socket.emit('error', { message: 'Failed to update translation style', error: error.message });
+        }
+    });
+    
+    // Language to transcribe with: STT language identification in auto mode
+    function sttLanguage(language) {
+        return isAutoLanguage(language) ? STT_AUTO_LANGUAGE_CODE : language;
+    }
+    
+    // Transcribe, translate and publish one complete utterance
+    async function processAudio(data, audioBuffer, extra = {}) {
+        const endLatency = metrics.messageLatency.startTimer();
+        const userInfo = userRoles.get(socket.id);
+        let stage = 'transcribing';
+        try {
             if (!userInfo || userInfo.room !== data.room) {
                 socket.emit('error', { message: 'Not authorized for this room' });
                 return;
             }
+            const language = checkMessageLanguage(userInfo, data);
+            if (!language) {
+                return;
+            }
+            
+            // A streamed utterance was counted by its first chunk
+            if (!extra.streamId && !allowMessage('audio_message', userInfo)) {
+                return;
+            }
+            
+            // Speaker role is whatever the server recorded at join time
+            const { role } = userInfo;
+            
+            log.info('Processing audio message', {
+                room: data.room,
+                role,
+                language,
+                bytes: audioBuffer.length
+            });
             
             // Emit processing status
             io.to(data.room).emit('processing_status', {
                 status: 'transcribing',
-                speaker: data.role
+                speaker: role
             });
             
-            // Step 1: Transcribe audio (mock for now)
-            const audioBuffer = Buffer.from(data.audioData || [], 'base64');
-            const transcription = await sarvamClient.transcribe(audioBuffer, data.language);
-            
-            console.log('Transcription result:', transcription.transcript);
+            // Step 1: Check the clip and convert it to what the STT API expects
+            const clip = await normalizeAudio(audioBuffer, AUDIO_LIMITS);
             
-            // Emit transcription status
-            io.to(data.room).emit('processing_status', {
-                status: 'translating',
-                speaker: data.role
+            // Step 2: Transcribe audio
+            const endStt = metrics.sttDuration.startTimer({
+                hotel: userInfo.hotelId,
+                language: languageLabel(language)
             });
+            const transcription = await sarvamClient.transcribe(clip.audio, sttLanguage(language), {
+                filename: clip.filename,
+                contentType: clip.contentType
+            });
+            endStt();
+            if (transcription.unavailable) {
+                throw new Error('Speech recognition provider unavailable');
+            }
             
-            // Step 2: Translate text
-            const sourceLanguage = data.language;
-            const targetLanguage = data.role === 'guest' ? 'en-IN' : data.guestLanguage || 'hi-IN';
-            
-            const translation = await sarvamClient.translate(
-                transcription.transcript,
-                sourceLanguage,
-                targetLanguage
-            );
+            log.debug('Transcription result', { room: data.room, transcript: transcription.transcript });
+            stage = 'translating';
             
-            console.log('Translation result:', translation.text);
+            // Step 3: Work out the spoken language
+            let sourceLanguage = language;
+            if (isAutoLanguage(sourceLanguage)) {
+                const identified = transcription.language_code;
+                sourceLanguage = languageNames[identified] ? identified : guestLanguage(userInfo);
+                await recordDetectedLanguage(userInfo, sourceLanguage);
+            }
             
-            // Step 3: Send results to all users in room
-            const messageData = {
-                id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-                timestamp: new Date().toISOString(),
-                room: data.room,
-                speaker: data.role,
-                original: {
-                    text: transcription.transcript,
-                    language: sourceLanguage,
-                    languageName: languageNames[sourceLanguage] || sourceLanguage
-                },
-                translated: {
-                    text: translation.text,
-                    language: targetLanguage,
-                    languageName: languageNames[targetLanguage] || targetLanguage
+            const original = { text: transcription.transcript, language: sourceLanguage };
+            const details = {
+                confidence: transcription.confidence ?? null,
+                speakerId: transcription.diarized_transcript?.entries?.[0]?.speaker_id || socket.id,
+                audio: {
+                    format: clip.format.container,
+                    codec: clip.format.codec,
+                    durationMs: clip.durationMs
                 },
-                confidence: transcription.confidence || 0.95,
-                speakerId: transcription.diarized_transcript?.entries?.[0]?.speaker_id || socket.id
+                ...extra
             };
             
-            io.to(data.room).emit('translation', messageData);
+            // Step 4: A transcript the recognizer is unsure of goes back to its speaker first
+            if (pendingTranscripts.needsConfirmation(details.confidence)) {
+                holdTranscript(userInfo, original, details);
+                return;
+            }
+            
+            // Emit transcription status
+            io.to(data.room).emit('processing_status', {
+                status: 'translating',
+                speaker: role
+            });
+            
+            // Step 5: Translate for the listeners and send results to the room
+            await translateAndPublish(userInfo, original, details);
+            
+            endLatency({ hotel: userInfo.hotelId, speaker: role, input: 'audio' });
             io.to(data.room).emit('processing_status', { status: 'complete' });
             
         } catch (error) {
-            console.error('Audio processing error:', error);
+            if (error instanceof AudioValidationError) {
+                socket.emit('error', { code: error.code, message: error.message });
+                io.to(data.room).emit('processing_status', { status: 'error' });
+                return;
+            }
+            log.error('Audio processing error', { room: data.room, stage, error });
+            metrics.pipelineErrors.inc({ hotel: userInfo.hotelId, stage });
             socket.emit('error', { 
                 message: 'Failed to process audio message',
                 error: error.message 
             });
             io.to(data.room).emit('processing_status', { status: 'error' });
         }
+    }
+    
+    // Ask the speaker to confirm or correct a transcript; the rest of the room
+    // only learns that a message is pending, not what it says
+    function holdTranscript(userInfo, original, details) {
+        const pending = pendingTranscripts.hold(socket.id, {
+            room: userInfo.room,
+            hotelId: userInfo.hotelId,
+            speaker: userInfo.role,
+            original,
+            details
+        });
+        log.info('Transcript held for confirmation', { room: userInfo.room, pendingId: pending.id, confidence: details.confidence });
+        socket.emit('confirm_transcript', {
+            id: pending.id,
+            room: userInfo.room,
+            text: original.text,
+            language: original.language,
+            languageName: languageNames[original.language] || original.language,
+            confidence: details.confidence,
+            expiresAt: pending.expiresAt.toISOString()
+        });
+        socket.to(userInfo.room).emit('processing_status', {
+            status: 'awaiting_confirmation',
+            speaker: userInfo.role,
+            pendingId: pending.id
+        });
+    }
+    
+    // The speaker's answer to confirm_transcript: { id, text } where text is
+    // the (possibly corrected) transcript, or { id, cancel: true } to drop it
+    socket.on('transcript_confirmed', async (data = {}) => {
+        const userInfo = userRoles.get(socket.id);
+        let pending = pendingTranscripts.get(socket.id, data.id);
+        if (!pending) {
+            socket.emit('error', { code: 'TRANSCRIPT_NOT_FOUND', message: 'This transcript has expired or was already answered' });
+            return;
+        }
+        if (data.cancel || !userInfo || userInfo.room !== pending.room) {
+            pendingTranscripts.take(socket.id, pending.id);
+            endPendingTranscript(pending, 'cancelled');
+            return;
+        }
+        
+        // Invalid corrections leave the transcript pending so the speaker can answer again
+        const text = typeof data.text === 'string' ? data.text.trim() : pending.original.text;
+        if (!text) {
+            socket.emit('error', { code: 'INVALID_TEXT', message: 'Message text is empty' });
+            return;
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            socket.emit('error', {
+                code: 'TEXT_TOO_LONG',
+                message: `Message is too long (limit ${MAX_TEXT_LENGTH} characters)`
+            });
+            return;
+        }
+        // A second reply racing this one finds nothing to take
+        pending = pendingTranscripts.take(socket.id, pending.id);
+        if (!pending) {
+            return;
+        }
+        
+        const edited = text !== pending.original.text;
+        metrics.transcriptConfirmations.inc({ hotel: pending.hotelId, outcome: edited ? 'edited' : 'confirmed' });
+        try {
+            io.to(pending.room).emit('processing_status', {
+                status: 'translating',
+                speaker: pending.speaker,
+                pendingId: pending.id
+            });
+            await translateAndPublish(userInfo, { ...pending.original, text }, {
+                ...pending.details,
+                // What the recognizer heard, kept when the speaker corrected it
+                transcript: { confirmed: true, edited, ...(edited && { recognizedText: pending.original.text }) }
+            });
+            io.to(pending.room).emit('processing_status', { status: 'complete' });
+        } catch (error) {
+            log.error('Confirmed transcript error', { room: pending.room, pendingId: pending.id, error });
+            metrics.pipelineErrors.inc({ hotel: pending.hotelId, stage: 'translating' });
+            socket.emit('error', {
+                message: 'Failed to process audio message',
+                error: error.message
+            });
+            io.to(pending.room).emit('processing_status', { status: 'error' });
+        }
     });
     
-    socket.on('text_message', async (data) => {
+    socket.on('audio_message', (data) => {
+        const audioData = typeof data.audioData === 'string' ? data.audioData : '';
+        // Reject oversized clips before decoding them
+        if (base64Size(audioData) > MAX_AUDIO_BYTES) {
+            socket.emit('error', {
+                code: 'INVALID_AUDIO',
+                message: `Audio clip is too large (limit ${Math.round(MAX_AUDIO_BYTES / 1024)} KB)`
+            });
+            return;
+        }
+        return processAudio(data, Buffer.from(audioData, 'base64'));
+    });
+    
+    // Streaming mode: chunks arrive while the speaker talks, interim
+    // transcripts go to the room (only to the speaker when unsure enough to
+    // need confirming), and audio_end produces the final translation
+    socket.on('audio_chunk', async (data) => {
+        const userInfo = userRoles.get(socket.id);
+        if (!userInfo || userInfo.room !== data.room) {
+            socket.emit('error', { message: 'Not authorized for this room' });
+            return;
+        }
+        const language = checkMessageLanguage(userInfo, data);
+        if (!language) {
+            return;
+        }
+        
+        // Every chunk counts against the chunk limits, and each new stream is
+        // one message, so switching stream ids does not buy more STT calls
+        if (!allowEvent('audio_chunk', userInfo, CHUNK_LIMITERS)) {
+            audioStreams.discard(socket.id);
+            return;
+        }
+        if (!audioStreams.isActive(socket.id, data.streamId) && !allowMessage('audio_chunk', userInfo)) {
+            return;
+        }
+        
+        let stream;
         try {
-            console.log('Processing text message:', {
-                room: data.room,
-                role: data.role,
-                text: data.text
+            stream = audioStreams.append(socket.id, data.streamId, data.chunk, data.seq);
+        } catch (error) {
+            socket.emit('error', { message: error.message });
+            return;
+        }
+        
+        if (!audioStreams.takePartialSlot(stream)) {
+            return;
+        }
+        // Partials cost an STT call each: skipped when the message budget is spent
+        if (!allowMessage('partial_transcript', userInfo, true)) {
+            audioStreams.releasePartialSlot(stream);
+            return;
+        }
+        
+        try {
+            const clip = await normalizeAudio(audioStreams.assemble(stream), AUDIO_LIMITS);
+            const partial = await sarvamClient.transcribe(clip.audio, sttLanguage(language), {
+                filename: clip.filename,
+                contentType: clip.contentType
             });
             
-            const userInfo = userRoles.get(socket.id);
+            // Skip stale partials once the utterance has ended, and mock ones from
+            // the fallback. A partial the recognizer is unsure of would be held
+            // for confirmation, so only the speaker sees it.
+            if (!partial.unavailable && audioStreams.isActive(socket.id, stream.id)) {
+                const listeners = pendingTranscripts.needsConfirmation(partial.confidence ?? null) ? socket : io.to(data.room);
+                listeners.emit('partial_transcript', {
+                    room: data.room,
+                    streamId: stream.id,
+                    speaker: userInfo.role,
+                    text: partial.transcript,
+                    language: isAutoLanguage(language) ? partial.language_code : language
+                });
+            }
+        } catch (error) {
+            // Bad audio is reported once, when the stream ends
+            if (!(error instanceof AudioValidationError)) {
+                log.error('Partial transcription error', { room: data.room, streamId: data.streamId, error });
+            }
+        } finally {
+            audioStreams.releasePartialSlot(stream);
+        }
+    });
+    
+    socket.on('audio_end', (data = {}) => {
+        const userInfo = userRoles.get(socket.id);
+        if (!userInfo || userInfo.room !== data.room) {
+            socket.emit('error', { message: 'Not authorized for this room' });
+            return;
+        }
+        const audioBuffer = audioStreams.finish(socket.id, data.streamId);
+        if (!audioBuffer) {
+            socket.emit('error', { message: 'Unknown audio stream' });
+            return;
+        }
+        return processAudio(data, audioBuffer, { streamId: data.streamId });
+    });
+    
+    socket.on('text_message', async (data) => {
+        const endLatency = metrics.messageLatency.startTimer();
+        const userInfo = userRoles.get(socket.id);
+        try {
             if (!userInfo || userInfo.room !== data.room) {
                 socket.emit('error', { message: 'Not authorized for this room' });
                 return;
             }
             
+            if (typeof data.text !== 'string' || !data.text.trim()) {
+                socket.emit('error', { code: 'INVALID_TEXT', message: 'Message text is empty' });
+                return;
+            }
+            if (data.text.length > MAX_TEXT_LENGTH) {
+                socket.emit('error', {
+                    code: 'TEXT_TOO_LONG',
+                    message: `Message is too long (limit ${MAX_TEXT_LENGTH} characters)`
+                });
+                return;
+            }
+            const language = checkMessageLanguage(userInfo, data);
+            if (!language || !allowMessage('text_message', userInfo)) {
+                return;
+            }
+            
+            // Speaker role is whatever the server recorded at join time
+            const { role } = userInfo;
+            
+            log.info('Processing text message', {
+                room: data.room,
+                role,
+                text: data.text
+            });
+            
             // Emit processing status
             io.to(data.room).emit('processing_status', {
                 status: 'translating',
-                speaker: data.role
+                speaker: role
             });
             
-            // Translate text
-            const sourceLanguage = data.language || (data.role === 'guest' ? userInfo.language : 'en-IN');
-            const targetLanguage = data.role === 'guest' ? 'en-IN' : userInfo.language || 'hi-IN';
-            
-            const translation = await sarvamClient.translate(
-                data.text,
-                sourceLanguage,
-                targetLanguage
-            );
-            
-            console.log('Text translation result:', translation.text);
+            // Work out the typed language
+            let sourceLanguage = language;
+            if (isAutoLanguage(sourceLanguage)) {
+                const detected = detectTextLanguage(data.text);
+                sourceLanguage = detected ? detected.language : guestLanguage(userInfo);
+                await recordDetectedLanguage(userInfo, sourceLanguage);
+            }
             
-            // Send results to all users in room
-            const messageData = {
-                id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-                timestamp: new Date().toISOString(),
-                room: data.room,
-                speaker: data.role,
-                original: {
-                    text: data.text,
-                    language: sourceLanguage,
-                    languageName: languageNames[sourceLanguage] || sourceLanguage
-                },
-                translated: {
-                    text: translation.text,
-                    language: targetLanguage,
-                    languageName: languageNames[targetLanguage] || targetLanguage
-                },
+            await translateAndPublish(userInfo, {
+                text: data.text,
+                language: sourceLanguage
+            }, {
                 confidence: 1.0, // Text input has perfect confidence
                 speakerId: socket.id
-            };
+            });
             
-            io.to(data.room).emit('translation', messageData);
+            endLatency({ hotel: userInfo.hotelId, speaker: role, input: 'text' });
             io.to(data.room).emit('processing_status', { status: 'complete' });
             
         } catch (error) {
-            console.error('Text processing error:', error);
+            log.error('Text processing error', { room: data.room, error });
+            metrics.pipelineErrors.inc({ hotel: userInfo.hotelId, stage: 'translating' });
             socket.emit('error', { 
                 message: 'Failed to process text message',
                 error: error.message 
@@ -337,57 +1827,199 @@ io.on('connection', (socket) => {
             io.to(data.room).emit('processing_status', { status: 'error' });
         }
     });
+
+    // Handle phrasebook replies: pre-translated, so no MT call is made
+    socket.on('quick_reply', async (data) => {
+        try {
+            const userInfo = userRoles.get(socket.id);
+            if (!userInfo || userInfo.room !== data.room || userInfo.role !== 'receptionist') {
+                socket.emit('error', { message: 'Not authorized for this room' });
+                return;
+            }
+            if (!allowMessage('quick_reply', userInfo)) {
+                return;
+            }
+
+            const phrase = await phrasebook.get(data.phraseId);
+            if (!phrase || !isAvailableTo(phrase, userInfo.hotelId)) {
+                socket.emit('error', { code: 'PHRASE_NOT_FOUND', message: 'Quick reply not found' });
+                return;
+            }
+
+            // Phrases are stored translated in every style, so the room's or
+            // receptionist's formality and gender need no MT call here
+            phrasebook.render(phrase, data.values);
+            const [hotel, roomInfo, languages] = await Promise.all([
+                hotelStore.settings(userInfo.hotelId),
+                roomState.getRoom(data.room),
+                guestLanguages(data.room)
+            ]);
+            const style = resolveTranslationStyle(hotel, roomInfo?.translationStyle, userInfo.translationStyle);
+            const filled = phrasebook.render(phrase, data.values, await phrasebook.translationsFor(phrase, style, languages));
+            if (filled.text.length > MAX_TEXT_LENGTH) {
+                socket.emit('error', {
+                    code: 'TEXT_TOO_LONG',
+                    message: `Message is too long (limit ${MAX_TEXT_LENGTH} characters)`
+                });
+                return;
+            }
+            const translations = languages.map(language => ({
+                text: filled.translations[language] || filled.text,
+                language,
+                languageName: languageNames[language] || language
+            }));
+
+            const messageData = buildMessage(userInfo, {
+                text: filled.text,
+                language: phrasebook.sourceLanguage
+            }, translations, {
+                confidence: 1.0,
+                speakerId: socket.id,
+                phraseId: phrase.id,
+                translationStyle: style
+            });
+            await publishMessage(userInfo, messageData);
+
+        } catch (error) {
+            if (error instanceof PhrasebookValidationError) {
+                socket.emit('error', { code: 'INVALID_PHRASE_VALUES', message: error.message });
+                return;
+            }
+            log.error('Quick reply error', { room: data.room, phraseId: data.phraseId, error });
+            socket.emit('error', {
+                message: 'Failed to send quick reply',
+                error: error.message
+            });
+        }
+    });
+
+    // Admin dashboard over the socket: subscribe to admin_feed (and get the
+    // current rooms), then list, close and kick like the REST endpoints
+    function adminFor(event) {
+        if (!socket.data.admin) {
+            socket.emit('error', { code: 'NOT_SUBSCRIBED', message: `Send admin_subscribe before ${event}` });
+        }
+        return socket.data.admin;
+    }
+    
+    async function sendAdminRooms(status = 'open') {
+        if (status !== 'all' && !ROOM_STATUSES.includes(status)) {
+            socket.emit('error', { code: 'INVALID_STATUS', message: `status must be one of ${[...ROOM_STATUSES, 'all'].join(', ')}` });
+            return;
+        }
+        socket.emit('admin_rooms', { status, rooms: await listRoomsForStaff(socket.data.admin, status) });
+    }
+    
+    socket.on('admin_subscribe', async (data = {}) => {
+        const staff = resolveStaff(data.token || socket.handshake.auth?.token);
+        if (!staff || staff.role !== 'admin') {
+            socket.emit('error', { code: 'INVALID_TOKEN', message: 'An admin token is required' });
+            return;
+        }
+        socket.data.admin = staff;
+        socket.join(staff.hotelId ? `${ADMIN_FEED_ROOM}:${staff.hotelId}` : ADMIN_FEED_ROOM);
+        log.info('Admin subscribed to feed', { account: staff.username });
+        try {
+            await sendAdminRooms(data.status);
+        } catch (error) {
+            log.error('Admin room list error', { error });
+            socket.emit('error', { message: 'Failed to list rooms', error: error.message });
+        }
+    });
     
-    socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
+    socket.on('admin_list_rooms', async (data = {}) => {
+        if (!adminFor('admin_list_rooms')) {
+            return;
+        }
+        try {
+            await sendAdminRooms(data.status);
+        } catch (error) {
+            log.error('Admin room list error', { error });
+            socket.emit('error', { message: 'Failed to list rooms', error: error.message });
+        }
+    });
+    
+    socket.on('admin_close_room', async (data = {}) => {
+        const admin = adminFor('admin_close_room');
+        if (!admin) {
+            return;
+        }
+        try {
+            if (!await findStaffRoom(admin, data.room)) {
+                socket.emit('error', { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+                return;
+            }
+            await closeRoom(data.room, 'revoked');
+        } catch (error) {
+            log.error('Admin close room error', { room: data.room, error });
+            socket.emit('error', { message: 'Failed to close room', error: error.message });
+        }
+    });
+    
+    socket.on('admin_kick', async (data = {}) => {
+        const admin = adminFor('admin_kick');
+        if (!admin) {
+            return;
+        }
+        try {
+            const roomInfo = await findStaffRoom(admin, data.room);
+            if (!roomInfo || !await kickParticipant(data.room, roomInfo, data.socketId)) {
+                socket.emit('error', { code: 'PARTICIPANT_NOT_FOUND', message: 'Participant not found' });
+            }
+        } catch (error) {
+            log.error('Admin kick error', { room: data.room, socketId: data.socketId, error });
+            socket.emit('error', { message: 'Failed to remove participant', error: error.message });
+        }
+    });
+    
+    socket.on('disconnect', async () => {
+        log.info('User disconnected');
+        audioStreams.discard(socket.id);
+        pendingTranscripts.discard(socket.id).forEach(pending => endPendingTranscript(pending, 'cancelled'));
         
         const userInfo = userRoles.get(socket.id);
-        if (userInfo) {
-            const { room, role } = userInfo;
-            
+        if (!userInfo) {
+            return;
+        }
+        const { room, role } = userInfo;
+        userRoles.delete(socket.id);
+        
+        emitAdminEvent('participant_left', userInfo.hotelId, { room, socketId: socket.id, role });
+        try {
             // Remove user from room
-            if (activeRooms.has(room)) {
-                activeRooms.get(room).users.delete(socket.id);
-                
+            await roomState.removeMember(room, socket.id);
+            const roomInfo = await roomState.getRoom(room);
+            if (roomInfo) {
                 // Notify others
                 socket.to(room).emit('user_left', { role, userId: socket.id });
                 
                 // Send updated room stats
-                const roomInfo = activeRooms.get(room);
-                io.to(room).emit('room_stats', {
-                    userCount: roomInfo.users.size,
-                    hotelName: roomInfo.hotelName
-                });
-                
-                // Clean up empty rooms after 5 minutes
-                if (roomInfo.users.size === 0) {
-                    setTimeout(() => {
-                        if (activeRooms.has(room) && activeRooms.get(room).users.size === 0) {
-                            activeRooms.delete(room);
-                            console.log(`Cleaned up empty room: ${room}`);
-                        }
-                    }, 5 * 60 * 1000);
-                }
+                await sendRoomStats(room, roomInfo);
             }
-            
-            userRoles.delete(socket.id);
+        } catch (error) {
+            log.error('Failed to remove user from room', { room, error });
         }
     });
 });
 
 // Start server
 const PORT = process.env.PORT || 3000;
+roomState.start().catch(error => logger.error('Room state heartbeat failed', { error }));
 server.listen(PORT, () => {
-    console.log(`🏨 Hotel Translation Server running on port ${PORT}`);
-    console.log(`📱 Open http://localhost:${PORT} to access the app`);
-    console.log(`🔧 Mock Sarvam API enabled (set SARVAM_KEY for production)`);
+    logger.info('Hotel Translation Server running', {
+        port: PORT,
+        url: `http://localhost:${PORT}`,
+        provider: providerName,
+        fallbackProvider: fallbackName
+    });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        console.log('Server closed');
+    logger.info('SIGTERM received, shutting down gracefully');
+    server.close(async () => {
+        logger.info('Server closed');
+        await roomState.stop().catch(error => logger.error('Room state shutdown failed', { error }));
         process.exit(0);
     });
 });
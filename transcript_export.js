@@ -0,0 +1,174 @@
+// transcript_export.js
+// Bilingual transcript export (plain text, JSON, SRT, PDF) from stored messages
+const PDFDocument = require('pdfkit');
+
+const SPEAKER_LABELS = {
+    guest: 'Guest',
+    receptionist: 'Receptionist'
+};
+
+const FORMATS = {
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// SRT cues last until the next message, clamped to a readable range
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 5000;
+
+/**
+ * Build a transcript from stored messageData objects
+ * @param {string} roomId - Room id
+ * @param {Object} roomInfo - Room info ({ hotelName, createdAt }) if still known
+ * @param {Array} messages - messageData objects, oldest first
+ * @returns {Object} Transcript
+ */
+function buildTranscript(roomId, roomInfo, messages) {
+    return {
+        roomId,
+        hotelName: roomInfo?.hotelName || null,
+        generatedAt: new Date().toISOString(),
+        entries: messages.map(message => ({
+            id: message.id,
+            timestamp: message.timestamp,
+            speaker: message.speaker,
+            speakerLabel: SPEAKER_LABELS[message.speaker] || message.speaker,
+            original: message.original,
+            translated: message.translated,
+            // Receptionist messages carry one translation per guest language
+            translations: message.translations || [message.translated],
+            confidence: message.confidence
+        }))
+    };
+}
+
+function toText(transcript) {
+    const lines = [
+        `Transcript for room ${transcript.roomId}`,
+        transcript.hotelName ? `Hotel: ${transcript.hotelName}` : null,
+        `Generated: ${transcript.generatedAt}`,
+        ''
+    ].filter(line => line !== null);
+
+    transcript.entries.forEach(entry => {
+        lines.push(`[${entry.timestamp}] ${entry.speakerLabel}`);
+        lines.push(`  ${entry.original.languageName}: ${entry.original.text}`);
+        entry.translations.forEach(translation => {
+            lines.push(`  ${translation.languageName}: ${translation.text}`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+function toJson(transcript) {
+    return JSON.stringify(transcript, null, 2);
+}
+
+function formatSrtTime(ms) {
+    const pad = (value, size) => String(value).padStart(size, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)},${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(transcript) {
+    const { entries } = transcript;
+    if (entries.length === 0) {
+        return '';
+    }
+
+    const start = new Date(entries[0].timestamp).getTime();
+
+    return entries.map((entry, index) => {
+        const from = new Date(entry.timestamp).getTime() - start;
+        const next = entries[index + 1];
+        const gap = next ? new Date(next.timestamp).getTime() - start - from : MAX_CUE_MS;
+        const to = from + Math.min(Math.max(gap, MIN_CUE_MS), MAX_CUE_MS);
+
+        return [
+            index + 1,
+            `${formatSrtTime(from)} --> ${formatSrtTime(to)}`,
+            `${entry.speakerLabel}: ${entry.original.text}`,
+            ...entry.translations.map(translation => `(${translation.languageName}) ${translation.text}`),
+            ''
+        ].join('\n');
+    }).join('\n');
+}
+
+/**
+ * Render the transcript as a PDF.
+ * The built-in PDF fonts only cover Latin text, so set TRANSCRIPT_PDF_FONT to a
+ * TTF with Indic coverage (e.g. Noto Sans) for Hindi, Tamil and other scripts.
+ * @param {Object} transcript - Transcript from buildTranscript
+ * @param {Object} options - { fontPath }
+ * @returns {Promise<Buffer>} PDF document
+ */
+function toPdf(transcript, options = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        if (options.fontPath) {
+            doc.font(options.fontPath);
+        }
+
+        doc.fontSize(16).text(`Transcript for room ${transcript.roomId}`);
+        if (transcript.hotelName) {
+            doc.fontSize(12).text(`Hotel: ${transcript.hotelName}`);
+        }
+        doc.fontSize(10).fillColor('#666666').text(`Generated: ${transcript.generatedAt}`);
+        doc.moveDown();
+
+        transcript.entries.forEach(entry => {
+            doc.fillColor('#000000').fontSize(10).text(`[${entry.timestamp}] ${entry.speakerLabel}`);
+            doc.fontSize(12).text(`${entry.original.languageName}: ${entry.original.text}`);
+            entry.translations.forEach(translation => {
+                doc.fillColor('#444444').text(`${translation.languageName}: ${translation.text}`);
+            });
+            doc.moveDown(0.5);
+        });
+
+        doc.end();
+    });
+}
+
+/**
+ * Render a transcript in the requested format
+ * @param {string} format - txt | json | srt | pdf
+ * @param {Object} transcript - Transcript from buildTranscript
+ * @param {Object} options - { fontPath } for PDF output
+ * @returns {Promise<{contentType: string, extension: string, body: (string|Buffer)}>} Rendered transcript
+ */
+async function renderTranscript(format, transcript, options = {}) {
+    const info = FORMATS[format];
+    if (!info) {
+        throw new Error(`Unsupported transcript format "${format}" (available: ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const renderers = {
+        txt: () => toText(transcript),
+        json: () => toJson(transcript),
+        srt: () => toSrt(transcript),
+        pdf: () => toPdf(transcript, options)
+    };
+
+    return {
+        ...info,
+        body: await renderers[format]()
+    };
+}
+
+module.exports = {
+    FORMATS,
+    buildTranscript,
+    renderTranscript
+};
@@ -0,0 +1,289 @@
+// translation_cache.js
+// Cache of MT output in front of the provider: in-memory LRU plus an optional on-disk tier
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+// Entries hold guest utterances, so they expire in both tiers and the disk tier is bounded too
+const DEFAULT_MAX_DISK_ENTRIES = 50000;
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function readDirOrEmpty(dir) {
+    try {
+        return await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+// Path segments come from hotel ids and language codes
+function safeSegment(value) {
+    return String(value || 'default').replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+class TranslationCache {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxEntries] - Entries kept in memory before the least recently used is evicted
+     * @param {string} [options.dir] - Directory for the on-disk tier (memory only if omitted)
+     * @param {number} [options.maxDiskEntries] - Files kept on disk before the oldest is deleted
+     * @param {number} [options.ttlMs] - Age after which an entry is dropped from memory and disk
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.dir = options.dir || null;
+        this.maxDiskEntries = options.maxDiskEntries || DEFAULT_MAX_DISK_ENTRIES;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.entries = new Map(); // key -> { entry: { hotelId, sourceLanguage, targetLanguage, text }, storedAt }
+        this.diskIndex = null; // Promise of Map file -> storedAt (ms), oldest first
+        this.stats = { memoryHits: 0, diskHits: 0, misses: 0, evictions: 0, expirations: 0, diskEvictions: 0 };
+    }
+
+    key({ hotelId, text, sourceLanguage, targetLanguage, mode, speakerGender }) {
+        return JSON.stringify([hotelId || null, sourceLanguage, targetLanguage, mode || null, speakerGender || null, text]);
+    }
+
+    // Disk entries are grouped by hotel and language pair so both can be flushed by deleting a directory
+    diskPath(params, key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(
+            this.dir,
+            safeSegment(params.hotelId),
+            `${safeSegment(params.sourceLanguage)}__${safeSegment(params.targetLanguage)}`,
+            `${hash}.json`
+        );
+    }
+
+    // Files on disk, oldest first; the directory is scanned once, then kept up to date
+    diskFiles() {
+        if (!this.diskIndex) {
+            this.diskIndex = this.scanDisk();
+        }
+        return this.diskIndex;
+    }
+
+    async scanDisk() {
+        const files = [];
+        for (const hotel of await readDirOrEmpty(this.dir)) {
+            for (const pair of await readDirOrEmpty(path.join(this.dir, hotel))) {
+                const pairDir = path.join(this.dir, hotel, pair);
+                for (const name of await readDirOrEmpty(pairDir)) {
+                    const file = path.join(pairDir, name);
+                    try {
+                        files.push([file, (await fs.stat(file)).mtimeMs]);
+                    } catch (error) {
+                        // Removed meanwhile
+                    }
+                }
+            }
+        }
+        const index = new Map(files.sort((a, b) => a[1] - b[1]));
+        await this.trimDisk(index);
+        return index;
+    }
+
+    // Delete the oldest files while there are too many or they are past the TTL
+    async trimDisk(index, now = Date.now()) {
+        for (const [file, storedAt] of index) {
+            if (index.size <= this.maxDiskEntries && now - storedAt <= this.ttlMs) {
+                break;
+            }
+            index.delete(file);
+            this.stats.diskEvictions++;
+            await fs.rm(file, { force: true });
+        }
+    }
+
+    remember(key, entry, storedAt) {
+        // Map keeps insertion order, so re-inserting marks the entry as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, { entry, storedAt });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Look up a cached translation
+     * @param {Object} params - { hotelId, text, sourceLanguage, targetLanguage, mode, speakerGender }
+     * @returns {Promise<string|null>} Translated text, or null on a miss
+     */
+    async get(params) {
+        const key = this.key(params);
+        const cached = this.entries.get(key);
+        if (cached && Date.now() - cached.storedAt > this.ttlMs) {
+            this.entries.delete(key);
+            this.stats.expirations++;
+        } else if (cached) {
+            this.remember(key, cached.entry, cached.storedAt);
+            this.stats.memoryHits++;
+            return cached.entry.text;
+        }
+
+        if (this.dir) {
+            const file = this.diskPath(params, key);
+            try {
+                const index = await this.diskFiles();
+                await this.trimDisk(index);
+                if (index.has(file)) {
+                    const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+                    this.remember(key, entry, index.get(file));
+                    this.stats.diskHits++;
+                    return entry.text;
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error('Translation cache read failed', { error });
+                }
+            }
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * Store a translation
+     * @param {Object} params - { hotelId, text, sourceLanguage, targetLanguage, mode, speakerGender }
+     * @param {string} translatedText - Provider output
+     */
+    async set(params, translatedText) {
+        const key = this.key(params);
+        const entry = {
+            hotelId: params.hotelId || null,
+            sourceLanguage: params.sourceLanguage,
+            targetLanguage: params.targetLanguage,
+            text: translatedText
+        };
+        const storedAt = Date.now();
+        this.remember(key, entry, storedAt);
+
+        if (this.dir) {
+            const file = this.diskPath(params, key);
+            try {
+                const index = await this.diskFiles();
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(file, JSON.stringify(entry), 'utf8');
+                index.delete(file);
+                index.set(file, storedAt);
+                await this.trimDisk(index);
+            } catch (error) {
+                logger.error('Translation cache write failed', { error });
+            }
+        }
+    }
+
+    /**
+     * Return a cached translation or produce and cache one. Results the
+     * fallback provider produced are returned but not cached, so the primary
+     * provider is asked again once it recovers.
+     * @param {Object} params - { hotelId, text, sourceLanguage, targetLanguage, mode, speakerGender }
+     * @param {Function} translate - async () => provider result { text, fallback }, called on a miss
+     * @returns {Promise<string>} Translated text
+     */
+    async getOrTranslate(params, translate) {
+        const cached = await this.get(params);
+        if (cached !== null) {
+            return cached;
+        }
+        const translation = await translate();
+        if (!translation.fallback) {
+            await this.set(params, translation.text);
+        }
+        return translation.text;
+    }
+
+    /**
+     * Drop cached entries for a hotel and/or language pair (everything if no filter is given)
+     * @param {Object} filter - { hotelId, sourceLanguage, targetLanguage }
+     * @returns {Promise<number>} Number of in-memory entries removed
+     */
+    async flush(filter = {}) {
+        const matches = entry =>
+            (!filter.hotelId || entry.hotelId === filter.hotelId) &&
+            (!filter.sourceLanguage || entry.sourceLanguage === filter.sourceLanguage) &&
+            (!filter.targetLanguage || entry.targetLanguage === filter.targetLanguage);
+
+        let removed = 0;
+        this.entries.forEach(({ entry }, key) => {
+            if (matches(entry)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+
+        if (this.dir) {
+            await this.flushDisk(filter);
+        }
+        return removed;
+    }
+
+    async flushDisk(filter) {
+        const index = await this.diskFiles();
+        const removeDir = async dir => {
+            await fs.rm(dir, { recursive: true, force: true });
+            [...index.keys()].filter(file => file.startsWith(dir + path.sep)).forEach(file => index.delete(file));
+        };
+
+        const hotels = filter.hotelId ? [safeSegment(filter.hotelId)] : await readDirOrEmpty(this.dir);
+        for (const hotel of hotels) {
+            const hotelDir = path.join(this.dir, hotel);
+            if (!filter.sourceLanguage && !filter.targetLanguage) {
+                await removeDir(hotelDir);
+                continue;
+            }
+            for (const pair of await readDirOrEmpty(hotelDir)) {
+                const [source, target] = pair.split('__');
+                if ((!filter.sourceLanguage || source === safeSegment(filter.sourceLanguage)) &&
+                    (!filter.targetLanguage || target === safeSegment(filter.targetLanguage))) {
+                    await removeDir(path.join(hotelDir, pair));
+                }
+            }
+        }
+    }
+
+    /**
+     * Hit/miss counters
+     * @returns {Object} { memoryHits, diskHits, misses, evictions, expirations, diskEvictions, hitRate, entries, maxEntries, persistent }
+     */
+    getStats() {
+        const hits = this.stats.memoryHits + this.stats.diskHits;
+        const lookups = hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? hits / lookups : 0,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            persistent: Boolean(this.dir)
+        };
+    }
+}
+
+/**
+ * Create a translation cache from environment variables
+ * @param {Object} env - Environment variables (TRANSLATION_CACHE_SIZE, TRANSLATION_CACHE_DIR,
+ *   TRANSLATION_CACHE_DISK_SIZE, TRANSLATION_CACHE_TTL_MS)
+ * @returns {TranslationCache} Cache
+ */
+function createTranslationCacheFromEnv(env = process.env) {
+    return new TranslationCache({
+        maxEntries: parseInt(env.TRANSLATION_CACHE_SIZE, 10) || undefined,
+        dir: env.TRANSLATION_CACHE_DIR,
+        maxDiskEntries: parseInt(env.TRANSLATION_CACHE_DISK_SIZE, 10) || undefined,
+        ttlMs: parseInt(env.TRANSLATION_CACHE_TTL_MS, 10) || undefined
+    });
+}
+
+module.exports = {
+    DEFAULT_MAX_ENTRIES,
+    DEFAULT_MAX_DISK_ENTRIES,
+    DEFAULT_TTL_MS,
+    TranslationCache,
+    createTranslationCacheFromEnv
+};
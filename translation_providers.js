@@ -0,0 +1,188 @@
+// translation_providers.js
+// Registry of speech/translation backends selected from configuration
+const SarvamClient = require('./sarvam_integration');
+const MockSarvamClient = require('./mock_sarvam_client');
+const { CircuitBreaker } = require('./circuit_breaker');
+const { logger } = require('./logger');
+
+// Every provider must implement these methods
+const PROVIDER_METHODS = ['transcribe', 'translate', 'synthesize', 'getSupportedLanguages', 'healthCheck'];
+
+// Calls that go through a circuit breaker and can fall back to a secondary provider
+const GUARDED_METHODS = ['transcribe', 'translate', 'synthesize'];
+
+const providers = new Map(); // name -> factory(config)
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Provider name used in TRANSLATION_PROVIDER
+ * @param {Function} factory - (config) => provider instance
+ */
+function registerProvider(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Provider factory for "${name}" must be a function`);
+    }
+    providers.set(name, factory);
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+    return Array.from(providers.keys());
+}
+
+/**
+ * Check that a provider implements the shared interface
+ * @param {string} name - Provider name (for error messages)
+ * @param {Object} provider - Provider instance
+ * @returns {Object} The same provider
+ */
+function validateProvider(name, provider) {
+    const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Provider "${name}" is missing methods: ${missing.join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Registered provider name
+ * @param {Object} config - Provider configuration (apiKey, baseUrl, ...)
+ * @returns {Object} Provider instance
+ */
+function createProvider(name, config = {}) {
+    const factory = providers.get(name);
+    if (!factory) {
+        throw new Error(`Unknown translation provider "${name}" (available: ${listProviders().join(', ')})`);
+    }
+    return validateProvider(name, factory(config));
+}
+
+/**
+ * Wrap a provider so transcribe/translate/synthesize each run behind their own
+ * circuit breaker. Failed or short-circuited calls go to the fallback provider
+ * if there is one; otherwise the error reaches the caller.
+ * @param {string} name - Provider name (for breaker names and logs)
+ * @param {Object} primary - Provider instance
+ * @param {Object} options - { fallback, placeholderFallback, failureThreshold, resetTimeoutMs };
+ *   placeholderFallback means the fallback only produces stand-in output (the mock), so its
+ *   results are also marked unavailable
+ * @returns {Object} Provider with the same interface plus getCircuitState()
+ */
+function createResilientProvider(name, primary, options = {}) {
+    const { fallback = null, placeholderFallback = false, failureThreshold, resetTimeoutMs } = options;
+    const breakers = {};
+
+    const resilient = {
+        getSupportedLanguages: (...args) => primary.getSupportedLanguages(...args),
+        healthCheck: (...args) => primary.healthCheck(...args),
+        getCircuitState: () => Object.fromEntries(
+            Object.entries(breakers).map(([method, breaker]) => [method, breaker.getState()])
+        )
+    };
+    if (typeof primary.getUsageStats === 'function') {
+        resilient.getUsageStats = (...args) => primary.getUsageStats(...args);
+    }
+
+    GUARDED_METHODS.forEach(method => {
+        breakers[method] = new CircuitBreaker({ name: `${name}.${method}`, failureThreshold, resetTimeoutMs });
+        resilient[method] = async (...args) => {
+            try {
+                return await breakers[method].exec(() => primary[method](...args));
+            } catch (error) {
+                if (!fallback) {
+                    throw error;
+                }
+                logger.warn('Provider call failed; using fallback provider', { provider: name, method, error });
+                const result = await fallback[method](...args);
+                // Marked so callers can tell degraded output apart (e.g. to not cache it,
+                // or to not pass off mock output as a real transcript or translation)
+                if (!result || typeof result !== 'object' || Buffer.isBuffer(result)) {
+                    return result;
+                }
+                return placeholderFallback ? { ...result, fallback: true, unavailable: true } : { ...result, fallback: true };
+            }
+        };
+    });
+
+    return resilient;
+}
+
+/**
+ * Parse SARVAM_RETRIES, which may legitimately be 0
+ * @param {string} value - Raw environment value
+ * @returns {number|undefined} Retry count, or undefined for the client default
+ */
+function parseRetries(value) {
+    const retries = Number(value);
+    return value !== undefined && value.trim() !== '' && Number.isInteger(retries) && retries >= 0 ?
+        retries : undefined;
+}
+
+/**
+ * Pick the provider name from the environment.
+ * An explicit TRANSLATION_PROVIDER wins; otherwise Sarvam is used when SARVAM_KEY is set.
+ * @param {Object} env - Environment variables
+ * @returns {string} Provider name
+ */
+function resolveProviderName(env = process.env) {
+    if (env.TRANSLATION_PROVIDER) {
+        return env.TRANSLATION_PROVIDER;
+    }
+    return env.SARVAM_KEY ? 'sarvam' : 'mock';
+}
+
+/**
+ * Create the provider configured in the environment, wrapped with circuit
+ * breakers and the optional TRANSLATION_FALLBACK_PROVIDER
+ * @param {Object} env - Environment variables
+ * @returns {{name: string, fallbackName: (string|null), provider: Object}} Provider names and instance
+ */
+function createProviderFromEnv(env = process.env) {
+    const name = resolveProviderName(env);
+    const config = {
+        apiKey: env.SARVAM_KEY,
+        baseUrl: env.SARVAM_BASE_URL,
+        timeoutMs: parseInt(env.SARVAM_TIMEOUT_MS, 10) || undefined,
+        retries: parseRetries(env.SARVAM_RETRIES),
+        retryBaseDelayMs: parseInt(env.SARVAM_RETRY_BASE_MS, 10) || undefined,
+        mockConfidence: env.MOCK_STT_CONFIDENCE !== undefined ? parseFloat(env.MOCK_STT_CONFIDENCE) : undefined
+    };
+    const fallbackName = env.TRANSLATION_FALLBACK_PROVIDER || null;
+
+    const provider = createResilientProvider(name, createProvider(name, config), {
+        fallback: fallbackName ? createProvider(fallbackName, config) : null,
+        placeholderFallback: fallbackName === 'mock',
+        failureThreshold: parseInt(env.CIRCUIT_FAILURE_THRESHOLD, 10) || undefined,
+        resetTimeoutMs: parseInt(env.CIRCUIT_RESET_MS, 10) || undefined
+    });
+    return { name, fallbackName, provider };
+}
+
+// Built-in providers
+registerProvider('mock', config => new MockSarvamClient(config.apiKey, { confidence: config.mockConfidence }));
+registerProvider('sarvam', config => {
+    if (!config.apiKey) {
+        throw new Error('SARVAM_KEY is required for the sarvam provider');
+    }
+    return new SarvamClient(config.apiKey, {
+        baseUrl: config.baseUrl,
+        timeoutMs: config.timeoutMs,
+        retries: config.retries,
+        retryBaseDelayMs: config.retryBaseDelayMs
+    });
+});
+
+module.exports = {
+    PROVIDER_METHODS,
+    registerProvider,
+    listProviders,
+    validateProvider,
+    createProvider,
+    createResilientProvider,
+    resolveProviderName,
+    createProviderFromEnv
+};
@@ -0,0 +1,70 @@
+// translation_style.js
+// Translation formality and speaker gender, set per hotel, room or participant
+const TRANSLATION_MODES = ['formal', 'informal'];
+const SPEAKER_GENDERS = ['male', 'female'];
+const DEFAULT_TRANSLATION_MODE = 'formal';
+// What the provider assumed before the speaker's gender could be configured
+const DEFAULT_SPEAKER_GENDER = 'male';
+
+/**
+ * Error for an invalid style. Messages are safe to return to the client.
+ */
+class TranslationStyleValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranslationStyleValidationError';
+    }
+}
+
+/**
+ * Validate a style from a request. Fields left out (or null) are unset, so
+ * the room's or hotel's setting applies.
+ * @param {Object} input - { translationMode, speakerGender }
+ * @returns {Object} { translationMode, speakerGender } with unset fields omitted
+ * @throws {TranslationStyleValidationError} On unknown values
+ */
+function parseTranslationStyle(input = {}) {
+    const style = {};
+    const { translationMode, speakerGender } = input || {};
+
+    if (translationMode !== undefined && translationMode !== null) {
+        if (!TRANSLATION_MODES.includes(translationMode)) {
+            throw new TranslationStyleValidationError(`translationMode must be one of ${TRANSLATION_MODES.join(', ')}`);
+        }
+        style.translationMode = translationMode;
+    }
+    if (speakerGender !== undefined && speakerGender !== null) {
+        const gender = String(speakerGender).toLowerCase();
+        if (!SPEAKER_GENDERS.includes(gender)) {
+            throw new TranslationStyleValidationError(`speakerGender must be one of ${SPEAKER_GENDERS.join(', ')}`);
+        }
+        style.speakerGender = gender;
+    }
+    return style;
+}
+
+/**
+ * Style to translate a speaker's utterance with: the participant's own
+ * setting wins over the room's, which wins over the hotel's
+ * @param {Object} hotel - Hotel settings ({ translationMode })
+ * @param {Object} [roomStyle] - From the room record
+ * @param {Object} [participantStyle] - Set by the speaker at join_room
+ * @returns {{translationMode: string, speakerGender: string}} Style
+ */
+function resolveTranslationStyle(hotel, roomStyle = {}, participantStyle = {}) {
+    return {
+        translationMode: participantStyle.translationMode || roomStyle.translationMode ||
+            hotel.translationMode || DEFAULT_TRANSLATION_MODE,
+        speakerGender: participantStyle.speakerGender || roomStyle.speakerGender || DEFAULT_SPEAKER_GENDER
+    };
+}
+
+module.exports = {
+    TRANSLATION_MODES,
+    SPEAKER_GENDERS,
+    DEFAULT_TRANSLATION_MODE,
+    DEFAULT_SPEAKER_GENDER,
+    TranslationStyleValidationError,
+    parseTranslationStyle,
+    resolveTranslationStyle
+};
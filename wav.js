@@ -0,0 +1,185 @@
+// wav.js
+// Minimal PCM WAV encoding helpers
+const WAV_HEADER_BYTES = 44;
+// Header values outside these ranges are rejected: a bogus low rate would make
+// a small file decode into hours of audio
+const MIN_SAMPLE_RATE = 4000;
+const MAX_SAMPLE_RATE = 192000;
+const MAX_CHANNELS = 8;
+const BIT_DEPTHS = [8, 16, 24, 32];
+
+/**
+ * Encode 16-bit PCM samples as a WAV file
+ * @param {Int16Array} samples - Interleaved 16-bit samples
+ * @param {number} sampleRate - Samples per second
+ * @param {number} channels - Channel count
+ * @returns {Buffer} WAV file
+ */
+function encodeWav(samples, sampleRate, channels = 1) {
+    const bytesPerSample = 2;
+    const dataBytes = samples.length * bytesPerSample;
+    const buffer = Buffer.alloc(WAV_HEADER_BYTES + dataBytes);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataBytes, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16); // fmt chunk size
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+    buffer.writeUInt16LE(channels * bytesPerSample, 32);
+    buffer.writeUInt16LE(bytesPerSample * 8, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataBytes, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(samples[i], WAV_HEADER_BYTES + i * bytesPerSample);
+    }
+
+    return buffer;
+}
+
+/**
+ * Decode a PCM or float WAV file.
+ * Chunk sizes larger than the buffer (streamed WAV from ffmpeg) are clamped.
+ * @param {Buffer} buffer - WAV file
+ * @returns {{sampleRate: number, channels: number, samples: Float32Array}} Interleaved samples in [-1, 1]
+ * @throws {Error} On malformed or unsupported WAV data
+ */
+function decodeWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = buffer.readUInt16LE(start);
+            // WAVE_FORMAT_EXTENSIBLE carries the real format at the start of its sub-format GUID
+            if (audioFormat === 0xfffe && chunkSize >= 40) {
+                audioFormat = buffer.readUInt16LE(start + 24);
+            }
+            format = {
+                audioFormat,
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bitsPerSample: buffer.readUInt16LE(start + 14)
+            };
+            checkFormat(format);
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            const end = Math.min(start + chunkSize, buffer.length);
+            return {
+                sampleRate: format.sampleRate,
+                channels: format.channels,
+                samples: readSamples(buffer.subarray(start, end), format)
+            };
+        }
+
+        // Chunks are padded to an even size
+        offset = start + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+function checkFormat(format) {
+    if (format.sampleRate < MIN_SAMPLE_RATE || format.sampleRate > MAX_SAMPLE_RATE) {
+        throw new Error(`Unsupported WAV sample rate ${format.sampleRate}`);
+    }
+    if (format.channels < 1 || format.channels > MAX_CHANNELS) {
+        throw new Error(`Unsupported WAV channel count ${format.channels}`);
+    }
+    if (!BIT_DEPTHS.includes(format.bitsPerSample)) {
+        throw new Error(`Unsupported WAV bit depth ${format.bitsPerSample}`);
+    }
+}
+
+function readSamples(data, format) {
+    const { audioFormat, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const count = Math.floor(data.length / bytesPerSample);
+    const samples = new Float32Array(count);
+
+    // 1 = integer PCM, 3 = IEEE float
+    if (audioFormat !== 1 && audioFormat !== 3) {
+        throw new Error(`Unsupported WAV encoding ${audioFormat}`);
+    }
+    const isFloat = audioFormat === 3;
+    if (isFloat && bitsPerSample !== 32) {
+        throw new Error(`Unsupported WAV float bit depth ${bitsPerSample}`);
+    }
+
+    for (let i = 0; i < count; i++) {
+        const at = i * bytesPerSample;
+        if (isFloat) {
+            samples[i] = data.readFloatLE(at);
+        } else if (bitsPerSample === 8) {
+            samples[i] = (data.readUInt8(at) - 128) / 128;
+        } else if (bitsPerSample === 16) {
+            samples[i] = data.readInt16LE(at) / 0x8000;
+        } else if (bitsPerSample === 24) {
+            samples[i] = data.readIntLE(at, 3) / 0x800000;
+        } else if (bitsPerSample === 32) {
+            samples[i] = data.readInt32LE(at) / 0x80000000;
+        } else {
+            throw new Error(`Unsupported WAV bit depth ${bitsPerSample}`);
+        }
+    }
+
+    return samples;
+}
+
+/**
+ * Convert float samples in [-1, 1] to 16-bit PCM
+ * @param {Float32Array} samples - Float samples
+ * @returns {Int16Array} PCM samples
+ */
+function floatTo16Bit(samples) {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    }
+    return pcm;
+}
+
+/**
+ * Generate a sine tone, used by the mock speech synthesizer
+ * @param {number} durationMs - Tone length
+ * @param {number} sampleRate - Samples per second
+ * @param {number} frequency - Tone frequency in Hz
+ * @returns {Int16Array} Mono samples
+ */
+function sineTone(durationMs, sampleRate, frequency = 440) {
+    const length = Math.round(sampleRate * durationMs / 1000);
+    const samples = new Int16Array(length);
+    const amplitude = 0.2 * 0x7fff;
+
+    for (let i = 0; i < length; i++) {
+        samples[i] = Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+    }
+
+    return samples;
+}
+
+module.exports = {
+    WAV_HEADER_BYTES,
+    MIN_SAMPLE_RATE,
+    MAX_SAMPLE_RATE,
+    MAX_CHANNELS,
+    encodeWav,
+    decodeWav,
+    floatTo16Bit,
+    sineTone
+};